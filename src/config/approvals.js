@@ -0,0 +1,18 @@
+// Maker-checker thresholds for payments. A payment whose amount is above the
+// threshold that applies to its account waits for a second actor to approve
+// it. Account overrides win over the customer's segment, which wins over the
+// default. PAYMENT_APPROVAL_THRESHOLD overrides the default.
+const approvalConfig = {
+  // Every threshold is an amount in this currency; payments in any other
+  // currency are refused rather than compared against it
+  currency: process.env.PAYMENT_APPROVAL_CURRENCY ?? 'GHS',
+  defaultThreshold: Number(process.env.PAYMENT_APPROVAL_THRESHOLD ?? 5000),
+  segmentThresholds: {
+    retail: 2000,
+    sme: 10000,
+    premium: 20000
+  },
+  accountThresholds: {}
+};
+
+export default approvalConfig;
@@ -0,0 +1,9 @@
+// Credit scoring settings. Balance history and inflows are measured over the
+// last lookbackDays (CREDIT_LOOKBACK_DAYS); a score of at least
+// minEligibleScore (CREDIT_MIN_ELIGIBLE_SCORE) makes a customer eligible.
+const creditScoringConfig = {
+  lookbackDays: Number(process.env.CREDIT_LOOKBACK_DAYS ?? 90),
+  minEligibleScore: Number(process.env.CREDIT_MIN_ELIGIBLE_SCORE ?? 650)
+};
+
+export default creditScoringConfig;
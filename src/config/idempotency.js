@@ -0,0 +1,7 @@
+// How long an Idempotency-Key and its stored response are kept before the key
+// can be used again (IDEMPOTENCY_TTL_MS, default 24 hours)
+const idempotencyConfig = {
+  ttlMs: Number(process.env.IDEMPOTENCY_TTL_MS ?? 24 * 60 * 60 * 1000)
+};
+
+export default idempotencyConfig;
@@ -0,0 +1,9 @@
+// Loan terms applied when an application leaves them out.
+// defaultRepaymentMethod (LOAN_DEFAULT_REPAYMENT_METHOD) is annuity or flat,
+// used when the chosen loan product offers it. Rates and fees come from the
+// product catalog (src/data/loanProducts.js).
+const loansConfig = {
+  defaultRepaymentMethod: process.env.LOAN_DEFAULT_REPAYMENT_METHOD ?? 'annuity'
+};
+
+export default loansConfig;
@@ -0,0 +1,8 @@
+// Mobile money delivery. The server completes wallet deliveries whose network
+// processing time has passed every intervalMs; MOBILE_MONEY_DELIVERY_INTERVAL_MS=0
+// disables the runner so tests can trigger deliveries explicitly.
+const mobileMoneyConfig = {
+  intervalMs: Number(process.env.MOBILE_MONEY_DELIVERY_INTERVAL_MS ?? 1000)
+};
+
+export default mobileMoneyConfig;
@@ -0,0 +1,9 @@
+// List endpoint page sizes. Lists return defaultLimit items unless the
+// request sets limit, which may not exceed maxLimit
+// (PAGE_DEFAULT_LIMIT / PAGE_MAX_LIMIT).
+const paginationConfig = {
+  defaultLimit: Number(process.env.PAGE_DEFAULT_LIMIT ?? 20),
+  maxLimit: Number(process.env.PAGE_MAX_LIMIT ?? 100)
+};
+
+export default paginationConfig;
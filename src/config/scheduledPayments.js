@@ -0,0 +1,8 @@
+// Scheduled payment execution. The server checks for due payments every
+// intervalMs; PAYMENT_SCHEDULER_INTERVAL_MS=0 disables the scheduler so tests
+// can trigger runs explicitly.
+const scheduledPaymentsConfig = {
+  intervalMs: Number(process.env.PAYMENT_SCHEDULER_INTERVAL_MS ?? 5000)
+};
+
+export default scheduledPaymentsConfig;
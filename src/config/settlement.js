@@ -0,0 +1,22 @@
+// Settlement timing. Delays are per transaction category, in milliseconds,
+// and can be overridden with SETTLEMENT_DELAY_<CATEGORY>_MS environment variables.
+const DEFAULT_DELAYS_MS = {
+  transfer: 30 * 1000,
+  payment: 60 * 1000,
+  default: 60 * 1000
+};
+
+const envDelay = (category) => {
+  const value = process.env[`SETTLEMENT_DELAY_${category.toUpperCase()}_MS`];
+  return value !== undefined && !isNaN(Number(value)) ? Number(value) : undefined;
+};
+
+const settlementConfig = {
+  // How often the server runs the settlement engine; 0 disables the scheduler
+  intervalMs: Number(process.env.SETTLEMENT_INTERVAL_MS ?? 5000),
+  delaysMs: Object.fromEntries(
+    Object.entries(DEFAULT_DELAYS_MS).map(([category, delay]) => [category, envDelay(category) ?? delay])
+  )
+};
+
+export default settlementConfig;
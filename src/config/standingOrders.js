@@ -0,0 +1,11 @@
+// Standing order execution. The server runs due orders every intervalMs
+// (STANDING_ORDER_INTERVAL_MS, 0 disables the scheduler). Orders with the
+// retry policy re-attempt an underfunded occurrence after retryDelayMs, up to
+// the order's maxRetries.
+const standingOrdersConfig = {
+  intervalMs: Number(process.env.STANDING_ORDER_INTERVAL_MS ?? 5000),
+  retryDelayMs: Number(process.env.STANDING_ORDER_RETRY_DELAY_MS ?? 6 * 60 * 60 * 1000),
+  defaultMaxRetries: 3
+};
+
+export default standingOrdersConfig;
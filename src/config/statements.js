@@ -0,0 +1,7 @@
+// Statement export settings. bankId (STATEMENT_BANK_ID) identifies the bank
+// in OFX BANKACCTFROM and as the account servicer in camt.053.
+const statementsConfig = {
+  bankId: process.env.STATEMENT_BANK_ID ?? 'MOCKBANKGH'
+};
+
+export default statementsConfig;
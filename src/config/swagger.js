@@ -18,6 +18,36 @@ const options = {
       }
     ],
     components: {
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', example: 'b6f2c1e4-7d1a-4c0e-9d3f-2a8e5f1c9b70' },
+          description: 'Retries with the same key and body replay the original response (with an Idempotent-Replayed header); the same key with a different body returns 422. Keys expire after IDEMPOTENCY_TTL_MS (default 24h).'
+        },
+        PageLimit: {
+          in: 'query',
+          name: 'limit',
+          required: false,
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Maximum number of items to return (PAGE_DEFAULT_LIMIT / PAGE_MAX_LIMIT)'
+        },
+        PageCursor: {
+          in: 'query',
+          name: 'cursor',
+          required: false,
+          schema: { type: 'string' },
+          description: 'nextCursor from the previous page. Repeat the same filters, sort and order; omit for the first page'
+        },
+        SortOrder: {
+          in: 'query',
+          name: 'order',
+          required: false,
+          schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+          description: 'Sort direction. Items with equal sort values are ordered by ID in the same direction'
+        }
+      },
       schemas: {
         Account: {
           type: 'object',
@@ -27,6 +57,7 @@ const options = {
             type: { type: 'string', enum: ['savings', 'current'], example: 'savings' },
             currency: { type: 'string', example: 'GHS' },
             balance: { type: 'number', example: 5000.00 },
+            initialBalance: { type: 'number', description: 'Balance the account was opened with', example: 4600.00 },
             status: { type: 'string', enum: ['active', 'suspended', 'closed'], example: 'active' },
             accountNumber: { type: 'string', example: '1234567890' },
             createdAt: { type: 'string', format: 'date-time' },
@@ -42,11 +73,24 @@ const options = {
             amount: { type: 'number', example: 100.00 },
             currency: { type: 'string', example: 'GHS' },
             description: { type: 'string', example: 'Payment to merchant' },
-            status: { type: 'string', enum: ['pending', 'cleared'], example: 'cleared' },
+            category: { type: 'string', example: 'transfer' },
+            status: { type: 'string', enum: ['pending', 'cleared', 'failed', 'partially_reversed', 'reversed'], example: 'cleared' },
+            failureReason: { type: 'string', nullable: true, example: 'ACCOUNT_SUSPENDED' },
             counterparty: { type: 'string', example: 'merchant-123' },
             initiatedAt: { type: 'string', format: 'date-time' },
             processedAt: { type: 'string', format: 'date-time', nullable: true },
-            reference: { type: 'string', example: 'REF-001' }
+            reference: { type: 'string', example: 'REF-001' },
+            transferId: { type: 'string', nullable: true, example: 'trf-001' },
+            paymentId: { type: 'string', nullable: true, example: 'pay-003' },
+            billPaymentId: { type: 'string', nullable: true, example: 'bil-001' },
+            loanRepaymentId: { type: 'string', nullable: true, example: 'rpy-001' },
+            standingOrderId: { type: 'string', nullable: true, example: 'so-001' },
+            batchId: { type: 'string', nullable: true, example: 'bat-001' },
+            batchRow: { type: 'integer', nullable: true, example: 1 },
+            refundedAmount: { type: 'number', example: 0 },
+            reversalOf: { type: 'string', nullable: true, example: 'txn-004' },
+            reversalTransferIds: { type: 'array', items: { type: 'string' }, example: [] },
+            reversedAt: { type: 'string', format: 'date-time', nullable: true }
           }
         },
         Payment: {
@@ -56,15 +100,91 @@ const options = {
             accountId: { type: 'string', example: 'acc-001' },
             beneficiary: { type: 'string', example: 'John Doe' },
             beneficiaryAccount: { type: 'string', example: '9876543210' },
+            beneficiaryId: { type: 'string', nullable: true, example: 'ben-002' },
             amount: { type: 'number', example: 200.00 },
             currency: { type: 'string', example: 'GHS' },
-            method: { type: 'string', example: 'bank_transfer' },
-            status: { type: 'string', enum: ['pending', 'completed', 'cancelled'], example: 'completed' },
+            method: { type: 'string', enum: ['bank_transfer', 'mobile_money'], example: 'bank_transfer' },
+            network: { type: 'string', nullable: true, example: 'MTN' },
+            walletDelivery: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                status: { type: 'string', enum: ['processing', 'delivered', 'failed'], example: 'delivered' },
+                network: { type: 'string', example: 'MTN' },
+                msisdn: { type: 'string', example: '+233241234567' },
+                expectedAt: { type: 'string', format: 'date-time' },
+                deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+                failureReason: { type: 'string', nullable: true, example: 'WALLET_NOT_REGISTERED' },
+                refundError: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'Why the payer could not be refunded after a failed delivery; the payment stays completed',
+                  properties: {
+                    code: { type: 'string', example: 'ACCOUNT_NOT_FOUND' },
+                    message: { type: 'string' }
+                  }
+                }
+              }
+            },
+            status: { type: 'string', enum: ['awaiting_approval', 'scheduled', 'pending', 'processing', 'completed', 'failed', 'returned', 'cancelled', 'rejected'], example: 'completed' },
             reference: { type: 'string', example: 'PAY-REF-001' },
             initiatedAt: { type: 'string', format: 'date-time' },
             completedAt: { type: 'string', format: 'date-time', nullable: true },
+            failedAt: { type: 'string', format: 'date-time', nullable: true },
+            failureReason: { type: 'string', nullable: true, example: 'INSUFFICIENT_FUNDS' },
+            failureMessage: { type: 'string', nullable: true },
+            transactionId: { type: 'string', nullable: true, example: 'txn-004' },
+            creditTransactionId: { type: 'string', nullable: true, description: 'Credit leg on the beneficiary account, for payments to internal beneficiaries', example: 'txn-005' },
+            returnedAt: { type: 'string', format: 'date-time', nullable: true },
+            returnReason: { type: 'string', nullable: true, example: 'ACCOUNT_SUSPENDED' },
             kycComplete: { type: 'boolean', example: true },
-            sufficientBalance: { type: 'boolean', example: true }
+            sufficientBalance: { type: 'boolean', example: true },
+            statusHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  from: { type: 'string', nullable: true, example: 'pending' },
+                  to: { type: 'string', example: 'processing' },
+                  at: { type: 'string', format: 'date-time' },
+                  reason: { type: 'string', nullable: true }
+                }
+              }
+            },
+            initiatedBy: { type: 'string', nullable: true, example: 'usr-teller-01' },
+            scheduledFor: { type: 'string', format: 'date-time', nullable: true },
+            rejectedAt: { type: 'string', format: 'date-time', nullable: true },
+            rejectionReason: { type: 'string', nullable: true },
+            importId: { type: 'string', nullable: true, example: 'imp-001', description: 'pain.001 import the payment was created from' },
+            paymentInformationId: { type: 'string', nullable: true, example: 'PMTINF-2024-01-A' },
+            endToEndId: { type: 'string', nullable: true, example: 'E2E-0001' },
+            instructionId: { type: 'string', nullable: true, example: 'INSTR-0001' },
+            remittanceInformation: { type: 'string', nullable: true, example: 'Invoice 2024-118' },
+            approval: {
+              type: 'object',
+              properties: {
+                required: { type: 'boolean', example: true },
+                status: { type: 'string', enum: ['not_required', 'awaiting', 'approved', 'rejected'], example: 'approved' },
+                threshold: { type: 'number', example: 2000 },
+                thresholdSource: { type: 'string', enum: ['account', 'segment', 'default'], example: 'segment' },
+                segment: { type: 'string', nullable: true, example: 'retail' },
+                decidedBy: { type: 'string', nullable: true, example: 'apr-001' },
+                decidedAt: { type: 'string', format: 'date-time', nullable: true },
+                trail: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      action: { type: 'string', enum: ['submitted', 'approved', 'rejected'], example: 'approved' },
+                      actor: { type: 'string', nullable: true, example: 'apr-001' },
+                      actorName: { type: 'string', example: 'Efua Boateng' },
+                      at: { type: 'string', format: 'date-time' },
+                      comment: { type: 'string', nullable: true }
+                    }
+                  }
+                }
+              }
+            }
           }
         },
         Loan: {
@@ -73,19 +193,215 @@ const options = {
             id: { type: 'string', example: 'loan-001' },
             customerId: { type: 'string', example: 'cust-001' },
             accountId: { type: 'string', example: 'acc-001' },
+            productId: { type: 'string', description: 'Loan product the terms were priced from', example: 'sme-working-capital' },
             amount: { type: 'number', example: 5000.00 },
             currency: { type: 'string', example: 'GHS' },
             purpose: { type: 'string', example: 'Business expansion' },
             tenure: { type: 'integer', example: 12 },
-            interestRate: { type: 'number', example: 8.5 },
-            status: { type: 'string', enum: ['pending', 'approved', 'rejected'], example: 'approved' },
+            interestRate: { type: 'number', description: 'Yearly interest rate, percent', example: 8.5 },
+            repaymentMethod: { type: 'string', enum: ['annuity', 'flat'], example: 'annuity' },
+            instalmentFee: { type: 'number', description: 'Servicing fee charged with each instalment', example: 0 },
+            processingFee: { type: 'number', description: 'Withheld from the amount paid out at disbursement', example: 0 },
+            status: { type: 'string', enum: ['pending', 'approved', 'disbursed', 'rejected', 'closed'], example: 'disbursed' },
             creditScore: { type: 'integer', example: 750 },
             eligible: { type: 'boolean', example: true },
+            creditAssessment: {
+              type: 'object',
+              nullable: true,
+              description: 'Credit score details captured when the application was submitted',
+              properties: {
+                band: { type: 'string', enum: ['excellent', 'good', 'fair', 'poor', 'very_poor'], example: 'fair' },
+                reasonCodes: { type: 'array', items: { type: 'string' }, example: ['NO_RECENT_INFLOWS', 'HIGH_LOAN_EXPOSURE'] },
+                assessedAt: { type: 'string', format: 'date-time' }
+              }
+            },
             appliedAt: { type: 'string', format: 'date-time' },
             approvedAt: { type: 'string', format: 'date-time', nullable: true },
             disbursedAt: { type: 'string', format: 'date-time', nullable: true },
-            monthlyPayment: { type: 'number', nullable: true, example: 437.50 },
-            remainingBalance: { type: 'number', nullable: true, example: 5000.00 }
+            disbursement: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                grossAmount: { type: 'number', example: 5000.00 },
+                processingFee: { type: 'number', example: 0 },
+                netAmount: { type: 'number', description: 'Amount credited to the borrower', example: 5000.00 },
+                transactionId: { type: 'string', nullable: true, example: 'txn-006' }
+              }
+            },
+            disbursementFailureReason: { type: 'string', nullable: true, description: 'Why the last disbursement credit failed at settlement' },
+            monthlyPayment: { type: 'number', nullable: true, description: 'Regular instalment amount from the repayment schedule', example: 436.10 },
+            remainingBalance: { type: 'number', nullable: true, description: 'Principal still owed', example: 5000.00 },
+            amountRepaid: { type: 'number', description: 'Total of repayments that stand', example: 0 },
+            nextDueDate: { type: 'string', format: 'date', nullable: true, description: 'Due date of the earliest instalment not yet fully paid', example: '2024-02-13' },
+            closedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        LoanRepayment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'rpy-001' },
+            loanId: { type: 'string', example: 'loan-001' },
+            accountId: { type: 'string', example: 'acc-001' },
+            amount: { type: 'number', example: 436.10 },
+            currency: { type: 'string', example: 'GHS' },
+            status: { type: 'string', enum: ['completed', 'failed'], example: 'completed' },
+            transactionId: { type: 'string', example: 'txn-006' },
+            allocation: {
+              type: 'object',
+              description: 'How the amount was split across all instalments it covered',
+              properties: {
+                fees: { type: 'number', example: 0 },
+                interest: { type: 'number', example: 35.42 },
+                principal: { type: 'number', example: 400.68 }
+              }
+            },
+            allocations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  instalment: { type: 'integer', example: 1 },
+                  dueDate: { type: 'string', format: 'date', example: '2024-02-13' },
+                  fees: { type: 'number', example: 0 },
+                  interest: { type: 'number', example: 35.42 },
+                  principal: { type: 'number', example: 400.68 }
+                }
+              }
+            },
+            remainingBalance: { type: 'number', description: 'Principal still owed after this repayment', example: 4599.32 },
+            paidAt: { type: 'string', format: 'date-time' },
+            failedAt: { type: 'string', format: 'date-time', nullable: true },
+            failureReason: { type: 'string', nullable: true }
+          }
+        },
+        CreditScore: {
+          type: 'object',
+          properties: {
+            customerId: { type: 'string', example: 'cust-001' },
+            score: { type: 'integer', minimum: 300, maximum: 850, example: 675 },
+            band: { type: 'string', enum: ['excellent', 'good', 'fair', 'poor', 'very_poor'], example: 'fair' },
+            eligible: { type: 'boolean', example: true },
+            minEligibleScore: { type: 'integer', example: 650 },
+            reasons: {
+              type: 'array',
+              description: 'Adverse factors, costliest first',
+              items: {
+                type: 'object',
+                properties: {
+                  code: { type: 'string', example: 'NO_RECENT_INFLOWS' },
+                  factor: { type: 'string', example: 'inflows' },
+                  description: { type: 'string', example: 'Average monthly inflow of 0 over the last 90 days' }
+                }
+              }
+            },
+            factors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  factor: { type: 'string', enum: ['kyc', 'riskRating', 'accountAge', 'balanceHistory', 'inflows', 'loanExposure'], example: 'balanceHistory' },
+                  value: { description: 'What was measured, e.g. the average balance or account age in days' },
+                  points: { type: 'integer', example: 85 },
+                  maxPoints: { type: 'integer', example: 100 },
+                  code: { type: 'string', example: 'HEALTHY_AVERAGE_BALANCE' },
+                  description: { type: 'string', example: 'Average daily balance of 15000 over the last 90 days' },
+                  adverse: { type: 'boolean', example: false }
+                }
+              }
+            },
+            lookbackDays: { type: 'integer', example: 90 },
+            asOf: { type: 'string', format: 'date-time' }
+          }
+        },
+        LoanProduct: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'sme-working-capital' },
+            name: { type: 'string', example: 'SME Working Capital' },
+            description: { type: 'string', example: 'Stock, payroll and running costs for small businesses' },
+            currency: { type: 'string', example: 'GHS' },
+            minAmount: { type: 'number', example: 1000 },
+            maxAmount: { type: 'number', example: 50000 },
+            tenures: { type: 'array', items: { type: 'integer' }, description: 'Allowed tenures in months', example: [3, 6, 9, 12, 18] },
+            repaymentMethods: { type: 'array', items: { type: 'string', enum: ['annuity', 'flat'] }, example: ['annuity', 'flat'] },
+            rateTable: {
+              type: 'array',
+              description: 'Yearly interest rate by amount; the first row whose maxAmount covers the amount applies',
+              items: {
+                type: 'object',
+                properties: {
+                  maxAmount: { type: 'number', example: 5000 },
+                  interestRate: { type: 'number', example: 10.0 }
+                }
+              }
+            },
+            fees: {
+              type: 'object',
+              properties: {
+                processingFeeRate: { type: 'number', description: 'Percent of the amount withheld at disbursement', example: 1 },
+                instalmentFee: { type: 'number', description: 'Servicing fee charged with each instalment', example: 5 }
+              }
+            },
+            requiredKycTier: { type: 'string', enum: ['tier1', 'tier2', 'tier3'], description: 'Lowest approved KYC tier accepted', example: 'tier2' },
+            collateral: {
+              type: 'object',
+              properties: {
+                required: { type: 'boolean', description: 'Collateral needed for every amount', example: false },
+                requiredFromAmount: { type: 'number', nullable: true, description: 'Collateral needed from this amount upwards', example: 20000 },
+                description: { type: 'string', example: 'Business assets, receivables or a guarantor for amounts from 20,000' }
+              }
+            }
+          }
+        },
+        LoanSchedule: {
+          type: 'object',
+          properties: {
+            loanId: { type: 'string', example: 'loan-001' },
+            currency: { type: 'string', example: 'GHS' },
+            repaymentMethod: { type: 'string', enum: ['annuity', 'flat'], example: 'annuity' },
+            amount: { type: 'number', example: 5000.00 },
+            interestRate: { type: 'number', example: 8.5 },
+            tenure: { type: 'integer', example: 12 },
+            startDate: { type: 'string', format: 'date-time', description: 'Disbursement date, or today for a projected schedule' },
+            projected: { type: 'boolean', description: 'True until the loan is disbursed', example: false },
+            instalmentAmount: { type: 'number', example: 436.10 },
+            totals: {
+              type: 'object',
+              properties: {
+                principal: { type: 'number', example: 5000.00 },
+                interest: { type: 'number', example: 233.18 },
+                fees: { type: 'number', example: 0 },
+                payable: { type: 'number', example: 5233.18 },
+                paid: { type: 'number', example: 436.10 },
+                due: { type: 'number', example: 4797.08 }
+              }
+            },
+            instalments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  instalment: { type: 'integer', example: 1 },
+                  dueDate: { type: 'string', format: 'date', example: '2024-02-13' },
+                  principal: { type: 'number', example: 400.68 },
+                  interest: { type: 'number', example: 35.42 },
+                  fees: { type: 'number', example: 0 },
+                  payment: { type: 'number', example: 436.10 },
+                  outstanding: { type: 'number', description: 'Principal still owed after this instalment', example: 4599.32 },
+                  paid: {
+                    type: 'object',
+                    properties: {
+                      fees: { type: 'number', example: 0 },
+                      interest: { type: 'number', example: 35.42 },
+                      principal: { type: 'number', example: 400.68 },
+                      total: { type: 'number', example: 436.10 }
+                    }
+                  },
+                  amountDue: { type: 'number', example: 0 },
+                  status: { type: 'string', enum: ['unpaid', 'partially_paid', 'paid'], example: 'paid' }
+                }
+              }
+            }
           }
         },
         AirtimePurchase: {
@@ -104,6 +420,31 @@ const options = {
             deliveryStatus: { type: 'string', example: 'delivered' }
           }
         },
+        Beneficiary: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'ben-001' },
+            customerId: { type: 'string', example: 'cust-001' },
+            name: { type: 'string', example: 'Ama Owusu' },
+            nickname: { type: 'string', nullable: true, example: 'Ama' },
+            accountNumber: { type: 'string', example: '1234567891' },
+            accountId: { type: 'string', nullable: true, example: 'acc-002' },
+            internal: { type: 'boolean', example: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        NameEnquiry: {
+          type: 'object',
+          properties: {
+            accountNumber: { type: 'string', example: '1234567891' },
+            accountName: { type: 'string', example: 'Ama Owusu' },
+            accountId: { type: 'string', example: 'acc-002' },
+            currency: { type: 'string', example: 'GHS' },
+            status: { type: 'string', example: 'active' },
+            internal: { type: 'boolean', example: true }
+          }
+        },
         KYC: {
           type: 'object',
           properties: {
@@ -151,14 +492,346 @@ const options = {
             requestId: { type: 'string', example: 'req-1234567890-abc123' }
           }
         },
+        PageInfo: {
+          type: 'object',
+          properties: {
+            count: { type: 'integer', description: 'Number of items in this page', example: 20 },
+            totalCount: { type: 'integer', description: 'Number of items matching the filters across all pages', example: 57 },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as cursor to get the next page; null on the last page',
+              example: 'eyJzb3J0IjoiY3JlYXRlZEF0Ii...'
+            }
+          }
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
             status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'INSUFFICIENT_FUNDS' },
+            param: { type: 'string', nullable: true, example: 'from', description: 'Query parameter that was rejected, on validation errors' },
             message: { type: 'string', example: 'Account not found' },
             timestamp: { type: 'string', format: 'date-time' },
             requestId: { type: 'string', example: 'req-1234567890-abc123' }
           }
+        },
+        LookupResult: {
+          type: 'object',
+          properties: {
+            reference: { type: 'string', example: 'REF-002' },
+            matches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['transaction', 'payment', 'airtime_purchase', 'bill_payment', 'loan'],
+                    example: 'transaction'
+                  },
+                  matchedOn: { type: 'string', description: 'Field of the entity that equals the reference', example: 'reference' },
+                  entity: { type: 'object', description: 'The matching transaction, payment, airtime purchase, bill payment or loan' },
+                  related: {
+                    type: 'object',
+                    description: 'Related records; the keys depend on the type (e.g. account, pairedTransaction, reversalTransactions, payment, transaction, customer)',
+                    additionalProperties: true
+                  }
+                }
+              }
+            }
+          }
+        },
+        AccountStatement: {
+          type: 'object',
+          properties: {
+            accountId: { type: 'string', example: 'acc-001' },
+            accountNumber: { type: 'string', example: '1234567890' },
+            accountHolder: { type: 'string', nullable: true, example: 'Kwame Mensah' },
+            accountType: { type: 'string', example: 'savings' },
+            currency: { type: 'string', example: 'GHS' },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            openingBalance: { type: 'number', example: 4600.00 },
+            closingBalance: { type: 'number', example: 5000.00 },
+            totals: {
+              type: 'object',
+              properties: {
+                debits: { type: 'number', example: 100.00 },
+                credits: { type: 'number', example: 500.00 },
+                debitCount: { type: 'integer', example: 1 },
+                creditCount: { type: 'integer', example: 1 },
+                netMovement: { type: 'number', example: 400.00 }
+              }
+            },
+            transactions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  transactionId: { type: 'string', example: 'txn-001' },
+                  bookedAt: { type: 'string', format: 'date-time' },
+                  valueDate: { type: 'string', format: 'date-time', nullable: true },
+                  type: { type: 'string', enum: ['debit', 'credit'] },
+                  description: { type: 'string', example: 'Payment to merchant' },
+                  category: { type: 'string', example: 'payment' },
+                  counterparty: { type: 'string', example: 'merchant-123' },
+                  reference: { type: 'string', example: 'REF-001' },
+                  status: { type: 'string', example: 'cleared' },
+                  reversalOf: { type: 'string', nullable: true, description: 'Transaction reversed by this entry', example: null },
+                  debit: { type: 'number', nullable: true, example: 100.00 },
+                  credit: { type: 'number', nullable: true, example: null },
+                  runningBalance: { type: 'number', example: 4500.00 }
+                }
+              }
+            },
+            reconciliation: {
+              type: 'object',
+              properties: {
+                closingBalance: { type: 'number', example: 5000.00 },
+                movementsAfterPeriod: { type: 'number', example: 0 },
+                ledgerBalance: { type: 'number', description: 'Opening balance of the account plus every booked entry', example: 5000.00 },
+                currentBalance: { type: 'number', example: 5000.00 },
+                reconciled: { type: 'boolean', example: true }
+              }
+            },
+            generatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Iso20022Error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'INVALID_AMOUNT' },
+            message: { type: 'string', example: 'InstdAmt must be a positive amount with at most 2 decimals, found "12.345"' },
+            element: { type: 'string', example: '/Document/CstmrCdtTrfInitn/PmtInf[1]/CdtTrfTxInf[2]/Amt/InstdAmt' },
+            line: { type: 'integer', example: 38 },
+            column: { type: 'integer', example: 11 }
+          }
+        },
+        Iso20022ErrorResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'PAIN001_VALIDATION_FAILED' },
+            message: { type: 'string', example: 'The pain.001 document has 1 error(s)' },
+            errors: { type: 'array', items: { $ref: '#/components/schemas/Iso20022Error' } },
+            timestamp: { type: 'string', format: 'date-time' },
+            requestId: { type: 'string', example: 'req-1234567890-abc123' }
+          }
+        },
+        PaymentImport: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'imp-001' },
+            messageId: { type: 'string', example: 'MSG-2024-01-0001' },
+            messageNameId: { type: 'string', example: 'pain.001.001.09' },
+            creationDateTime: { type: 'string', example: '2024-01-20T09:30:00' },
+            initiatingParty: { type: 'string', nullable: true, example: 'Asante Trading Ltd' },
+            numberOfTransactions: { type: 'integer', example: 2 },
+            controlSum: { type: 'number', example: 450.00 },
+            initiatedBy: { type: 'string', nullable: true, example: 'usr-ops-01' },
+            paymentInformation: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  paymentInformationId: { type: 'string', example: 'PMTINF-2024-01-A' },
+                  accountId: { type: 'string', example: 'acc-001' },
+                  debtorName: { type: 'string', nullable: true, example: 'Asante Trading Ltd' },
+                  requestedExecutionDate: { type: 'string', example: '2024-01-22' },
+                  paymentIds: { type: 'array', items: { type: 'string' }, example: ['pay-004', 'pay-005'] }
+                }
+              }
+            },
+            paymentIds: { type: 'array', items: { type: 'string' }, example: ['pay-004', 'pay-005'] },
+            payments: { type: 'array', items: { $ref: '#/components/schemas/Payment' }, description: 'Included on create and get' },
+            importedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Approver: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'apr-001' },
+            name: { type: 'string', example: 'Efua Boateng' },
+            role: { type: 'string', example: 'Operations Manager' },
+            approvalLimit: { type: 'number', example: 100000.00 },
+            active: { type: 'boolean', example: true }
+          }
+        },
+        StandingOrder: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'so-001' },
+            fromAccount: { type: 'string', example: 'acc-001' },
+            toAccount: { type: 'string', example: 'acc-002' },
+            amount: { type: 'number', example: 200.00 },
+            currency: { type: 'string', example: 'GHS' },
+            purpose: { type: 'string', nullable: true, example: 'Monthly support for Mum' },
+            frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly'], example: 'monthly' },
+            startDate: { type: 'string', format: 'date-time' },
+            endDate: { type: 'string', format: 'date-time', nullable: true },
+            maxOccurrences: { type: 'integer', nullable: true, example: 12 },
+            failurePolicy: { type: 'string', enum: ['skip', 'retry'], example: 'retry' },
+            maxRetries: { type: 'integer', example: 3 },
+            status: { type: 'string', enum: ['active', 'paused', 'completed', 'cancelled'], example: 'active' },
+            nextRunAt: { type: 'string', format: 'date-time', nullable: true },
+            occurrenceCount: { type: 'integer', example: 2 },
+            successCount: { type: 'integer', example: 2 },
+            retryCount: { type: 'integer', example: 0 },
+            executions: { type: 'array', items: { $ref: '#/components/schemas/StandingOrderExecution' } },
+            executionCount: { type: 'integer', description: 'Length of the execution history; list items carry this in place of executions', example: 2 },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            pausedAt: { type: 'string', format: 'date-time', nullable: true },
+            completedAt: { type: 'string', format: 'date-time', nullable: true },
+            cancelledAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        StandingOrderExecution: {
+          type: 'object',
+          properties: {
+            standingOrderId: { type: 'string', example: 'so-001' },
+            sequence: { type: 'integer', description: 'Position in the order\'s execution history, from 1', example: 1 },
+            occurrence: { type: 'integer', example: 1 },
+            scheduledFor: { type: 'string', format: 'date-time' },
+            attemptedAt: { type: 'string', format: 'date-time' },
+            attempt: { type: 'integer', example: 1 },
+            status: { type: 'string', enum: ['succeeded', 'skipped', 'failed', 'retry_scheduled'], example: 'succeeded' },
+            transferId: { type: 'string', nullable: true, example: 'trf-004' },
+            debitTransactionId: { type: 'string', example: 'txn-004' },
+            creditTransactionId: { type: 'string', example: 'txn-005' },
+            failureReason: { type: 'string', nullable: true, example: 'INSUFFICIENT_FUNDS' },
+            retryAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        TransferBatch: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'bat-001' },
+            reference: { type: 'string', nullable: true, example: 'PAYROLL-2024-01' },
+            format: { type: 'string', enum: ['csv', 'jsonl'], example: 'csv' },
+            status: { type: 'string', enum: ['queued', 'processing', 'completed', 'completed_with_errors', 'failed'], example: 'completed' },
+            rowCount: { type: 'integer', example: 2 },
+            succeededCount: { type: 'integer', example: 2 },
+            failedCount: { type: 'integer', example: 0 },
+            pendingCount: { type: 'integer', example: 0 },
+            totals: { type: 'object', additionalProperties: { type: 'number' }, example: { GHS: 400.00 } },
+            rows: { type: 'array', items: { $ref: '#/components/schemas/TransferBatchRow' } },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            completedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        TransferBatchRow: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', example: 1 },
+            line: { type: 'integer', example: 2 },
+            fromAccount: { type: 'string', example: 'acc-001' },
+            toAccount: { type: 'string', example: 'acc-002' },
+            amount: { type: 'number', example: 250.00 },
+            currency: { type: 'string', example: 'GHS' },
+            purpose: { type: 'string', nullable: true, example: 'January salary' },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'], example: 'succeeded' },
+            transferId: { type: 'string', nullable: true, example: 'trf-004' },
+            failureCode: { type: 'string', nullable: true, example: null },
+            failureReason: { type: 'string', nullable: true, example: null },
+            processedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        TransferBatchValidation: {
+          type: 'object',
+          properties: {
+            valid: { type: 'boolean', example: false },
+            rowCount: { type: 'integer', example: 2 },
+            validRows: { type: 'integer', example: 1 },
+            invalidRows: { type: 'integer', example: 1 },
+            totals: { type: 'object', additionalProperties: { type: 'number' }, description: 'Amount of the valid rows per currency', example: { GHS: 250.00 } },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', example: 2 },
+                  line: { type: 'integer', example: 3 },
+                  fromAccount: { type: 'string', example: 'acc-001' },
+                  toAccount: { type: 'string', example: 'acc-003' },
+                  amount: { type: 'number', example: 150.00 },
+                  currency: { type: 'string', example: 'GHS' },
+                  purpose: { type: 'string', example: 'January salary' },
+                  valid: { type: 'boolean', example: false },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string', nullable: true, example: 'toAccount' },
+                        code: { type: 'string', example: 'ACCOUNT_SUSPENDED' },
+                        message: { type: 'string', example: 'Account is suspended: acc-003' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Biller: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'ECG-PREPAID' },
+            name: { type: 'string', example: 'ECG Prepaid Electricity' },
+            category: { type: 'string', enum: ['electricity_prepaid', 'electricity_postpaid', 'water', 'pay_tv', 'school_fees'], example: 'electricity_prepaid' },
+            currency: { type: 'string', example: 'GHS' },
+            prepaid: { type: 'boolean', example: true },
+            referenceLabel: { type: 'string', example: 'Meter number' },
+            referencePattern: { type: 'string', example: '^\\d{11}$' },
+            referenceExample: { type: 'string', example: '04123456789' },
+            minAmount: { type: 'number', example: 5 },
+            maxAmount: { type: 'number', example: 5000 },
+            unitPrice: { type: 'number', nullable: true, example: 1.85 },
+            unitName: { type: 'string', nullable: true, example: 'kWh' }
+          }
+        },
+        BillLookup: {
+          type: 'object',
+          properties: {
+            billerId: { type: 'string', example: 'GWCL' },
+            billerName: { type: 'string', example: 'Ghana Water Limited' },
+            reference: { type: 'string', example: 'GW10020030' },
+            customerName: { type: 'string', example: 'Kwame Mensah' },
+            outstandingAmount: { type: 'number', example: 86.40 },
+            currency: { type: 'string', example: 'GHS' },
+            dueDate: { type: 'string', format: 'date', nullable: true, example: '2024-02-10' },
+            prepaid: { type: 'boolean', example: false },
+            minAmount: { type: 'number', example: 1 },
+            maxAmount: { type: 'number', example: 86.40 }
+          }
+        },
+        BillPayment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'bil-001' },
+            accountId: { type: 'string', example: 'acc-001' },
+            billerId: { type: 'string', example: 'ECG-PREPAID' },
+            billerName: { type: 'string', example: 'ECG Prepaid Electricity' },
+            category: { type: 'string', example: 'electricity_prepaid' },
+            reference: { type: 'string', example: '04123456789' },
+            customerName: { type: 'string', example: 'Kwame Mensah' },
+            amount: { type: 'number', example: 100.00 },
+            currency: { type: 'string', example: 'GHS' },
+            status: { type: 'string', enum: ['completed', 'failed'], example: 'completed' },
+            transactionId: { type: 'string', example: 'txn-004' },
+            receiptNumber: { type: 'string', example: 'BILL-RCP-001' },
+            token: { type: 'string', nullable: true, example: '4821-0937-5512-0846-3379' },
+            units: { type: 'number', nullable: true, example: 54.05 },
+            unitName: { type: 'string', nullable: true, example: 'kWh' },
+            outstandingBefore: { type: 'number', example: 0 },
+            outstandingAfter: { type: 'number', example: 0 },
+            paidAt: { type: 'string', format: 'date-time' },
+            failedAt: { type: 'string', format: 'date-time', nullable: true },
+            failureReason: { type: 'string', nullable: true, example: 'ACCOUNT_SUSPENDED' }
+          }
         }
       }
     },
@@ -170,7 +843,14 @@ const options = {
       { name: 'Loans', description: 'Loan application workflow endpoints' },
       { name: 'Airtime', description: 'Airtime purchase endpoints' },
       { name: 'KYC', description: 'Know Your Customer (KYC) compliance endpoints' },
-      { name: 'Limits', description: 'Account limits management endpoints' }
+      { name: 'Limits', description: 'Account limits management endpoints' },
+      { name: 'Beneficiaries', description: 'Saved beneficiaries and name enquiry endpoints' },
+      { name: 'Bills', description: 'Biller catalog and bill payment endpoints' },
+      { name: 'Standing Orders', description: 'Recurring transfer endpoints' },
+      { name: 'Transfer Batches', description: 'Bulk transfer upload, validation and status endpoints' },
+      { name: 'ISO 20022', description: 'pain.001 payment import and pain.002 status report endpoints' },
+      { name: 'Lookup', description: 'Find any entity by a customer-quoted reference' },
+      { name: 'Customers', description: 'Customer credit scoring endpoints' }
     ]
   },
   apis: ['./src/routes/*.js', './src/server.js']
@@ -0,0 +1,7 @@
+// Bulk transfer batch limits. Uploads with more than maxRows rows
+// (TRANSFER_BATCH_MAX_ROWS) are rejected before validation.
+const transferBatchesConfig = {
+  maxRows: Number(process.env.TRANSFER_BATCH_MAX_ROWS ?? 1000)
+};
+
+export default transferBatchesConfig;
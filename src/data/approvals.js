@@ -0,0 +1,155 @@
+import approvalConfig from '../config/approvals.js';
+import {
+  getAccountById,
+  getCustomerById,
+  getPaymentById,
+  updatePayment,
+  getApproverById
+} from './mockData.js';
+
+export const configureApprovals = ({ defaultThreshold, segmentThresholds, accountThresholds } = {}) => {
+  if (defaultThreshold !== undefined) {
+    approvalConfig.defaultThreshold = defaultThreshold;
+  }
+  if (segmentThresholds) {
+    Object.assign(approvalConfig.segmentThresholds, segmentThresholds);
+  }
+  if (accountThresholds) {
+    Object.entries(accountThresholds).forEach(([accountId, threshold]) => {
+      // null removes an account override so the segment threshold applies again
+      if (threshold === null) {
+        delete approvalConfig.accountThresholds[accountId];
+      } else {
+        approvalConfig.accountThresholds[accountId] = threshold;
+      }
+    });
+  }
+  return {
+    currency: approvalConfig.currency,
+    defaultThreshold: approvalConfig.defaultThreshold,
+    segmentThresholds: { ...approvalConfig.segmentThresholds },
+    accountThresholds: { ...approvalConfig.accountThresholds }
+  };
+};
+
+// Threshold for an account: account override, then the customer's segment,
+// then the default. source says which one applied.
+export const resolveApprovalThreshold = (accountId) => {
+  if (approvalConfig.accountThresholds[accountId] !== undefined) {
+    return { threshold: approvalConfig.accountThresholds[accountId], source: 'account', segment: null };
+  }
+  const account = getAccountById(accountId);
+  const customer = account ? getCustomerById(account.customerId) : null;
+  const segment = customer ? customer.segment : null;
+  if (segment && approvalConfig.segmentThresholds[segment] !== undefined) {
+    return { threshold: approvalConfig.segmentThresholds[segment], source: 'segment', segment };
+  }
+  return { threshold: approvalConfig.defaultThreshold, source: 'default', segment };
+};
+
+// Thresholds are amounts in approvalConfig.currency, so a payment in another
+// currency cannot be checked against them
+export const checkApprovalCurrency = (currency) => {
+  if (currency === approvalConfig.currency) return null;
+  return {
+    error: {
+      code: 'UNSUPPORTED_CURRENCY',
+      message: `Payments in ${currency} cannot be checked against the approval thresholds, which are in ${approvalConfig.currency}`
+    }
+  };
+};
+
+// The threshold that applies to a payment of amount from the account, and
+// whether the payment is above it
+const assessApproval = (accountId, amount) => {
+  const resolved = resolveApprovalThreshold(accountId);
+  return { ...resolved, required: amount > resolved.threshold };
+};
+
+// Whether a payment of amount from the account is held for approval. Such a
+// payment must name its initiator, or the maker-checker rule has no maker.
+export const isApprovalRequired = (accountId, amount) => assessApproval(accountId, amount).required;
+
+// Approval record attached to a payment at initiation
+export const buildPaymentApproval = ({ accountId, amount, currency, initiatedBy }) => {
+  const { required, threshold, source, segment } = assessApproval(accountId, amount);
+  return {
+    required,
+    status: required ? 'awaiting' : 'not_required',
+    threshold,
+    thresholdSource: source,
+    segment,
+    decidedBy: null,
+    decidedAt: null,
+    trail: required
+      ? [{
+        action: 'submitted',
+        actor: initiatedBy || null,
+        at: new Date().toISOString(),
+        comment: `Amount ${amount} ${currency} exceeds approval threshold of ${threshold}`
+      }]
+      : []
+  };
+};
+
+const approvalError = (code, message) => ({ error: { code, message } });
+
+// Records an approver's decision on a payment awaiting approval. Approval moves
+// the payment to pending so it can be processed, or to scheduled when it is
+// future-dated; rejection is final. The maker must be on record and cannot
+// approve their own payment, and approvers cannot exceed their limit.
+export const decidePaymentApproval = (paymentId, { approverId, decision, comment }) => {
+  const payment = getPaymentById(paymentId);
+  if (!payment) {
+    return approvalError('PAYMENT_NOT_FOUND', `Payment not found: ${paymentId}`);
+  }
+  if (payment.status !== 'awaiting_approval') {
+    return approvalError(
+      'INVALID_STATUS_TRANSITION',
+      `Payment ${paymentId} is not awaiting approval (status: ${payment.status})`
+    );
+  }
+
+  const approver = getApproverById(approverId);
+  if (!approver) {
+    return approvalError('APPROVER_NOT_FOUND', `Approver not found: ${approverId}`);
+  }
+  if (!approver.active) {
+    return approvalError('APPROVER_INACTIVE', `Approver ${approverId} is not active`);
+  }
+  if (!payment.initiatedBy) {
+    return approvalError(
+      'INITIATOR_UNKNOWN',
+      `Payment ${paymentId} has no recorded initiator, so it cannot be checked against the approver`
+    );
+  }
+  if (payment.initiatedBy === approverId) {
+    return approvalError('SELF_APPROVAL_NOT_ALLOWED', 'The initiator of a payment cannot approve or reject it');
+  }
+  if (decision === 'approved' && payment.amount > approver.approvalLimit) {
+    return approvalError(
+      'APPROVAL_LIMIT_EXCEEDED',
+      `Amount ${payment.amount} exceeds ${approver.name}'s approval limit of ${approver.approvalLimit}`
+    );
+  }
+
+  const at = new Date().toISOString();
+  const approval = {
+    ...payment.approval,
+    status: decision,
+    decidedBy: approverId,
+    decidedAt: at,
+    trail: [
+      ...payment.approval.trail,
+      { action: decision, actor: approverId, actorName: approver.name, at, comment: comment || null }
+    ]
+  };
+
+  if (decision === 'approved') {
+    const status = payment.scheduledFor ? 'scheduled' : 'pending';
+    return { payment: updatePayment(paymentId, { status, approval }, `Approved by ${approverId}`) };
+  }
+  return {
+    payment: updatePayment(paymentId, { status: 'rejected', approval, rejectionReason: comment }, comment)
+  };
+};
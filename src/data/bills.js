@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import {
+  postDebit,
+  updateTransaction,
+  addBillPayment,
+  getBillPaymentById,
+  updateBillPayment,
+  roundMoney
+} from './mockData.js';
+
+export const BILL_CATEGORIES = ['electricity_prepaid', 'electricity_postpaid', 'water', 'pay_tv', 'school_fees'];
+
+// Biller catalog. Prepaid billers sell units for any amount within
+// minAmount/maxAmount and return a token; the others settle an outstanding
+// balance and accept partial payments up to the amount due.
+export const BILLERS = [
+  {
+    id: 'ECG-PREPAID',
+    name: 'ECG Prepaid Electricity',
+    category: 'electricity_prepaid',
+    currency: 'GHS',
+    prepaid: true,
+    referenceLabel: 'Meter number',
+    referencePattern: '^\\d{11}$',
+    referenceExample: '04123456789',
+    minAmount: 5,
+    maxAmount: 5000,
+    unitPrice: 1.85,
+    unitName: 'kWh'
+  },
+  {
+    id: 'ECG-POSTPAID',
+    name: 'ECG Postpaid Electricity',
+    category: 'electricity_postpaid',
+    currency: 'GHS',
+    prepaid: false,
+    referenceLabel: 'Customer account number',
+    referencePattern: '^\\d{10}$',
+    referenceExample: '2010004567',
+    minAmount: 1,
+    maxAmount: 20000
+  },
+  {
+    id: 'GWCL',
+    name: 'Ghana Water Limited',
+    category: 'water',
+    currency: 'GHS',
+    prepaid: false,
+    referenceLabel: 'Water account number',
+    referencePattern: '^GW\\d{8}$',
+    referenceExample: 'GW10020030',
+    minAmount: 1,
+    maxAmount: 10000
+  },
+  {
+    id: 'DSTV',
+    name: 'DStv',
+    category: 'pay_tv',
+    currency: 'GHS',
+    prepaid: false,
+    referenceLabel: 'Smartcard number',
+    referencePattern: '^\\d{10}$',
+    referenceExample: '7023456789',
+    minAmount: 1,
+    maxAmount: 2000
+  },
+  {
+    id: 'ACHIMOTA',
+    name: 'Achimota School',
+    category: 'school_fees',
+    currency: 'GHS',
+    prepaid: false,
+    referenceLabel: 'Student ID',
+    referencePattern: '^ACH\\d{6}$',
+    referenceExample: 'ACH240117',
+    minAmount: 10,
+    maxAmount: 50000
+  }
+];
+
+// Customer references registered with each biller, keyed "<billerId>:<reference>".
+// Stands in for the biller's own system during validation and lookups.
+const billerAccounts = {
+  'ECG-PREPAID:04123456789': { customerName: 'Kwame Mensah', address: '12 Ring Road, Accra', outstandingAmount: 0, dueDate: null },
+  'ECG-PREPAID:04198765432': { customerName: 'Kofi Asante', address: '4 Adum Street, Kumasi', outstandingAmount: 0, dueDate: null },
+  'ECG-POSTPAID:2010004567': { customerName: 'Ama Owusu', address: '7 Oxford Street, Osu', outstandingAmount: 245.60, dueDate: '2024-02-05' },
+  'GWCL:GW10020030': { customerName: 'Kwame Mensah', address: '12 Ring Road, Accra', outstandingAmount: 86.40, dueDate: '2024-02-10' },
+  'DSTV:7023456789': { customerName: 'Kofi Asante', package: 'Compact', outstandingAmount: 350.00, dueDate: '2024-02-01' },
+  'ACHIMOTA:ACH240117': { customerName: 'Yaw Mensah', term: '2024 Term 2', outstandingAmount: 1850.00, dueDate: '2024-04-15' }
+};
+
+export const getBiller = (id) =>
+  BILLERS.find(biller => biller.id.toLowerCase() === String(id).toLowerCase());
+
+const billError = (code, message) => ({ error: { code, message } });
+
+// Validates a customer reference against the biller's format and its records.
+// Returns the biller, normalized reference and account, or a coded error.
+export const validateBillReference = (billerId, reference) => {
+  const biller = getBiller(billerId);
+  if (!biller) {
+    return billError('BILLER_NOT_FOUND', `Biller not found: ${billerId}`);
+  }
+  const normalized = String(reference || '').replace(/\s/g, '').toUpperCase();
+  if (!new RegExp(biller.referencePattern).test(normalized)) {
+    return billError(
+      'INVALID_REFERENCE',
+      `Invalid ${biller.referenceLabel.toLowerCase()} for ${biller.name}. Example: ${biller.referenceExample}`
+    );
+  }
+  const account = billerAccounts[`${biller.id}:${normalized}`];
+  if (!account) {
+    return billError('REFERENCE_NOT_FOUND', `${biller.referenceLabel} ${normalized} is not registered with ${biller.name}`);
+  }
+  return { biller, reference: normalized, account };
+};
+
+export const lookupOutstanding = (billerId, reference) => {
+  const validation = validateBillReference(billerId, reference);
+  if (validation.error) return validation;
+
+  const { biller, account } = validation;
+  return {
+    billerId: biller.id,
+    billerName: biller.name,
+    reference: validation.reference,
+    customerName: account.customerName,
+    outstandingAmount: account.outstandingAmount,
+    currency: biller.currency,
+    dueDate: account.dueDate,
+    prepaid: biller.prepaid,
+    minAmount: biller.minAmount,
+    maxAmount: biller.prepaid ? biller.maxAmount : Math.min(biller.maxAmount, account.outstandingAmount)
+  };
+};
+
+// Prepaid token: 20 digits derived from the receipt so a purchase always
+// reports the same token, grouped in fours as printed on vendor receipts.
+const generateToken = (receiptNumber, reference) => {
+  const digest = crypto.createHash('sha256').update(`${receiptNumber}:${reference}`).digest('hex');
+  const digits = BigInt(`0x${digest.slice(0, 24)}`).toString().padStart(20, '0').slice(-20);
+  return digits.match(/.{4}/g).join('-');
+};
+
+// Pays a bill from an account. Postpaid billers default the amount to the
+// full outstanding balance; prepaid billers require an amount and return a
+// token. The debit goes through the ledger like any other payment.
+export const payBill = ({ accountId, billerId, reference, amount }) => {
+  const validation = validateBillReference(billerId, reference);
+  if (validation.error) return validation;
+
+  const { biller, account } = validation;
+  const outstandingBefore = account.outstandingAmount;
+
+  if (!biller.prepaid && outstandingBefore <= 0) {
+    return billError('NOTHING_OUTSTANDING', `No outstanding balance on ${validation.reference}`);
+  }
+
+  const payAmount = amount === undefined || amount === null ? (biller.prepaid ? null : outstandingBefore) : amount;
+  if (typeof payAmount !== 'number' || payAmount <= 0) {
+    return billError('INVALID_AMOUNT', biller.prepaid
+      ? `Amount is required for ${biller.name}`
+      : 'Amount must be greater than 0');
+  }
+  // Clearing a balance smaller than the biller minimum is always allowed
+  const belowMinimum = payAmount < biller.minAmount && payAmount !== outstandingBefore;
+  if (belowMinimum || payAmount > biller.maxAmount) {
+    return billError(
+      'INVALID_AMOUNT',
+      `Amount must be between ${biller.minAmount} and ${biller.maxAmount} ${biller.currency} for ${biller.name}`
+    );
+  }
+  if (!biller.prepaid && payAmount > outstandingBefore) {
+    return billError(
+      'AMOUNT_EXCEEDS_OUTSTANDING',
+      `Amount ${payAmount} exceeds outstanding balance of ${outstandingBefore} ${biller.currency}`
+    );
+  }
+
+  const result = postDebit({
+    accountId,
+    amount: payAmount,
+    currency: biller.currency,
+    description: `${biller.name} bill payment - ${validation.reference}`,
+    category: 'bill_payment',
+    counterparty: biller.name
+  });
+  if (result.error) return result;
+
+  account.outstandingAmount = biller.prepaid ? 0 : roundMoney(outstandingBefore - payAmount);
+
+  const billPayment = addBillPayment({
+    accountId,
+    billerId: biller.id,
+    billerName: biller.name,
+    category: biller.category,
+    reference: validation.reference,
+    customerName: account.customerName,
+    amount: payAmount,
+    currency: biller.currency,
+    status: 'completed',
+    transactionId: result.transaction.id,
+    outstandingBefore,
+    outstandingAfter: account.outstandingAmount
+  });
+
+  let paid = billPayment;
+  if (biller.prepaid) {
+    paid = updateBillPayment(billPayment.id, {
+      token: generateToken(billPayment.receiptNumber, validation.reference),
+      units: roundMoney(payAmount / biller.unitPrice),
+      unitName: biller.unitName
+    });
+  }
+
+  return {
+    billPayment: paid,
+    transaction: updateTransaction(result.transaction.id, { billPaymentId: paid.id })
+  };
+};
+
+// Called when the ledger debit behind a bill payment fails at settlement:
+// the bill payment fails and the biller balance is restored.
+export const failBillPayment = (id, failureReason) => {
+  const billPayment = getBillPaymentById(id);
+  if (!billPayment || billPayment.status !== 'completed') return null;
+
+  const account = billerAccounts[`${billPayment.billerId}:${billPayment.reference}`];
+  if (account && !getBiller(billPayment.billerId).prepaid) {
+    account.outstandingAmount = roundMoney(account.outstandingAmount + billPayment.amount);
+  }
+  return updateBillPayment(id, { status: 'failed', failureReason });
+};
@@ -0,0 +1,269 @@
+import creditScoringConfig from '../config/creditScoring.js';
+import {
+  getCustomerById,
+  getAccounts,
+  getTransactions,
+  getLoans,
+  getLoanRepayments,
+  getKycRecord,
+  evaluateKyc,
+  roundMoney
+} from './mockData.js';
+import { buildStatement } from './statements.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SCORE = 300;
+const MAX_SCORE = 850;
+
+const scoringError = (code, message, param) => ({ error: { code, message, ...(param ? { param } : {}) } });
+
+// First step whose threshold the value reaches; steps run from best to worst
+const step = (value, steps) => steps.find(([threshold]) => value >= threshold);
+
+const SCORE_BANDS = [
+  [750, 'excellent'],
+  [700, 'good'],
+  [650, 'fair'],
+  [550, 'poor'],
+  [MIN_SCORE, 'very_poor']
+];
+
+// Credits that are not income: refunds of the customer's own debits and the
+// proceeds of their loans
+const NON_INCOME_CATEGORIES = ['reversal', 'loan_disbursement'];
+
+const KYC_TIER_POINTS = { tier3: 120, tier2: 100, tier1: 60 };
+
+const kycFactor = (customerId, asOf) => {
+  const evaluation = evaluateKyc(customerId, asOf);
+  const kyc = getKycRecord(customerId);
+  const value = { status: evaluation.status, level: kyc ? kyc.level : null, expiresAt: evaluation.expiresAt };
+  if (!evaluation.complete) {
+    return {
+      value,
+      points: evaluation.code === 'KYC_NOT_FOUND' ? 0 : 20,
+      code: evaluation.code,
+      description: evaluation.reason
+    };
+  }
+  const points = KYC_TIER_POINTS[kyc.level] ?? KYC_TIER_POINTS.tier1;
+  return {
+    value,
+    points,
+    code: `KYC_${String(kyc.level).toUpperCase()}`,
+    description: `KYC approved at ${kyc.level}`
+  };
+};
+
+const RISK_RATING_POINTS = { low: 100, medium: 60, high: 0 };
+
+const riskFactor = (customerId) => {
+  const kyc = getKycRecord(customerId);
+  const rating = kyc ? kyc.riskRating : null;
+  if (!(rating in RISK_RATING_POINTS)) {
+    return { value: null, points: 30, code: 'RISK_RATING_UNKNOWN', description: 'No risk rating on file' };
+  }
+  return {
+    value: rating,
+    points: RISK_RATING_POINTS[rating],
+    code: `RISK_RATING_${rating.toUpperCase()}`,
+    description: `Customer risk rating is ${rating}`
+  };
+};
+
+const ACCOUNT_AGE_STEPS = [[730, 90], [365, 75], [180, 55], [90, 35], [30, 15], [0, 0]];
+
+const accountAgeFactor = (accounts, asOf) => {
+  if (!accounts.length) {
+    return { value: null, points: 0, code: 'NO_ACCOUNT', description: 'Customer has no accounts' };
+  }
+  const oldest = Math.min(...accounts.map(account => new Date(account.createdAt).getTime()));
+  const days = Math.max(0, Math.floor((asOf.getTime() - oldest) / DAY_MS));
+  const [, points] = step(days, ACCOUNT_AGE_STEPS);
+  return {
+    value: days,
+    points,
+    code: days >= 365 ? 'ESTABLISHED_ACCOUNT' : 'SHORT_ACCOUNT_HISTORY',
+    description: `Oldest account opened ${days} days ago`
+  };
+};
+
+// Average of the customer's combined end-of-day balance over the window,
+// rebuilt from each account's statement for the period. An account opened
+// during the window adds nothing for the days before it existed.
+const averageDailyBalance = (accounts, start, asOf) => {
+  const days = Math.max(1, Math.ceil((asOf.getTime() - start.getTime()) / DAY_MS));
+  let total = 0;
+  accounts.forEach(account => {
+    const opened = Math.max(start.getTime(), new Date(account.createdAt).getTime());
+    const { statement } = buildStatement(account.id, { from: new Date(opened).toISOString(), to: asOf.toISOString() });
+    let balance = statement.openingBalance;
+    let index = 0;
+    for (let day = 1; day <= days; day += 1) {
+      const endOfDay = Math.min(start.getTime() + day * DAY_MS, asOf.getTime());
+      if (endOfDay < opened) continue;
+      while (index < statement.transactions.length && new Date(statement.transactions[index].bookedAt).getTime() <= endOfDay) {
+        balance = statement.transactions[index].runningBalance;
+        index += 1;
+      }
+      total += balance;
+    }
+  });
+  return roundMoney(total / days);
+};
+
+const BALANCE_STEPS = [[20000, 100], [10000, 85], [5000, 70], [1000, 45], [100, 20], [-Infinity, 0]];
+
+const balanceFactor = (accounts, start, asOf) => {
+  const average = averageDailyBalance(accounts, start, asOf);
+  const [, points] = step(average, BALANCE_STEPS);
+  return {
+    value: average,
+    points,
+    code: average >= 5000 ? 'HEALTHY_AVERAGE_BALANCE' : 'LOW_AVERAGE_BALANCE',
+    description: `Average daily balance of ${average} over the last ${creditScoringConfig.lookbackDays} days`
+  };
+};
+
+const monthlyInflow = (accounts, start, asOf) => {
+  const accountIds = accounts.map(account => account.id);
+  const total = getTransactions()
+    .filter(txn => accountIds.includes(txn.accountId)
+      && txn.type === 'credit'
+      && txn.status !== 'failed'
+      && !NON_INCOME_CATEGORIES.includes(txn.category)
+      && new Date(txn.initiatedAt) > start
+      && new Date(txn.initiatedAt) <= asOf)
+    .reduce((sum, txn) => sum + txn.amount, 0);
+  return roundMoney(total / (creditScoringConfig.lookbackDays / 30));
+};
+
+const INFLOW_STEPS = [[10000, 100], [5000, 85], [2000, 65], [500, 40], [0.01, 20], [-Infinity, 0]];
+
+const inflowFactor = (inflow) => {
+  const [, points] = step(inflow, INFLOW_STEPS);
+  let code = 'STRONG_INFLOWS';
+  if (inflow === 0) code = 'NO_RECENT_INFLOWS';
+  else if (inflow < 2000) code = 'LOW_INFLOWS';
+  return {
+    value: inflow,
+    points,
+    code,
+    description: `Average monthly inflow of ${inflow} over the last ${creditScoringConfig.lookbackDays} days`
+  };
+};
+
+const isBy = (date, asOf) => Boolean(date) && new Date(date) <= asOf;
+
+// Principal repaid on the loan by asOf; a repayment counts until it fails
+const principalRepaid = (loanId, asOf) => getLoanRepayments()
+  .filter(repayment => repayment.loanId === loanId
+    && isBy(repayment.paidAt, asOf)
+    && !(repayment.status === 'failed' && isBy(repayment.failedAt, asOf)))
+  .reduce((sum, repayment) => sum + repayment.allocation.principal, 0);
+
+// Principal still owed at asOf on loans disbursed by then, plus loans
+// approved by then but not yet paid out
+const loanExposure = (customerId, asOf) => roundMoney(getLoans()
+  .filter(loan => loan.customerId === customerId && isBy(loan.appliedAt, asOf))
+  .reduce((sum, loan) => {
+    if (isBy(loan.disbursedAt, asOf)) return sum + Math.max(0, loan.amount - principalRepaid(loan.id, asOf));
+    if (isBy(loan.approvedAt, asOf) && ['approved', 'disbursed', 'closed'].includes(loan.status)) return sum + loan.amount;
+    return sum;
+  }, 0));
+
+const exposureFactor = (exposure, inflow) => {
+  if (exposure === 0) {
+    return { value: 0, points: 40, code: 'NO_LOAN_EXPOSURE', description: 'No outstanding loans' };
+  }
+  // Outstanding debt as a share of a year's inflows
+  const ratio = inflow > 0 ? exposure / (inflow * 12) : Infinity;
+  const points = ratio <= 0.25 ? 30 : ratio <= 0.5 ? 15 : 0;
+  return {
+    value: exposure,
+    points,
+    code: points > 0 ? 'MANAGEABLE_LOAN_EXPOSURE' : 'HIGH_LOAN_EXPOSURE',
+    description: `${exposure} outstanding on existing loans`
+  };
+};
+
+// Outcomes that count against the customer and are reported as reasons
+const ADVERSE_CODES = [
+  'KYC_NOT_FOUND',
+  'KYC_INCOMPLETE',
+  'KYC_EXPIRED',
+  'KYC_TIER1',
+  'RISK_RATING_MEDIUM',
+  'RISK_RATING_HIGH',
+  'RISK_RATING_UNKNOWN',
+  'NO_ACCOUNT',
+  'SHORT_ACCOUNT_HISTORY',
+  'LOW_AVERAGE_BALANCE',
+  'NO_RECENT_INFLOWS',
+  'LOW_INFLOWS',
+  'HIGH_LOAN_EXPOSURE'
+];
+
+const MAX_POINTS = {
+  kyc: KYC_TIER_POINTS.tier3,
+  riskRating: RISK_RATING_POINTS.low,
+  accountAge: ACCOUNT_AGE_STEPS[0][1],
+  balanceHistory: BALANCE_STEPS[0][1],
+  inflows: INFLOW_STEPS[0][1],
+  loanExposure: 40
+};
+
+// Rule-based credit score between 300 and 850. Each factor adds points to the
+// 300 floor; the same data and asOf always give the same score. reasons lists
+// the adverse factors, those that cost the most points first.
+export const scoreCustomer = (customerId, { asOf } = {}) => {
+  const customer = getCustomerById(customerId);
+  if (!customer) {
+    return scoringError('CUSTOMER_NOT_FOUND', `Customer not found: ${customerId}`);
+  }
+  const asOfDate = asOf === undefined ? new Date() : new Date(asOf);
+  if (isNaN(asOfDate.getTime())) {
+    return scoringError('INVALID_DATE', `asOf must be a valid ISO date, got "${asOf}"`, 'asOf');
+  }
+
+  const start = new Date(asOfDate.getTime() - creditScoringConfig.lookbackDays * DAY_MS);
+  const accounts = getAccounts().filter(account =>
+    account.customerId === customerId && new Date(account.createdAt) <= asOfDate);
+  const inflow = monthlyInflow(accounts, start, asOfDate);
+
+  const evaluated = {
+    kyc: kycFactor(customerId, asOfDate),
+    riskRating: riskFactor(customerId),
+    accountAge: accountAgeFactor(accounts, asOfDate),
+    balanceHistory: balanceFactor(accounts, start, asOfDate),
+    inflows: inflowFactor(inflow),
+    loanExposure: exposureFactor(loanExposure(customerId, asOfDate), inflow)
+  };
+  const factors = Object.entries(evaluated).map(([factor, result]) => ({
+    factor,
+    ...result,
+    maxPoints: MAX_POINTS[factor],
+    adverse: ADVERSE_CODES.includes(result.code)
+  }));
+
+  const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+  const score = Math.min(MAX_SCORE, MIN_SCORE + points);
+  const [, band] = step(score, SCORE_BANDS);
+
+  return {
+    creditScore: {
+      customerId,
+      score,
+      band,
+      eligible: score >= creditScoringConfig.minEligibleScore,
+      minEligibleScore: creditScoringConfig.minEligibleScore,
+      reasons: factors
+        .filter(factor => factor.adverse)
+        .sort((a, b) => (b.maxPoints - b.points) - (a.maxPoints - a.points))
+        .map(({ code, factor, description }) => ({ code, factor, description })),
+      factors,
+      lookbackDays: creditScoringConfig.lookbackDays,
+      asOf: asOfDate.toISOString()
+    }
+  };
+};
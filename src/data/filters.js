@@ -0,0 +1,107 @@
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const filterError = (code, message, param) => ({ error: { code, message, param } });
+
+// Query values may be repeated (status=a&status=b) or comma-separated
+// (status=a,b); both give a list of trimmed, non-empty values
+const listValues = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Date filter bound. A date without a time covers the whole day, so an upper
+// bound of 2024-01-05 includes everything on the 5th.
+export const parseDateBound = (value, endOfDay) => {
+  const text = String(value);
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY.test(text)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Filters a list from query parameters, described by spec:
+//   values: { param: allowedValues | null } - exact match on the field of the
+//     same name, any of a comma-separated list; null accepts any value
+//   range: { field, min, max } - numeric range, e.g. minAmount/maxAmount
+//   search: [fields] - search=<terms>, every term must appear (case-insensitive)
+//     in at least one of the fields
+//   dates: [fields] - <field>From/<field>To on each time field; dateFrom/dateTo
+//     apply to the first one
+// Returns { items } or an error naming the parameter that is invalid.
+export const applyFilters = (items, query, { values = {}, range, search, dates = [] }) => {
+  const predicates = [];
+
+  for (const [param, allowed] of Object.entries(values)) {
+    if (query[param] === undefined) continue;
+    const wanted = listValues(query[param]);
+    if (!wanted.length) {
+      return filterError('INVALID_FILTER', `${param} must not be empty`, param);
+    }
+    const unknown = allowed ? wanted.filter(value => !allowed.includes(value)) : [];
+    if (unknown.length) {
+      return filterError('INVALID_FILTER', `${param} must be one or more of: ${allowed.join(', ')} (got ${unknown.join(', ')})`, param);
+    }
+    predicates.push(item => wanted.includes(item[param]));
+  }
+
+  if (range) {
+    const bounds = {};
+    for (const param of [range.min, range.max]) {
+      if (query[param] === undefined) continue;
+      const value = Number(query[param]);
+      if (query[param] === '' || !Number.isFinite(value) || value < 0) {
+        return filterError('INVALID_FILTER', `${param} must be a number of 0 or more`, param);
+      }
+      bounds[param] = value;
+    }
+    if (bounds[range.min] !== undefined && bounds[range.max] !== undefined && bounds[range.min] > bounds[range.max]) {
+      return filterError('INVALID_RANGE', `${range.min} must not be greater than ${range.max}`, range.min);
+    }
+    if (bounds[range.min] !== undefined) predicates.push(item => item[range.field] >= bounds[range.min]);
+    if (bounds[range.max] !== undefined) predicates.push(item => item[range.field] <= bounds[range.max]);
+  }
+
+  if (search && query.search !== undefined) {
+    const terms = String(query.search).toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) {
+      return filterError('INVALID_FILTER', 'search must contain at least one term', 'search');
+    }
+    predicates.push(item => {
+      const text = search.map(field => (item[field] === null || item[field] === undefined ? '' : String(item[field])))
+        .join('\n')
+        .toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+
+  for (const [index, field] of dates.entries()) {
+    const params = [[`${field}From`, false], [`${field}To`, true]];
+    if (index === 0) params.push(['dateFrom', false], ['dateTo', true]);
+
+    const bounds = {};
+    for (const [param, endOfDay] of params) {
+      if (query[param] === undefined) continue;
+      const date = parseDateBound(query[param], endOfDay);
+      if (!date) {
+        return filterError('INVALID_FILTER', `${param} must be a valid ISO date, got "${query[param]}"`, param);
+      }
+      const key = endOfDay ? 'to' : 'from';
+      // When both a field bound and its dateFrom/dateTo alias are given, the
+      // narrower one applies
+      if (!bounds[key] || (endOfDay ? date < bounds[key].date : date > bounds[key].date)) {
+        bounds[key] = { date, param };
+      }
+    }
+    if (bounds.from && bounds.to && bounds.from.date > bounds.to.date) {
+      return filterError('INVALID_DATE_RANGE', `${bounds.from.param} must not be after ${bounds.to.param}`, bounds.from.param);
+    }
+    // Items without a value for the field (e.g. not yet processed) never match
+    // a range on it
+    if (bounds.from) predicates.push(item => item[field] && new Date(item[field]) >= bounds.from.date);
+    if (bounds.to) predicates.push(item => item[field] && new Date(item[field]) <= bounds.to.date);
+  }
+
+  return { items: items.filter(item => predicates.every(predicate => predicate(item))) };
+};
@@ -0,0 +1,644 @@
+import {
+  getAccountById,
+  getAccountByNumber,
+  getPaymentById,
+  getPaymentImports,
+  addPaymentImport,
+  updatePaymentImport,
+  addPayment,
+  evaluateKyc,
+  roundMoney
+} from './mockData.js';
+import { buildPaymentApproval, checkApprovalCurrency, isApprovalRequired } from './approvals.js';
+
+const PAIN_001_NAMESPACE = /^urn:iso:std:iso:20022:tech:xsd:(pain\.001\.001\.\d{2})$/;
+const PAIN_002_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.002.001.10';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+const NAME_CHAR = /[A-Za-z0-9_.:-]/;
+
+// Code points the XML 1.0 Char production allows; anything else, including
+// values past U+10FFFF, is not a legal character reference
+const isXmlChar = (codePoint) => codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD
+  || (codePoint >= 0x20 && codePoint <= 0xD7FF)
+  || (codePoint >= 0xE000 && codePoint <= 0xFFFD)
+  || (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+
+// Minimal XML reader for ISO 20022 documents: elements, attributes, text,
+// CDATA, comments and the XML declaration (DTDs are refused). Every element
+// records the line and column of its start tag so validation errors can point
+// at it. Well-formedness errors stop parsing and throw with the position.
+const readXml = (source) => {
+  const text = String(source);
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+  const document = { name: '#document', children: [] };
+  const stack = [document];
+
+  const openPath = () => `/${stack.slice(1).map(el => el.qname).join('/')}`;
+  const fail = (message, at = { line, column }) => {
+    throw Object.assign(new Error(message), { xmlError: { ...at, element: openPath() } });
+  };
+  const startsWith = (token) => text.startsWith(token, pos);
+  const advance = (count = 1) => {
+    for (let i = 0; i < count && pos < text.length; i++) {
+      if (text[pos] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      pos += 1;
+    }
+  };
+  const skipUntil = (terminator, what) => {
+    const at = { line, column };
+    const end = text.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`, at);
+    const skipped = text.slice(pos, end);
+    advance(end - pos + terminator.length);
+    return skipped;
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) advance();
+  };
+  const readName = () => {
+    const start = pos;
+    if (!/[A-Za-z_:]/.test(text[pos] || '')) fail(`Expected a name but found ${JSON.stringify(text[pos] || 'end of document')}`);
+    while (pos < text.length && NAME_CHAR.test(text[pos])) advance();
+    return text.slice(start, pos);
+  };
+  const readEntity = () => {
+    const at = { line, column };
+    const end = text.indexOf(';', pos);
+    const entity = end === -1 ? '' : text.slice(pos + 1, end);
+    let value = XML_ENTITIES[entity];
+    let codePoint;
+    if (/^#\d+$/.test(entity)) codePoint = Number(entity.slice(1));
+    if (/^#x[0-9A-Fa-f]+$/.test(entity)) codePoint = parseInt(entity.slice(2), 16);
+    if (codePoint !== undefined) {
+      if (!isXmlChar(codePoint)) fail(`Character reference "&${entity};" is not a valid XML character`, at);
+      value = String.fromCodePoint(codePoint);
+    }
+    if (value === undefined) fail(`Unknown or malformed entity reference "&${entity || text.slice(pos + 1, pos + 10)}"`, at);
+    advance(entity.length + 2);
+    return value;
+  };
+  // Reads character data up to (not including) the stop character
+  const readChars = (stop) => {
+    let value = '';
+    while (pos < text.length && text[pos] !== stop) {
+      if (text[pos] === '&') {
+        value += readEntity();
+      } else {
+        if (stop !== '<' && text[pos] === '<') fail('"<" is not allowed in attribute values');
+        value += text[pos];
+        advance();
+      }
+    }
+    return value;
+  };
+
+  const readStartTag = () => {
+    const at = { line, column };
+    advance();
+    const qname = readName();
+    const attributes = {};
+    for (;;) {
+      const hadSpace = /\s/.test(text[pos] || '');
+      skipWhitespace();
+      if (pos >= text.length) fail(`Unterminated start tag <${qname}>`, at);
+      if (startsWith('/>') || text[pos] === '>') break;
+      if (!hadSpace) fail(`Expected whitespace between attributes of <${qname}>`);
+      const attrAt = { line, column };
+      const attrName = readName();
+      skipWhitespace();
+      if (text[pos] !== '=') fail(`Expected "=" after attribute ${attrName}`);
+      advance();
+      skipWhitespace();
+      const quote = text[pos];
+      if (quote !== '"' && quote !== '\'') fail(`Attribute ${attrName} value must be quoted`);
+      advance();
+      const value = readChars(quote);
+      if (pos >= text.length) fail(`Unterminated value for attribute ${attrName}`, attrAt);
+      advance();
+      if (attributes[attrName] !== undefined) fail(`Duplicate attribute ${attrName} on <${qname}>`, attrAt);
+      attributes[attrName] = value;
+    }
+
+    const selfClosing = startsWith('/>');
+    advance(selfClosing ? 2 : 1);
+
+    const parent = stack[stack.length - 1];
+    if (parent === document && document.children.length) {
+      fail(`Only one root element is allowed; found a second one <${qname}>`, at);
+    }
+    const element = {
+      qname,
+      name: qname.includes(':') ? qname.split(':').pop() : qname,
+      attributes,
+      children: [],
+      text: '',
+      line: at.line,
+      column: at.column
+    };
+    parent.children.push(element);
+    if (!selfClosing) stack.push(element);
+  };
+
+  const readEndTag = () => {
+    const at = { line, column };
+    advance(2);
+    const qname = readName();
+    skipWhitespace();
+    if (text[pos] !== '>') fail(`Expected ">" to close </${qname}>`);
+    advance();
+    const open = stack[stack.length - 1];
+    if (open === document) fail(`Closing tag </${qname}> has no matching start tag`, at);
+    if (open.qname !== qname) {
+      fail(`Expected </${open.qname}> (opened at line ${open.line}, column ${open.column}) but found </${qname}>`, at);
+    }
+    stack.pop();
+  };
+
+  while (pos < text.length) {
+    const open = stack[stack.length - 1];
+    if (startsWith('<?')) {
+      skipUntil('?>', 'processing instruction');
+    } else if (startsWith('<!--')) {
+      skipUntil('-->', 'comment');
+    } else if (startsWith('<![CDATA[')) {
+      if (open === document) fail('CDATA is not allowed outside the root element');
+      advance(9);
+      open.text += skipUntil(']]>', 'CDATA section');
+    } else if (startsWith('<!')) {
+      fail('DOCTYPE and other markup declarations are not supported');
+    } else if (startsWith('</')) {
+      readEndTag();
+    } else if (text[pos] === '<') {
+      readStartTag();
+    } else {
+      const at = { line, column };
+      const chars = readChars('<');
+      if (open === document && chars.trim()) fail('Text is not allowed outside the root element', at);
+      if (open !== document) open.text += chars;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(`Element <${open.qname}> opened at line ${open.line}, column ${open.column} is never closed`);
+  }
+  if (!document.children.length) fail('The document has no root element');
+  return document.children[0];
+};
+
+// Parses an XML string. Returns { root } or a coded error whose errors list
+// carries the line, column and open element of the failure.
+export const parseXml = (source) => {
+  try {
+    return { root: readXml(source) };
+  } catch (err) {
+    if (!err.xmlError) throw err;
+    return {
+      error: { code: 'XML_PARSE_ERROR', message: `Malformed XML: ${err.message}` },
+      errors: [{ code: 'XML_PARSE_ERROR', message: err.message, ...err.xmlError }]
+    };
+  }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Builds XML from nested [name, attributes?, ...children] arrays, skipping
+// null children, indented two spaces per level
+export const renderXml = (node, depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const [name, ...rest] = node;
+  const hasAttributes = rest[0] && typeof rest[0] === 'object' && !Array.isArray(rest[0]);
+  const attributes = hasAttributes ? rest.shift() : {};
+  const attributeText = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  const children = rest.filter(child => child !== null && child !== undefined);
+
+  if (children.length === 1 && !Array.isArray(children[0])) {
+    return `${indent}<${name}${attributeText}>${escapeXml(children[0])}</${name}>`;
+  }
+  return [
+    `${indent}<${name}${attributeText}>`,
+    ...children.map(child => renderXml(child, depth + 1)),
+    `${indent}</${name}>`
+  ].join('\n');
+};
+
+export const xmlDocument = (root) => `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(root)}\n`;
+
+const childNamed = (element, name) => element && element.children.find(child => child.name === name);
+const childrenNamed = (element, name) => (element ? element.children.filter(child => child.name === name) : []);
+const descend = (element, path) => path.split('/').reduce((node, name) => childNamed(node, name), element);
+const textOf = (element) => (element ? element.text.trim() : undefined);
+
+// Account identification: IBAN or a proprietary/other identifier
+const accountIdOf = (accountElement) =>
+  textOf(descend(accountElement, 'Id/IBAN')) || textOf(descend(accountElement, 'Id/Othr/Id'));
+
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Maps a parsed pain.001 document to payment drafts, collecting every problem
+// found instead of stopping at the first. Each problem names the element path
+// and the line/column of the element concerned (or of its nearest ancestor
+// when the element is missing).
+const readPain001 = (root) => {
+  const errors = [];
+  const report = (code, message, element, path) => {
+    errors.push({ code, message, element: path, line: element.line, column: element.column });
+  };
+  // Required text at a relative path; a missing element is reported at the
+  // deepest ancestor that does exist
+  const required = (element, basePath, relativePath) => {
+    let node = element;
+    let path = basePath;
+    for (const name of relativePath.split('/')) {
+      const next = childNamed(node, name);
+      if (!next) {
+        report('MISSING_ELEMENT', `Required element ${name} is missing from ${path}`, node, `${path}/${name}`);
+        return undefined;
+      }
+      node = next;
+      path = `${path}/${name}`;
+    }
+    if (!textOf(node)) {
+      report('EMPTY_ELEMENT', `Element ${path} must not be empty`, node, path);
+      return undefined;
+    }
+    return textOf(node);
+  };
+
+  const namespace = root.attributes.xmlns || Object.entries(root.attributes)
+    .filter(([key]) => key.startsWith('xmlns:') && key.slice(6) === root.qname.split(':')[0])
+    .map(([, value]) => value)[0];
+  const namespaceMatch = PAIN_001_NAMESPACE.exec(namespace || '');
+
+  if (root.name !== 'Document') {
+    report('INVALID_ROOT', `Root element must be Document, found ${root.qname}`, root, `/${root.qname}`);
+    return { errors };
+  }
+  if (!namespaceMatch) {
+    report(
+      'UNSUPPORTED_NAMESPACE',
+      `Document namespace must be urn:iso:std:iso:20022:tech:xsd:pain.001.001.xx, found ${namespace || 'none'}`,
+      root,
+      '/Document'
+    );
+  }
+
+  const initiation = childNamed(root, 'CstmrCdtTrfInitn');
+  if (!initiation) {
+    report('MISSING_ELEMENT', 'Required element CstmrCdtTrfInitn is missing from /Document', root, '/Document/CstmrCdtTrfInitn');
+    return { errors };
+  }
+  const basePath = '/Document/CstmrCdtTrfInitn';
+
+  const header = childNamed(initiation, 'GrpHdr');
+  const headerPath = `${basePath}/GrpHdr`;
+  const group = header
+    ? {
+      messageId: required(header, headerPath, 'MsgId'),
+      creationDateTime: required(header, headerPath, 'CreDtTm'),
+      numberOfTransactions: required(header, headerPath, 'NbOfTxs'),
+      controlSum: textOf(childNamed(header, 'CtrlSum')),
+      initiatingParty: textOf(descend(header, 'InitgPty/Nm')) || null
+    }
+    : {};
+  if (!header) {
+    report('MISSING_ELEMENT', `Required element GrpHdr is missing from ${basePath}`, initiation, headerPath);
+  }
+
+  const paymentInfos = childrenNamed(initiation, 'PmtInf');
+  if (!paymentInfos.length) {
+    report('MISSING_ELEMENT', `At least one PmtInf is required in ${basePath}`, initiation, `${basePath}/PmtInf`);
+  }
+
+  const blocks = paymentInfos.map((paymentInfo, infoIndex) => {
+    const infoPath = `${basePath}/PmtInf[${infoIndex + 1}]`;
+    const paymentInformationId = required(paymentInfo, infoPath, 'PmtInfId');
+    const method = required(paymentInfo, infoPath, 'PmtMtd');
+    if (method && method !== 'TRF') {
+      const methodElement = childNamed(paymentInfo, 'PmtMtd');
+      report('UNSUPPORTED_PAYMENT_METHOD', `PmtMtd ${method} is not supported; only TRF credit transfers are accepted`, methodElement, `${infoPath}/PmtMtd`);
+    }
+
+    // ReqdExctnDt holds the date directly (pain.001.001.03) or in Dt/DtTm (later versions)
+    const executionElement = childNamed(paymentInfo, 'ReqdExctnDt');
+    const executionText = textOf(childNamed(executionElement, 'Dt')) ||
+      textOf(childNamed(executionElement, 'DtTm')) || textOf(executionElement);
+    let requestedExecutionDate = null;
+    if (!executionElement) {
+      report('MISSING_ELEMENT', `Required element ReqdExctnDt is missing from ${infoPath}`, paymentInfo, `${infoPath}/ReqdExctnDt`);
+    } else if (!executionText || isNaN(new Date(executionText).getTime()) ||
+      (!DATE_PATTERN.test(executionText) && !executionText.includes('T'))) {
+      report('INVALID_DATE', `ReqdExctnDt must be an ISO date, found "${executionText || ''}"`, executionElement, `${infoPath}/ReqdExctnDt`);
+    } else {
+      requestedExecutionDate = executionText;
+    }
+
+    const debtorName = textOf(descend(paymentInfo, 'Dbtr/Nm')) || null;
+    const debtorAccountElement = childNamed(paymentInfo, 'DbtrAcct');
+    const debtorAccountId = debtorAccountElement ? accountIdOf(debtorAccountElement) : undefined;
+    let account = null;
+    if (!debtorAccountElement) {
+      report('MISSING_ELEMENT', `Required element DbtrAcct is missing from ${infoPath}`, paymentInfo, `${infoPath}/DbtrAcct`);
+    } else if (!debtorAccountId) {
+      report('MISSING_ELEMENT', `DbtrAcct must identify the account with Id/IBAN or Id/Othr/Id`, debtorAccountElement, `${infoPath}/DbtrAcct/Id`);
+    } else {
+      // The debtor account is one of ours, identified by account number or ID
+      account = getAccountByNumber(debtorAccountId) || getAccountById(debtorAccountId) || null;
+      if (!account) {
+        report('ACCOUNT_NOT_FOUND', `Debtor account ${debtorAccountId} does not exist`, debtorAccountElement, `${infoPath}/DbtrAcct`);
+      }
+    }
+
+    const transferElements = childrenNamed(paymentInfo, 'CdtTrfTxInf');
+    if (!transferElements.length) {
+      report('MISSING_ELEMENT', `At least one CdtTrfTxInf is required in ${infoPath}`, paymentInfo, `${infoPath}/CdtTrfTxInf`);
+    }
+
+    const transfers = transferElements.map((transfer, txIndex) => {
+      const txPath = `${infoPath}/CdtTrfTxInf[${txIndex + 1}]`;
+      const endToEndId = required(transfer, txPath, 'PmtId/EndToEndId');
+      const instructionId = textOf(descend(transfer, 'PmtId/InstrId')) || null;
+
+      const amountElement = descend(transfer, 'Amt/InstdAmt');
+      let amount;
+      let currency;
+      if (!amountElement) {
+        required(transfer, txPath, 'Amt/InstdAmt');
+      } else {
+        currency = amountElement.attributes.Ccy;
+        const amountText = textOf(amountElement);
+        if (!AMOUNT_PATTERN.test(amountText || '') || Number(amountText) <= 0) {
+          report('INVALID_AMOUNT', `InstdAmt must be a positive amount with at most 2 decimals, found "${amountText || ''}"`, amountElement, `${txPath}/Amt/InstdAmt`);
+        } else {
+          amount = Number(amountText);
+        }
+        if (!currency) {
+          report('MISSING_ATTRIBUTE', 'InstdAmt must have a Ccy attribute', amountElement, `${txPath}/Amt/InstdAmt/@Ccy`);
+        } else if (account && account.currency !== currency) {
+          report('CURRENCY_MISMATCH', `Currency ${currency} does not match debtor account currency ${account.currency}`, amountElement, `${txPath}/Amt/InstdAmt/@Ccy`);
+        } else {
+          const unsupported = checkApprovalCurrency(currency);
+          if (unsupported) {
+            report(unsupported.error.code, unsupported.error.message, amountElement, `${txPath}/Amt/InstdAmt/@Ccy`);
+          }
+        }
+      }
+
+      const creditorName = required(transfer, txPath, 'Cdtr/Nm');
+      const creditorAccountElement = childNamed(transfer, 'CdtrAcct');
+      const creditorAccount = creditorAccountElement ? accountIdOf(creditorAccountElement) : undefined;
+      if (!creditorAccountElement) {
+        report('MISSING_ELEMENT', `Required element CdtrAcct is missing from ${txPath}`, transfer, `${txPath}/CdtrAcct`);
+      } else if (!creditorAccount) {
+        report('MISSING_ELEMENT', 'CdtrAcct must identify the account with Id/IBAN or Id/Othr/Id', creditorAccountElement, `${txPath}/CdtrAcct/Id`);
+      }
+
+      const remittance = childrenNamed(childNamed(transfer, 'RmtInf'), 'Ustrd').map(textOf).filter(Boolean);
+      return {
+        endToEndId,
+        instructionId,
+        amount,
+        currency,
+        beneficiary: creditorName,
+        beneficiaryAccount: creditorAccount,
+        remittanceInformation: remittance.length ? remittance.join(' ') : null
+      };
+    });
+
+    const declaredCount = textOf(childNamed(paymentInfo, 'NbOfTxs'));
+    if (declaredCount !== undefined && Number(declaredCount) !== transfers.length) {
+      report('NB_OF_TXS_MISMATCH', `NbOfTxs is ${declaredCount} but the block has ${transfers.length} CdtTrfTxInf`, childNamed(paymentInfo, 'NbOfTxs'), `${infoPath}/NbOfTxs`);
+    }
+    const declaredSum = textOf(childNamed(paymentInfo, 'CtrlSum'));
+    const blockSum = roundMoney(transfers.reduce((sum, transfer) => sum + (transfer.amount || 0), 0));
+    if (declaredSum !== undefined && roundMoney(Number(declaredSum)) !== blockSum) {
+      report('CTRL_SUM_MISMATCH', `CtrlSum is ${declaredSum} but the amounts add up to ${blockSum}`, childNamed(paymentInfo, 'CtrlSum'), `${infoPath}/CtrlSum`);
+    }
+
+    return { paymentInformationId, requestedExecutionDate, debtorName, account, transfers };
+  });
+
+  const allTransfers = blocks.flatMap(block => block.transfers);
+  if (header && group.numberOfTransactions !== undefined && Number(group.numberOfTransactions) !== allTransfers.length) {
+    report('NB_OF_TXS_MISMATCH', `NbOfTxs is ${group.numberOfTransactions} but the document has ${allTransfers.length} CdtTrfTxInf`, childNamed(header, 'NbOfTxs'), `${headerPath}/NbOfTxs`);
+  }
+  const total = roundMoney(allTransfers.reduce((sum, transfer) => sum + (transfer.amount || 0), 0));
+  if (header && group.controlSum !== undefined && roundMoney(Number(group.controlSum)) !== total) {
+    report('CTRL_SUM_MISMATCH', `CtrlSum is ${group.controlSum} but the amounts add up to ${total}`, childNamed(header, 'CtrlSum'), `${headerPath}/CtrlSum`);
+  }
+  if (group.messageId && getPaymentImports().some(paymentImport => paymentImport.messageId === group.messageId)) {
+    report('DUPLICATE_MESSAGE_ID', `MsgId ${group.messageId} has already been imported`, childNamed(header, 'MsgId'), `${headerPath}/MsgId`);
+  }
+
+  return {
+    errors,
+    messageNameId: namespaceMatch ? namespaceMatch[1] : null,
+    group,
+    blocks,
+    total
+  };
+};
+
+// Execution dates in the future schedule the payment; today or earlier run now
+const scheduledForDate = (requestedExecutionDate) => {
+  const date = new Date(requestedExecutionDate);
+  return date.getTime() > Date.now() ? date.toISOString() : null;
+};
+
+// Checks a pain.001 document without importing it
+export const validatePain001 = (xml) => {
+  const parsed = parseXml(xml);
+  if (parsed.error) {
+    return { valid: false, errors: parsed.errors };
+  }
+  const document = readPain001(parsed.root);
+  return {
+    valid: document.errors.length === 0,
+    messageId: document.group ? document.group.messageId || null : null,
+    messageNameId: document.messageNameId || null,
+    numberOfTransactions: document.blocks ? document.blocks.reduce((count, block) => count + block.transfers.length, 0) : 0,
+    controlSum: document.total === undefined ? null : document.total,
+    errors: document.errors
+  };
+};
+
+// Imports a pain.001 document. The document is checked in full first; if any
+// element is invalid nothing is created and every problem is returned. Each
+// CdtTrfTxInf then becomes a bank transfer payment, exactly as if it had been
+// sent to POST /payments/initiate (including maker-checker approval).
+export const importPain001 = (xml, { initiatedBy } = {}) => {
+  const parsed = parseXml(xml);
+  if (parsed.error) return parsed;
+
+  const document = readPain001(parsed.root);
+  if (document.errors.length) {
+    const duplicate = document.errors.length === 1 && document.errors[0].code === 'DUPLICATE_MESSAGE_ID';
+    return {
+      error: duplicate
+        ? { code: 'DUPLICATE_MESSAGE_ID', message: document.errors[0].message }
+        : { code: 'PAIN001_VALIDATION_FAILED', message: `The pain.001 document has ${document.errors.length} error(s)` },
+      errors: document.errors
+    };
+  }
+
+  const { group, blocks, messageNameId, total } = document;
+  const needsApproval = blocks.some(block =>
+    block.transfers.some(transfer => isApprovalRequired(block.account.id, transfer.amount)));
+  if (needsApproval && !initiatedBy) {
+    return {
+      error: {
+        code: 'INITIATOR_REQUIRED',
+        message: 'initiatedBy is required: the document has payments above the approval threshold'
+      },
+      errors: []
+    };
+  }
+
+  const paymentImport = addPaymentImport({
+    messageId: group.messageId,
+    messageNameId,
+    creationDateTime: group.creationDateTime,
+    initiatingParty: group.initiatingParty,
+    numberOfTransactions: Number(group.numberOfTransactions),
+    controlSum: total,
+    initiatedBy: initiatedBy || null,
+    paymentInformation: []
+  });
+
+  const paymentInformation = blocks.map(block => {
+    const { account } = block;
+    const scheduledFor = scheduledForDate(block.requestedExecutionDate);
+    const payments = block.transfers.map(transfer => {
+      const approval = buildPaymentApproval({
+        accountId: account.id,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        initiatedBy
+      });
+      return addPayment({
+        accountId: account.id,
+        beneficiaryId: null,
+        beneficiary: transfer.beneficiary,
+        beneficiaryAccount: transfer.beneficiaryAccount,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        method: 'bank_transfer',
+        // NOTPROVIDED is the ISO placeholder for "no end-to-end reference"
+        reference: transfer.endToEndId === 'NOTPROVIDED' ? undefined : transfer.endToEndId,
+        kycComplete: evaluateKyc(account.customerId).complete,
+        sufficientBalance: account.balance >= transfer.amount,
+        initiatedBy: initiatedBy || null,
+        scheduledFor,
+        approval,
+        status: approval.required ? 'awaiting_approval' : (scheduledFor ? 'scheduled' : 'pending'),
+        importId: paymentImport.id,
+        paymentInformationId: block.paymentInformationId,
+        endToEndId: transfer.endToEndId,
+        instructionId: transfer.instructionId,
+        remittanceInformation: transfer.remittanceInformation
+      });
+    });
+    return {
+      paymentInformationId: block.paymentInformationId,
+      accountId: account.id,
+      debtorName: block.debtorName,
+      requestedExecutionDate: block.requestedExecutionDate,
+      paymentIds: payments.map(payment => payment.id)
+    };
+  });
+
+  return {
+    paymentImport: updatePaymentImport(paymentImport.id, {
+      paymentInformation,
+      paymentIds: paymentInformation.flatMap(info => info.paymentIds)
+    })
+  };
+};
+
+// Payment status -> ISO 20022 ExternalPaymentTransactionStatus1Code
+export const PAIN_002_STATUS_CODES = {
+  awaiting_approval: 'PDNG',
+  scheduled: 'ACCP',
+  pending: 'ACTC',
+  processing: 'ACSP',
+  completed: 'ACSC',
+  failed: 'RJCT',
+  rejected: 'RJCT',
+  returned: 'RJCT',
+  cancelled: 'CANC'
+};
+
+// Reason for a payment that did not go through, as a proprietary code plus
+// free text
+const statusReason = (payment) => {
+  if (payment.status === 'failed') return { code: payment.failureReason || 'FAILED', text: payment.failureMessage || null };
+  if (payment.status === 'rejected') return { code: 'APPROVAL_REJECTED', text: payment.rejectionReason || null };
+  if (payment.status === 'returned') return { code: 'RETURNED', text: payment.returnReason || null };
+  if (payment.status === 'cancelled') return { code: 'CANCELLED', text: null };
+  return null;
+};
+
+// One status for a set of payments: their common status, or PART when mixed
+const combinedStatus = (codes) => (new Set(codes).size === 1 ? codes[0] : 'PART');
+
+// Builds a pain.002 status report for an import from the current status of
+// each of its payments
+export const buildPain002 = (paymentImport, asOf = new Date()) => {
+  const createdAt = new Date(asOf).toISOString();
+  const blocks = paymentImport.paymentInformation.map(info => ({
+    info,
+    payments: info.paymentIds.map(getPaymentById).filter(Boolean)
+  }));
+  const allCodes = blocks.flatMap(({ payments }) => payments.map(payment => PAIN_002_STATUS_CODES[payment.status]));
+
+  const transactionStatus = (payment) => {
+    const reason = statusReason(payment);
+    return ['TxInfAndSts',
+      ['StsId', payment.id],
+      payment.instructionId ? ['OrgnlInstrId', payment.instructionId] : null,
+      ['OrgnlEndToEndId', payment.endToEndId],
+      ['TxSts', PAIN_002_STATUS_CODES[payment.status]],
+      reason
+        ? ['StsRsnInf',
+          ['Rsn', ['Prtry', reason.code]],
+          reason.text ? ['AddtlInf', reason.text] : null]
+        : null,
+      ['OrgnlTxRef',
+        ['Amt', ['InstdAmt', { Ccy: payment.currency }, payment.amount.toFixed(2)]],
+        ['Cdtr', ['Pty', ['Nm', payment.beneficiary]]]]
+    ];
+  };
+
+  return xmlDocument(['Document', { xmlns: PAIN_002_NAMESPACE },
+    ['CstmrPmtStsRpt',
+      ['GrpHdr',
+        ['MsgId', `STS-${paymentImport.id}-${createdAt.replace(/\D/g, '').slice(0, 14)}`],
+        ['CreDtTm', createdAt]],
+      ['OrgnlGrpInfAndSts',
+        ['OrgnlMsgId', paymentImport.messageId],
+        ['OrgnlMsgNmId', paymentImport.messageNameId],
+        ['OrgnlCreDtTm', paymentImport.creationDateTime],
+        ['OrgnlNbOfTxs', String(paymentImport.numberOfTransactions)],
+        ['OrgnlCtrlSum', paymentImport.controlSum.toFixed(2)],
+        ['GrpSts', combinedStatus(allCodes)]],
+      ...blocks.map(({ info, payments }) => ['OrgnlPmtInfAndSts',
+        ['OrgnlPmtInfId', info.paymentInformationId],
+        ['PmtInfSts', combinedStatus(payments.map(payment => PAIN_002_STATUS_CODES[payment.status]))],
+        ...payments.map(transactionStatus)
+      ])]
+  ]);
+};
@@ -0,0 +1,111 @@
+import {
+  getAccountById,
+  getLoanById,
+  updateLoan,
+  getTransactionById,
+  postCredit,
+  roundToMinorUnit
+} from './mockData.js';
+import { refreshLoanPosition } from './loanRepayments.js';
+
+const disbursementError = (code, message) => ({ error: { code, message } });
+
+// Pays an approved loan out to the borrower's linked account. The processing
+// fee is withheld, so the account is credited with the amount less the fee
+// (category loan_disbursement) while the borrower still owes the full amount.
+// The repayment schedule starts from the disbursement date.
+export const disburseLoan = (loanId) => {
+  const loan = getLoanById(loanId);
+  if (!loan) {
+    return disbursementError('LOAN_NOT_FOUND', `Loan not found: ${loanId}`);
+  }
+  if (loan.status === 'disbursed' || loan.status === 'closed') {
+    return disbursementError('ALREADY_DISBURSED', `Loan ${loan.id} was already disbursed on ${loan.disbursedAt}`);
+  }
+  if (loan.status !== 'approved') {
+    return disbursementError('LOAN_NOT_APPROVED', `Loan ${loan.id} must be approved before disbursement (status: ${loan.status})`);
+  }
+
+  // Only the borrower's own account, in the loan currency, may receive the money
+  const account = getAccountById(loan.accountId);
+  if (!account) {
+    return disbursementError('ACCOUNT_NOT_FOUND', `Disbursement account not found: ${loan.accountId}`);
+  }
+  if (account.customerId !== loan.customerId) {
+    return disbursementError(
+      'ACCOUNT_NOT_OWNED',
+      `Account ${account.id} does not belong to borrower ${loan.customerId}`
+    );
+  }
+  if (account.currency !== loan.currency) {
+    return disbursementError(
+      'CURRENCY_MISMATCH',
+      `Account ${account.id} is in ${account.currency}; loan ${loan.id} is in ${loan.currency}`
+    );
+  }
+
+  const processingFee = roundToMinorUnit(loan.processingFee || 0, loan.currency);
+  const netAmount = roundToMinorUnit(loan.amount - processingFee, loan.currency);
+  const result = postCredit({
+    accountId: loan.accountId,
+    amount: netAmount,
+    currency: loan.currency,
+    description: processingFee > 0
+      ? `Loan disbursement - ${loan.id} (processing fee ${processingFee} ${loan.currency} deducted)`
+      : `Loan disbursement - ${loan.id}`,
+    category: 'loan_disbursement',
+    counterparty: loan.id,
+    loanId: loan.id
+  });
+  if (result.error) return result;
+
+  updateLoan(loan.id, {
+    status: 'disbursed',
+    disbursement: {
+      grossAmount: loan.amount,
+      processingFee,
+      netAmount,
+      transactionId: result.transaction.id
+    },
+    disbursementFailureReason: null
+  });
+
+  return {
+    loan: refreshLoanPosition(loan.id),
+    transaction: result.transaction
+  };
+};
+
+// Where a loan is between approval and money reaching the borrower:
+// pending or rejected application, approved awaiting disbursement, disbursed
+// with the credit still settling, or settled.
+export const getDisbursementProgress = (loan) => {
+  if (!loan.disbursedAt) {
+    return { stage: loan.status === 'approved' ? 'awaiting_disbursement' : `application_${loan.status}`, transaction: null };
+  }
+  const transactionId = loan.disbursement && loan.disbursement.transactionId;
+  const transaction = transactionId ? getTransactionById(transactionId) || null : null;
+  return {
+    stage: transaction && transaction.status === 'pending' ? 'settling' : 'settled',
+    transaction
+  };
+};
+
+// Called when the credit behind a disbursement fails at settlement (e.g. the
+// borrower's account was suspended): the loan goes back to approved so it can
+// be disbursed again.
+export const failLoanDisbursement = (loanId, transactionId, failureReason) => {
+  const loan = getLoanById(loanId);
+  if (!loan || loan.status !== 'disbursed' || !loan.disbursement || loan.disbursement.transactionId !== transactionId) {
+    return null;
+  }
+
+  return updateLoan(loan.id, {
+    status: 'approved',
+    disbursedAt: null,
+    disbursement: null,
+    disbursementFailureReason: failureReason,
+    remainingBalance: null,
+    nextDueDate: null
+  });
+};
@@ -0,0 +1,150 @@
+import { getKycRecord, evaluateKyc, roundToMinorUnit } from './mockData.js';
+import loansConfig from '../config/loans.js';
+
+// KYC tiers from lowest to highest; a product needing tier2 also takes tier3
+export const KYC_TIERS = ['tier1', 'tier2', 'tier3'];
+
+// Loan product catalog. Amounts are in the product currency. rateTable gives
+// the yearly interest rate by amount: the first row whose maxAmount covers the
+// amount applies. fees.processingFeeRate is the percentage of the amount
+// withheld at disbursement; fees.instalmentFee is charged with every
+// instalment. Collateral is needed when collateral.required is set, or from
+// collateral.requiredFromAmount upwards.
+export const LOAN_PRODUCTS = [
+  {
+    id: 'salary-advance',
+    name: 'Salary Advance',
+    description: 'Short-term advance against the next salary payments',
+    currency: 'GHS',
+    minAmount: 100,
+    maxAmount: 5000,
+    tenures: [1, 2, 3, 6],
+    repaymentMethods: ['flat', 'annuity'],
+    rateTable: [
+      { maxAmount: 1000, interestRate: 12.0 },
+      { maxAmount: 5000, interestRate: 10.0 }
+    ],
+    fees: { processingFeeRate: 1, instalmentFee: 0 },
+    requiredKycTier: 'tier1',
+    collateral: { required: false, requiredFromAmount: null, description: 'No collateral; repaid from salary' }
+  },
+  {
+    id: 'sme-working-capital',
+    name: 'SME Working Capital',
+    description: 'Stock, payroll and running costs for small businesses',
+    currency: 'GHS',
+    minAmount: 1000,
+    maxAmount: 50000,
+    tenures: [3, 6, 9, 12, 18],
+    repaymentMethods: ['annuity', 'flat'],
+    rateTable: [
+      { maxAmount: 5000, interestRate: 10.0 },
+      { maxAmount: 10000, interestRate: 8.5 },
+      { maxAmount: 50000, interestRate: 7.5 }
+    ],
+    fees: { processingFeeRate: 1, instalmentFee: 5 },
+    requiredKycTier: 'tier2',
+    collateral: {
+      required: false,
+      requiredFromAmount: 20000,
+      description: 'Business assets, receivables or a guarantor for amounts from 20,000'
+    }
+  },
+  {
+    id: 'asset-finance',
+    name: 'Asset Finance',
+    description: 'Purchase of vehicles and equipment, secured on the asset bought',
+    currency: 'GHS',
+    minAmount: 5000,
+    maxAmount: 100000,
+    tenures: [12, 24, 36, 48],
+    repaymentMethods: ['annuity'],
+    rateTable: [
+      { maxAmount: 50000, interestRate: 7.5 },
+      { maxAmount: 100000, interestRate: 7.0 }
+    ],
+    fees: { processingFeeRate: 1, instalmentFee: 0 },
+    requiredKycTier: 'tier2',
+    collateral: { required: true, requiredFromAmount: null, description: 'The financed asset, with its proforma invoice or title' }
+  }
+];
+
+export const getLoanProduct = (id) =>
+  LOAN_PRODUCTS.find(product => product.id === String(id).toLowerCase());
+
+const productError = (code, message, param) => ({ error: { code, message, ...(param ? { param } : {}) } });
+
+const collateralRequired = (product, amount) => product.collateral.required
+  || (product.collateral.requiredFromAmount !== null && amount >= product.collateral.requiredFromAmount);
+
+// Checks an application against a product's rules and prices it. Returns the
+// loan terms (rate from the rate table, the product's fees) or the first rule
+// broken as a coded error; param names the offending field.
+export const priceLoanApplication = (productId, { customerId, amount, tenure, repaymentMethod, collateral }) => {
+  const product = getLoanProduct(productId);
+  if (!product) {
+    return productError('PRODUCT_NOT_FOUND', `Loan product not found: ${productId}`, 'productId');
+  }
+  // NaN would slip past the range checks below and match no rate table row
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return productError('INVALID_AMOUNT', 'Amount must be a number', 'amount');
+  }
+  if (amount < product.minAmount || amount > product.maxAmount) {
+    return productError(
+      'AMOUNT_OUT_OF_RANGE',
+      `${product.name} amounts run from ${product.minAmount} to ${product.maxAmount} ${product.currency}`,
+      'amount'
+    );
+  }
+  if (!product.tenures.includes(tenure)) {
+    return productError(
+      'TENURE_NOT_ALLOWED',
+      `${product.name} tenures are ${product.tenures.join(', ')} months`,
+      'tenure'
+    );
+  }
+  // The configured default where the product offers it, else the product's own
+  const method = repaymentMethod ?? (product.repaymentMethods.includes(loansConfig.defaultRepaymentMethod)
+    ? loansConfig.defaultRepaymentMethod
+    : product.repaymentMethods[0]);
+  if (!product.repaymentMethods.includes(method)) {
+    return productError(
+      'REPAYMENT_METHOD_NOT_ALLOWED',
+      `${product.name} is repaid by: ${product.repaymentMethods.join(', ')}`,
+      'repaymentMethod'
+    );
+  }
+  if (collateralRequired(product, amount) && !collateral) {
+    return productError(
+      'COLLATERAL_REQUIRED',
+      `${product.name} needs collateral for ${amount} ${product.currency}: ${product.collateral.description}`,
+      'collateral'
+    );
+  }
+
+  const kyc = evaluateKyc(customerId);
+  const kycRecord = getKycRecord(customerId);
+  if (!kyc.complete || KYC_TIERS.indexOf(kycRecord.level) < KYC_TIERS.indexOf(product.requiredKycTier)) {
+    return productError(
+      'KYC_TIER_TOO_LOW',
+      kyc.complete
+        ? `${product.name} needs KYC ${product.requiredKycTier}; customer is verified at ${kycRecord.level}`
+        : `${product.name} needs approved KYC at ${product.requiredKycTier}: ${kyc.reason}`
+    );
+  }
+
+  const { interestRate } = product.rateTable.find(row => amount <= row.maxAmount);
+  return {
+    product,
+    terms: {
+      productId: product.id,
+      amount,
+      currency: product.currency,
+      interestRate,
+      tenure,
+      repaymentMethod: method,
+      instalmentFee: product.fees.instalmentFee,
+      processingFee: roundToMinorUnit(amount * (product.fees.processingFeeRate / 100), product.currency)
+    }
+  };
+};
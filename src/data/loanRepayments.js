@@ -0,0 +1,150 @@
+import {
+  getLoanById,
+  updateLoan,
+  getLoanRepayments,
+  getLoanRepaymentById,
+  addLoanRepayment,
+  updateLoanRepayment,
+  updateTransaction,
+  postDebit,
+  roundToMinorUnit
+} from './mockData.js';
+import { getLoanSchedule } from './loanSchedule.js';
+
+// Status of a disbursed loan that still has instalments to pay
+const ACTIVE_STATUS = 'disbursed';
+
+const repaymentError = (code, message) => ({ error: { code, message } });
+
+// Only disbursed loans that are not yet closed take repayments
+const isRepayable = (loan) => loan.status === ACTIVE_STATUS;
+
+// Splits a payment across the open instalments, oldest first. Within an
+// instalment the fees are settled first, then interest, then principal; only
+// once all three are paid does the money move on to the next instalment.
+const allocate = (instalments, amount, round) => {
+  let remaining = amount;
+  const allocations = [];
+  for (const instalment of instalments) {
+    if (remaining <= 0) break;
+    if (instalment.amountDue === 0) continue;
+
+    const allocation = { instalment: instalment.instalment, dueDate: instalment.dueDate };
+    for (const component of ['fees', 'interest', 'principal']) {
+      const owed = round(instalment[component] - instalment.paid[component]);
+      const applied = round(Math.min(owed, remaining));
+      allocation[component] = applied;
+      remaining = round(remaining - applied);
+    }
+    allocations.push(allocation);
+  }
+  return allocations;
+};
+
+const sumOf = (allocations, component, round) =>
+  round(allocations.reduce((sum, allocation) => sum + allocation[component], 0));
+
+// Brings the loan's repayment fields in line with its schedule and the
+// repayments that stand: principal still owed, total repaid, the next
+// instalment due, and whether the loan is closed. Reopens a closed loan if a
+// repayment that closed it later fails.
+export const refreshLoanPosition = (loanId) => {
+  const loan = getLoanById(loanId);
+  const { schedule } = getLoanSchedule(loan);
+  const round = (value) => roundToMinorUnit(value, loan.currency);
+  const next = schedule.instalments.find(instalment => instalment.amountDue > 0);
+  const principalPaid = schedule.instalments.reduce((sum, instalment) => sum + instalment.paid.principal, 0);
+
+  const updates = {
+    remainingBalance: round(loan.amount - principalPaid),
+    amountRepaid: schedule.totals.paid,
+    nextDueDate: next ? next.dueDate : null
+  };
+  if (!next) {
+    updates.status = 'closed';
+  } else if (loan.status === 'closed') {
+    updates.status = ACTIVE_STATUS;
+    updates.closedAt = null;
+  }
+  return updateLoan(loanId, updates);
+};
+
+// Repays a disbursed loan from its linked account. The amount defaults to
+// what is due on the next instalment and may not exceed everything left to
+// pay on the schedule. The debit goes through the ledger (category
+// loan_repayment) and the allocation is kept on the repayment record.
+export const repayLoan = (loanId, { amount } = {}) => {
+  const loan = getLoanById(loanId);
+  if (!loan) {
+    return repaymentError('LOAN_NOT_FOUND', `Loan not found: ${loanId}`);
+  }
+  if (!isRepayable(loan)) {
+    return repaymentError('LOAN_NOT_ACTIVE', loan.status === 'closed'
+      ? `Loan ${loan.id} is already paid off`
+      : `Loan ${loan.id} is not disbursed and cannot be repaid (status: ${loan.status})`);
+  }
+
+  const round = (value) => roundToMinorUnit(value, loan.currency);
+  const { schedule } = getLoanSchedule(loan);
+  const next = schedule.instalments.find(instalment => instalment.amountDue > 0);
+  const payAmount = amount === undefined || amount === null ? next.amountDue : amount;
+
+  if (typeof payAmount !== 'number' || !(payAmount > 0) || round(payAmount) !== payAmount) {
+    return repaymentError('INVALID_AMOUNT', `Amount must be greater than 0, in whole ${loan.currency} minor units`);
+  }
+  if (payAmount > schedule.totals.due) {
+    return repaymentError(
+      'AMOUNT_EXCEEDS_OUTSTANDING',
+      `Amount ${payAmount} exceeds the ${schedule.totals.due} ${loan.currency} left to pay on the loan`
+    );
+  }
+
+  const result = postDebit({
+    accountId: loan.accountId,
+    amount: payAmount,
+    currency: loan.currency,
+    description: `Loan repayment - ${loan.id}`,
+    category: 'loan_repayment',
+    counterparty: loan.id,
+    loanId: loan.id
+  });
+  if (result.error) return result;
+
+  const allocations = allocate(schedule.instalments, payAmount, round);
+  const repayment = addLoanRepayment({
+    loanId: loan.id,
+    accountId: loan.accountId,
+    amount: payAmount,
+    currency: loan.currency,
+    status: 'completed',
+    transactionId: result.transaction.id,
+    allocation: {
+      fees: sumOf(allocations, 'fees', round),
+      interest: sumOf(allocations, 'interest', round),
+      principal: sumOf(allocations, 'principal', round)
+    },
+    allocations
+  });
+  const updatedLoan = refreshLoanPosition(loan.id);
+
+  return {
+    repayment: updateLoanRepayment(repayment.id, { remainingBalance: updatedLoan.remainingBalance }),
+    loan: updatedLoan,
+    transaction: updateTransaction(result.transaction.id, { loanRepaymentId: repayment.id })
+  };
+};
+
+// A loan's repayments, oldest first
+export const getRepaymentHistory = (loanId) =>
+  getLoanRepayments().filter(repayment => repayment.loanId === loanId);
+
+// Called when the ledger debit behind a repayment fails at settlement: the
+// repayment no longer counts and the loan's balance goes back up.
+export const failLoanRepayment = (id, failureReason) => {
+  const repayment = getLoanRepaymentById(id);
+  if (!repayment || repayment.status !== 'completed') return null;
+
+  const failed = updateLoanRepayment(id, { status: 'failed', failureReason });
+  refreshLoanPosition(repayment.loanId);
+  return failed;
+};
@@ -0,0 +1,144 @@
+import { getLoanRepayments, roundToMinorUnit } from './mockData.js';
+
+export const REPAYMENT_METHODS = ['annuity', 'flat'];
+
+const scheduleError = (code, message) => ({ error: { code, message } });
+
+// Same day of the month, n months on. Days past the end of a shorter month
+// fall on its last day, so a loan disbursed on 31 January is due on 29
+// February, then 31 March.
+const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+// Level monthly payment that repays principal and interest on the reducing
+// balance over the tenure: P * r / (1 - (1 + r)^-n)
+const annuityPayment = (principal, monthlyRate, tenure) => (monthlyRate === 0
+  ? principal / tenure
+  : (principal * monthlyRate) / (1 - (1 + monthlyRate) ** -tenure));
+
+// Instalments for a loan's terms, the first due one month after startDate.
+// interestRate is a yearly percentage. Annuity loans charge a month's interest
+// on the balance still owed; flat loans charge interest on the original amount
+// for the whole tenure and spread it evenly. Every amount is rounded to the
+// currency's minor unit and the final instalment takes up the rounding, so the
+// principal always adds up to the amount lent.
+export const buildRepaymentSchedule = (
+  { amount, currency, interestRate, tenure, repaymentMethod, instalmentFee = 0 },
+  startDate
+) => {
+  const round = (value) => roundToMinorUnit(value, currency);
+  const monthlyRate = interestRate / 100 / 12;
+  const fees = round(instalmentFee);
+  const flatInterest = round(amount * (interestRate / 100) * (tenure / 12));
+  const levelPayment = round(annuityPayment(amount, monthlyRate, tenure));
+
+  let outstanding = round(amount);
+  let interestCharged = 0;
+  const instalments = [];
+  for (let number = 1; number <= tenure; number += 1) {
+    const last = number === tenure;
+    let interest;
+    let principal;
+    if (repaymentMethod === 'flat') {
+      interest = last ? round(flatInterest - interestCharged) : round(flatInterest / tenure);
+      principal = last ? outstanding : round(amount / tenure);
+    } else {
+      interest = round(outstanding * monthlyRate);
+      principal = last ? outstanding : round(levelPayment - interest);
+    }
+    outstanding = round(outstanding - principal);
+    interestCharged = round(interestCharged + interest);
+    instalments.push({
+      instalment: number,
+      dueDate: addMonths(startDate, number).toISOString().slice(0, 10),
+      principal,
+      interest,
+      fees,
+      payment: round(principal + interest + fees),
+      outstanding
+    });
+  }
+
+  const total = (field) => round(instalments.reduce((sum, instalment) => sum + instalment[field], 0));
+  return {
+    instalmentAmount: instalments[0].payment,
+    totals: {
+      principal: total('principal'),
+      interest: total('interest'),
+      fees: total('fees'),
+      payable: total('payment')
+    },
+    instalments
+  };
+};
+
+// Amounts paid against each instalment number by the loan's repayments,
+// leaving out repayments whose debit failed
+const paidByInstalment = (loanId) => {
+  const paid = new Map();
+  getLoanRepayments()
+    .filter(repayment => repayment.loanId === loanId && repayment.status !== 'failed')
+    .flatMap(repayment => repayment.allocations)
+    .forEach(({ instalment, fees, interest, principal }) => {
+      const sum = paid.get(instalment) || { fees: 0, interest: 0, principal: 0 };
+      paid.set(instalment, {
+        fees: sum.fees + fees,
+        interest: sum.interest + interest,
+        principal: sum.principal + principal
+      });
+    });
+  return paid;
+};
+
+// Repayment schedule of a stored loan. Instalments run from disbursement;
+// until the loan is disbursed they are projected from today. Each instalment
+// shows what has been paid against it and what is still due.
+export const getLoanSchedule = (loan) => {
+  if (loan.status === 'rejected') {
+    return scheduleError('LOAN_NOT_ACTIVE', `Loan ${loan.id} was rejected and has no repayment schedule`);
+  }
+
+  const round = (value) => roundToMinorUnit(value, loan.currency);
+  const projected = !loan.disbursedAt;
+  const startDate = projected ? new Date() : new Date(loan.disbursedAt);
+  const { instalmentAmount, totals, instalments: planned } = buildRepaymentSchedule(loan, startDate);
+
+  const paidSoFar = paidByInstalment(loan.id);
+  const instalments = planned.map(instalment => {
+    const sums = paidSoFar.get(instalment.instalment) || { fees: 0, interest: 0, principal: 0 };
+    const paid = {
+      fees: round(sums.fees),
+      interest: round(sums.interest),
+      principal: round(sums.principal),
+      total: round(sums.fees + sums.interest + sums.principal)
+    };
+    const amountDue = round(instalment.payment - paid.total);
+    return {
+      ...instalment,
+      paid,
+      amountDue,
+      status: amountDue === 0 ? 'paid' : paid.total > 0 ? 'partially_paid' : 'unpaid'
+    };
+  });
+  const paidTotal = round(instalments.reduce((sum, instalment) => sum + instalment.paid.total, 0));
+
+  return {
+    schedule: {
+      loanId: loan.id,
+      currency: loan.currency,
+      repaymentMethod: loan.repaymentMethod,
+      amount: loan.amount,
+      interestRate: loan.interestRate,
+      tenure: loan.tenure,
+      startDate: startDate.toISOString(),
+      projected,
+      instalmentAmount,
+      totals: { ...totals, paid: paidTotal, due: round(totals.payable - paidTotal) },
+      instalments
+    }
+  };
+};
@@ -0,0 +1,116 @@
+import {
+  getCustomerById,
+  getAccountById,
+  getTransactions,
+  getTransactionById,
+  getTransactionsByTransferId,
+  getPayments,
+  getPaymentById,
+  getPaymentImportById,
+  getAirtimePurchases,
+  getBillPayments,
+  getBillPaymentById,
+  getLoans,
+  getLoanById,
+  getLoanRepayments,
+  getLoanRepaymentById
+} from './mockData.js';
+
+export const LOOKUP_TYPES = ['transaction', 'payment', 'airtime_purchase', 'bill_payment', 'loan'];
+
+// Reference comparison ignores case and surrounding whitespace, since
+// references are often retyped from SMS receipts
+const normalise = (value) => String(value).trim().toUpperCase();
+
+// Which of an entity's reference fields equal the reference, if any
+const matchedField = (entity, fields, wanted) =>
+  fields.find(field => entity[field] && normalise(entity[field]) === wanted);
+
+const transactionRelated = (txn) => ({
+  account: getAccountById(txn.accountId) || null,
+  // The other leg of the same transfer
+  pairedTransaction: txn.transferId
+    ? getTransactionsByTransferId(txn.transferId).find(leg => leg.id !== txn.id) || null
+    : null,
+  originalTransaction: txn.reversalOf ? getTransactionById(txn.reversalOf) || null : null,
+  reversalTransactions: getTransactions().filter(other => other.reversalOf === txn.id),
+  payment: txn.paymentId ? getPaymentById(txn.paymentId) || null : null,
+  billPayment: txn.billPaymentId ? getBillPaymentById(txn.billPaymentId) || null : null,
+  loanRepayment: txn.loanRepaymentId ? getLoanRepaymentById(txn.loanRepaymentId) || null : null,
+  loan: txn.loanId ? getLoanById(txn.loanId) || null : null
+});
+
+const paymentRelated = (payment) => ({
+  account: getAccountById(payment.accountId) || null,
+  transaction: payment.transactionId ? getTransactionById(payment.transactionId) || null : null,
+  paymentImport: payment.importId ? getPaymentImportById(payment.importId) || null : null
+});
+
+const billPaymentRelated = (billPayment) => ({
+  account: getAccountById(billPayment.accountId) || null,
+  transaction: billPayment.transactionId ? getTransactionById(billPayment.transactionId) || null : null
+});
+
+const loanRelated = (loan) => ({
+  customer: getCustomerById(loan.customerId) || null,
+  account: getAccountById(loan.accountId) || null,
+  disbursementTransaction: loan.disbursement && loan.disbursement.transactionId
+    ? getTransactionById(loan.disbursement.transactionId) || null
+    : null,
+  repayments: getLoanRepayments().filter(repayment => repayment.loanId === loan.id)
+});
+
+// Where each entity type is searched: its store, the fields that can hold a
+// quoted reference, and how to gather its related records
+const SOURCES = [
+  {
+    type: 'transaction',
+    items: getTransactions,
+    fields: ['reference', 'id', 'transferId'],
+    related: transactionRelated
+  },
+  {
+    type: 'payment',
+    items: getPayments,
+    fields: ['reference', 'id', 'endToEndId'],
+    related: paymentRelated
+  },
+  {
+    type: 'airtime_purchase',
+    items: getAirtimePurchases,
+    fields: ['transactionReference', 'id'],
+    related: (purchase) => ({ account: getAccountById(purchase.accountId) || null })
+  },
+  {
+    type: 'bill_payment',
+    items: getBillPayments,
+    fields: ['receiptNumber', 'id'],
+    related: billPaymentRelated
+  },
+  {
+    type: 'loan',
+    items: getLoans,
+    fields: ['id'],
+    related: loanRelated
+  }
+];
+
+// Finds every entity whose reference or ID equals the given reference, e.g.
+// REF-002 (transaction), PAY-REF-001 (payment), AIR-REF-002 (airtime purchase),
+// BILL-RCP-001 (bill payment) or loan-001. A transfer ID such as trf-001
+// matches both legs. Each match carries its type, the field that matched and
+// its related records.
+export const lookupReference = (reference, { types = LOOKUP_TYPES } = {}) => {
+  const wanted = normalise(reference);
+  return SOURCES
+    .filter(source => types.includes(source.type))
+    .flatMap(source => source.items()
+      .map(entity => ({ entity, matchedOn: matchedField(entity, source.fields, wanted) }))
+      .filter(({ matchedOn }) => matchedOn)
+      .map(({ entity, matchedOn }) => ({
+        type: source.type,
+        matchedOn,
+        entity,
+        related: source.related(entity)
+      })));
+};
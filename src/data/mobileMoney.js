@@ -0,0 +1,140 @@
+import {
+  getPayments,
+  getPaymentById,
+  updatePayment,
+  getTransactionById,
+  updateTransaction,
+  applyBalanceDelta,
+  postOwnedReversal
+} from './mockData.js';
+
+// Mobile money wallet networks (Ghana). Prefixes are the national number
+// prefixes after the leading 0; processing times and per-transaction wallet
+// limits are simulated per network.
+export const MOBILE_MONEY_NETWORKS = [
+  { id: 'MTN', name: 'MTN Mobile Money', prefixes: ['24', '25', '53', '54', '55', '59'], processingMs: 5000, maxAmount: 10000 },
+  { id: 'Vodafone', name: 'Vodafone Cash', prefixes: ['20', '50'], processingMs: 10000, maxAmount: 7000 },
+  { id: 'AirtelTigo', name: 'AirtelTigo Money', prefixes: ['26', '27', '56', '57'], processingMs: 15000, maxAmount: 5000 }
+];
+
+export const getMobileMoneyNetwork = (id) =>
+  MOBILE_MONEY_NETWORKS.find(network => network.id.toLowerCase() === String(id).toLowerCase());
+
+// Accepts 0XXXXXXXXX, 233XXXXXXXXX or +233XXXXXXXXX and returns +233XXXXXXXXX
+export const normalizeMsisdn = (msisdn) => {
+  const digits = String(msisdn).replace(/[\s-]/g, '');
+  const match = digits.match(/^(?:\+?233|0)(\d{9})$/);
+  return match ? `+233${match[1]}` : null;
+};
+
+export const validateWallet = (networkId, msisdn) => {
+  const network = getMobileMoneyNetwork(networkId);
+  if (!network) {
+    return {
+      error: {
+        code: 'INVALID_NETWORK',
+        message: `Invalid network. Available: ${MOBILE_MONEY_NETWORKS.map(n => n.id).join(', ')}`
+      }
+    };
+  }
+  const normalized = normalizeMsisdn(msisdn);
+  if (!normalized) {
+    return { error: { code: 'INVALID_WALLET_NUMBER', message: `Invalid wallet number: ${msisdn}` } };
+  }
+  const prefix = normalized.slice(4, 6);
+  if (!network.prefixes.includes(prefix)) {
+    return {
+      error: {
+        code: 'NETWORK_MISMATCH',
+        message: `Wallet number ${normalized} is not on the ${network.name} network`
+      }
+    };
+  }
+  return { network, msisdn: normalized };
+};
+
+// Simulated network outcome. Wallets ending in 000 are treated as unregistered
+// and amounts above the network's limit are rejected, so failures are
+// reproducible in tests.
+const simulateDeliveryFailure = (network, msisdn, amount) => {
+  if (msisdn.endsWith('000')) return 'WALLET_NOT_REGISTERED';
+  if (amount > network.maxAmount) return 'WALLET_LIMIT_EXCEEDED';
+  return null;
+};
+
+// Starts wallet delivery for a completed mobile money payment. The network
+// answers once its processing time has passed; runWalletDeliveries completes
+// every delivery that is due.
+export const startWalletDelivery = (paymentId) => {
+  const payment = getPaymentById(paymentId);
+  const network = getMobileMoneyNetwork(payment.network);
+  return updatePayment(paymentId, {
+    walletDelivery: {
+      status: 'processing',
+      network: network.id,
+      msisdn: payment.beneficiaryAccount,
+      expectedAt: new Date(Date.now() + network.processingMs).toISOString(),
+      deliveredAt: null,
+      failureReason: null
+    }
+  });
+};
+
+// Completes wallet delivery; a failed delivery refunds the payer and moves the
+// payment to returned. If the refund cannot be posted the payment stays
+// completed and the delivery records refundError.
+export const completeWalletDelivery = (paymentId, at = new Date()) => {
+  const payment = getPaymentById(paymentId);
+  if (!payment || !payment.walletDelivery || payment.walletDelivery.status !== 'processing') {
+    return payment;
+  }
+
+  const network = getMobileMoneyNetwork(payment.network);
+  const failureReason = simulateDeliveryFailure(network, payment.beneficiaryAccount, payment.amount);
+
+  if (!failureReason) {
+    return updatePayment(paymentId, {
+      walletDelivery: { ...payment.walletDelivery, status: 'delivered', deliveredAt: new Date(at).toISOString() }
+    });
+  }
+
+  const transaction = getTransactionById(payment.transactionId);
+  if (transaction && transaction.status === 'pending') {
+    applyBalanceDelta(transaction.accountId, transaction.amount);
+    updateTransaction(transaction.id, { status: 'failed', failureReason });
+  } else {
+    const refund = transaction
+      ? postOwnedReversal(transaction.id, 'payment', { reason: `Mobile money delivery failed: ${failureReason}` })
+      : { error: { code: 'TRANSACTION_NOT_FOUND', message: `Transaction not found: ${payment.transactionId}` } };
+    if (refund.error) {
+      return updatePayment(paymentId, {
+        walletDelivery: { ...payment.walletDelivery, status: 'failed', failureReason, refundError: refund.error }
+      });
+    }
+  }
+
+  return updatePayment(paymentId, {
+    status: 'returned',
+    returnReason: failureReason,
+    walletDelivery: { ...payment.walletDelivery, status: 'failed', failureReason }
+  }, failureReason);
+};
+
+// Completes every delivery whose network answer is due as of asOf. Time is
+// passed in, so tests can drive deliveries without waiting on timers.
+export const runWalletDeliveries = (asOf = new Date()) => {
+  const asOfTime = new Date(asOf).getTime();
+  const due = getPayments().filter(payment =>
+    payment.walletDelivery
+    && payment.walletDelivery.status === 'processing'
+    && new Date(payment.walletDelivery.expectedAt).getTime() <= asOfTime);
+
+  const delivered = [];
+  const failed = [];
+  due.forEach(payment => {
+    const completed = completeWalletDelivery(payment.id, asOfTime);
+    (completed.walletDelivery.status === 'delivered' ? delivered : failed).push(completed);
+  });
+
+  return { asOf: new Date(asOfTime).toISOString(), delivered, failed };
+};
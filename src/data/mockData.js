@@ -1,5 +1,29 @@
 // In-memory data stores for all fintech entities
 
+let customers = [
+  {
+    id: 'cust-001',
+    name: 'Kwame Mensah',
+    phoneNumber: '+233241234567',
+    segment: 'retail',
+    createdAt: '2024-01-05T09:00:00Z'
+  },
+  {
+    id: 'cust-002',
+    name: 'Ama Owusu',
+    phoneNumber: '+233241234568',
+    segment: 'retail',
+    createdAt: '2024-01-16T10:30:00Z'
+  },
+  {
+    id: 'cust-003',
+    name: 'Kofi Asante',
+    phoneNumber: '+233201234569',
+    segment: 'sme',
+    createdAt: '2024-01-15T09:30:00Z'
+  }
+];
+
 let accounts = [
   {
     id: 'acc-001',
@@ -7,6 +31,7 @@ let accounts = [
     type: 'savings',
     currency: 'GHS',
     balance: 5000.00,
+    initialBalance: 4600.00,
     status: 'active',
     accountNumber: '1234567890',
     createdAt: '2024-01-15T10:00:00Z',
@@ -18,6 +43,7 @@ let accounts = [
     type: 'current',
     currency: 'GHS',
     balance: 2500.50,
+    initialBalance: 2550.50,
     status: 'active',
     accountNumber: '1234567891',
     createdAt: '2024-01-16T11:00:00Z',
@@ -29,6 +55,7 @@ let accounts = [
     type: 'savings',
     currency: 'GHS',
     balance: 10000.00,
+    initialBalance: 10000.00,
     status: 'suspended',
     accountNumber: '1234567892',
     createdAt: '2024-01-17T12:00:00Z',
@@ -44,6 +71,7 @@ let transactions = [
     amount: 100.00,
     currency: 'GHS',
     description: 'Payment to merchant',
+    category: 'payment',
     status: 'cleared',
     counterparty: 'merchant-123',
     initiatedAt: '2024-01-18T09:00:00Z',
@@ -57,6 +85,7 @@ let transactions = [
     amount: 500.00,
     currency: 'GHS',
     description: 'Salary deposit',
+    category: 'transfer',
     status: 'cleared',
     counterparty: 'employer-456',
     initiatedAt: '2024-01-19T10:00:00Z',
@@ -70,6 +99,7 @@ let transactions = [
     amount: 50.00,
     currency: 'GHS',
     description: 'Transfer to acc-001',
+    category: 'transfer',
     status: 'pending',
     counterparty: 'acc-001',
     initiatedAt: '2024-01-20T11:00:00Z',
@@ -92,7 +122,12 @@ let payments = [
     initiatedAt: '2024-01-18T08:00:00Z',
     completedAt: '2024-01-18T08:15:00Z',
     kycComplete: true,
-    sufficientBalance: true
+    sufficientBalance: true,
+    statusHistory: [
+      { from: null, to: 'pending', at: '2024-01-18T08:00:00Z' },
+      { from: 'pending', to: 'processing', at: '2024-01-18T08:10:00Z' },
+      { from: 'processing', to: 'completed', at: '2024-01-18T08:15:00Z' }
+    ]
   },
   {
     id: 'pay-002',
@@ -106,8 +141,37 @@ let payments = [
     reference: 'PAY-REF-002',
     initiatedAt: '2024-01-20T10:00:00Z',
     completedAt: null,
-    kycComplete: true,
-    sufficientBalance: false
+    kycComplete: false,
+    sufficientBalance: false,
+    statusHistory: [
+      { from: null, to: 'pending', at: '2024-01-20T10:00:00Z' }
+    ]
+  }
+];
+
+// Staff who can sign off payments held for approval (the "checker" in
+// maker-checker). approvalLimit caps the payment amount each may approve.
+let approvers = [
+  {
+    id: 'apr-001',
+    name: 'Efua Boateng',
+    role: 'Operations Manager',
+    approvalLimit: 100000.00,
+    active: true
+  },
+  {
+    id: 'apr-002',
+    name: 'Yaw Darko',
+    role: 'Branch Manager',
+    approvalLimit: 20000.00,
+    active: true
+  },
+  {
+    id: 'apr-003',
+    name: 'Akosua Frimpong',
+    role: 'Team Lead',
+    approvalLimit: 5000.00,
+    active: false
   }
 ];
 
@@ -116,56 +180,85 @@ let loans = [
     id: 'loan-001',
     customerId: 'cust-001',
     accountId: 'acc-001',
+    productId: 'sme-working-capital',
     amount: 5000.00,
     currency: 'GHS',
     purpose: 'Business expansion',
     tenure: 12,
     interestRate: 8.5,
-    status: 'approved',
+    repaymentMethod: 'annuity',
+    instalmentFee: 0,
+    processingFee: 0,
+    status: 'disbursed',
     creditScore: 750,
     eligible: true,
     appliedAt: '2024-01-10T09:00:00Z',
     approvedAt: '2024-01-12T14:00:00Z',
     disbursedAt: '2024-01-13T10:00:00Z',
-    monthlyPayment: 437.50,
-    remainingBalance: 5000.00
+    disbursement: {
+      grossAmount: 5000.00,
+      processingFee: 0,
+      netAmount: 5000.00,
+      transactionId: null
+    },
+    monthlyPayment: 436.10,
+    remainingBalance: 5000.00,
+    amountRepaid: 0,
+    nextDueDate: '2024-02-13',
+    closedAt: null
   },
   {
     id: 'loan-002',
     customerId: 'cust-002',
     accountId: 'acc-002',
+    productId: 'salary-advance',
     amount: 3000.00,
     currency: 'GHS',
     purpose: 'Personal use',
     tenure: 6,
     interestRate: 10.0,
+    repaymentMethod: 'annuity',
+    instalmentFee: 0,
+    processingFee: 30.00,
     status: 'pending',
     creditScore: 680,
     eligible: true,
     appliedAt: '2024-01-19T11:00:00Z',
     approvedAt: null,
     disbursedAt: null,
-    monthlyPayment: 525.00,
-    remainingBalance: null
+    disbursement: null,
+    monthlyPayment: 514.68,
+    remainingBalance: null,
+    amountRepaid: 0,
+    nextDueDate: null,
+    closedAt: null
   },
   {
     id: 'loan-003',
     customerId: 'cust-003',
     accountId: 'acc-003',
+    productId: 'asset-finance',
     amount: 10000.00,
     currency: 'GHS',
     purpose: 'Home improvement',
     tenure: 24,
     interestRate: 7.5,
+    repaymentMethod: 'annuity',
+    instalmentFee: 0,
+    processingFee: 100.00,
     status: 'rejected',
     creditScore: 600,
     eligible: false,
     appliedAt: '2024-01-15T10:00:00Z',
     approvedAt: null,
     disbursedAt: null,
+    disbursement: null,
     rejectionReason: 'Insufficient credit score',
     monthlyPayment: null,
-    remainingBalance: null
+    remainingBalance: null,
+    amountRepaid: 0,
+    nextDueDate: null,
+    closedAt: null
   }
 ];
 
@@ -198,6 +291,41 @@ let airtimePurchases = [
   }
 ];
 
+let billPayments = [];
+
+let standingOrders = [];
+
+let transferBatches = [];
+
+let paymentImports = [];
+
+let loanRepayments = [];
+
+let beneficiaries = [
+  {
+    id: 'ben-001',
+    customerId: 'cust-001',
+    name: 'Ama Owusu',
+    nickname: 'Ama',
+    accountNumber: '1234567891',
+    accountId: 'acc-002',
+    internal: true,
+    createdAt: '2024-01-17T09:00:00Z',
+    updatedAt: '2024-01-17T09:00:00Z'
+  },
+  {
+    id: 'ben-002',
+    customerId: 'cust-001',
+    name: 'John Doe',
+    nickname: 'Landlord',
+    accountNumber: '9876543210',
+    accountId: null,
+    internal: false,
+    createdAt: '2024-01-18T07:55:00Z',
+    updatedAt: '2024-01-18T07:55:00Z'
+  }
+];
+
 let kycRecords = [
   {
     customerId: 'cust-001',
@@ -206,7 +334,7 @@ let kycRecords = [
     documents: ['id', 'proof_of_address'],
     riskRating: 'low',
     verifiedAt: '2024-01-05T10:00:00Z',
-    expiresAt: '2025-01-05T10:00:00Z',
+    expiresAt: '2029-01-05T10:00:00Z',
     pendingItems: []
   },
   {
@@ -254,8 +382,12 @@ let accountLimits = [
 ];
 
 // Helper functions to manage data
+export const getCustomers = () => customers;
+export const getCustomerById = (id) => customers.find(cust => cust.id === id);
+
 export const getAccounts = () => accounts;
 export const getAccountById = (id) => accounts.find(acc => acc.id === id);
+export const getAccountByNumber = (accountNumber) => accounts.find(acc => acc.accountNumber === accountNumber);
 export const addAccount = (account) => {
   const newAccount = {
     ...account,
@@ -277,6 +409,7 @@ export const getTransactions = () => transactions;
 export const getTransactionById = (id) => transactions.find(txn => txn.id === id);
 export const addTransaction = (transaction) => {
   const newTransaction = {
+    category: 'transfer',
     ...transaction,
     id: `txn-${String(transactions.length + 1).padStart(3, '0')}`,
     initiatedAt: new Date().toISOString(),
@@ -286,43 +419,531 @@ export const addTransaction = (transaction) => {
   transactions.push(newTransaction);
   return newTransaction;
 };
+export const updateTransaction = (id, updates) => {
+  const index = transactions.findIndex(txn => txn.id === id);
+  if (index === -1) return null;
+  transactions[index] = { ...transactions[index], ...updates };
+  if (['cleared', 'failed'].includes(updates.status) && !transactions[index].processedAt) {
+    transactions[index].processedAt = new Date().toISOString();
+  }
+  return transactions[index];
+};
+export const getTransactionsByTransferId = (transferId) => transactions.filter(txn => txn.transferId === transferId);
+
+// Ledger posting layer
+let transferSequence = 0;
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Decimal places in each currency's minor unit (ISO 4217); unlisted
+// currencies are taken to have two
+const CURRENCY_MINOR_UNITS = {
+  GHS: 2,
+  NGN: 2,
+  KES: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  UGX: 0,
+  XOF: 0
+};
+
+export const roundToMinorUnit = (value, currency) => {
+  const factor = 10 ** (CURRENCY_MINOR_UNITS[currency] ?? 2);
+  return Math.round(value * factor) / factor;
+};
+
+// Moves an account balance by delta (negative for debits)
+export const applyBalanceDelta = (accountId, delta) => {
+  const account = getAccountById(accountId);
+  if (!account) return null;
+  return updateAccount(accountId, { balance: roundMoney(account.balance + delta) });
+};
+
+const nextTransferId = () => {
+  transferSequence += 1;
+  return `trf-${String(transferSequence).padStart(3, '0')}`;
+};
+
+const ledgerError = (code, message) => ({ error: { code, message } });
+
+// Amounts reaching the ledger must be real numbers; a numeric string would be
+// concatenated onto the balance instead of added to it
+export const isPostableAmount = (amount) => typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+const invalidAmount = (amount) => ledgerError('INVALID_AMOUNT', `Amount must be a number greater than 0, got ${JSON.stringify(amount)}`);
+
+const checkPostable = (account, accountId, role) => {
+  if (!account) {
+    return ledgerError('ACCOUNT_NOT_FOUND', `${role} account not found: ${accountId}`);
+  }
+  if (account.status === 'suspended') {
+    return ledgerError('ACCOUNT_SUSPENDED', `${role} account is suspended: ${accountId}`);
+  }
+  if (account.status === 'closed') {
+    return ledgerError('ACCOUNT_CLOSED', `${role} account is closed: ${accountId}`);
+  }
+  return null;
+};
+
+// Double-entry transfer between two internal accounts. All checks run before
+// any balance is touched, so either both legs are posted or neither is.
+export const postTransfer = ({ fromAccount, toAccount, amount, currency, description, ...details }) => {
+  if (!isPostableAmount(amount)) return invalidAmount(amount);
+  if (fromAccount === toAccount) {
+    return ledgerError('SAME_ACCOUNT', 'Source and destination accounts must differ');
+  }
+
+  const source = getAccountById(fromAccount);
+  const destination = getAccountById(toAccount);
+
+  const sourceError = checkPostable(source, fromAccount, 'Source');
+  if (sourceError) return sourceError;
+  const destinationError = checkPostable(destination, toAccount, 'Destination');
+  if (destinationError) return destinationError;
+
+  if (source.currency !== currency || destination.currency !== currency) {
+    return ledgerError(
+      'CURRENCY_MISMATCH',
+      `Transfer currency ${currency} does not match account currencies (${source.currency} -> ${destination.currency})`
+    );
+  }
+
+  if (source.balance < amount) {
+    return ledgerError(
+      'INSUFFICIENT_FUNDS',
+      `Insufficient funds. Available: ${source.balance} ${source.currency}, Required: ${amount} ${currency}`
+    );
+  }
+
+  const transferId = nextTransferId();
+
+  applyBalanceDelta(fromAccount, -amount);
+  applyBalanceDelta(toAccount, amount);
+
+  const debitTransaction = addTransaction({
+    accountId: fromAccount,
+    type: 'debit',
+    amount,
+    currency,
+    description: description || `Transfer to ${toAccount}`,
+    category: 'transfer',
+    status: 'pending',
+    counterparty: toAccount,
+    transferId,
+    ...details
+  });
+  const creditTransaction = addTransaction({
+    accountId: toAccount,
+    type: 'credit',
+    amount,
+    currency,
+    description: description || `Transfer from ${fromAccount}`,
+    category: 'transfer',
+    status: 'pending',
+    counterparty: fromAccount,
+    transferId,
+    ...details
+  });
+
+  return { transferId, debitTransaction, creditTransaction };
+};
+
+// Single-leg debit to a party outside the ledger (payee, biller, lender...)
+export const postDebit = ({ accountId, amount, currency, description, category, counterparty, ...details }) => {
+  if (!isPostableAmount(amount)) return invalidAmount(amount);
+  const account = getAccountById(accountId);
+
+  const accountError = checkPostable(account, accountId, 'Source');
+  if (accountError) return accountError;
+
+  if (account.currency !== currency) {
+    return ledgerError(
+      'CURRENCY_MISMATCH',
+      `Debit currency ${currency} does not match account currency ${account.currency}`
+    );
+  }
+
+  if (account.balance < amount) {
+    return ledgerError(
+      'INSUFFICIENT_FUNDS',
+      `Insufficient funds. Available: ${account.balance} ${account.currency}, Required: ${amount} ${currency}`
+    );
+  }
+
+  applyBalanceDelta(accountId, -amount);
+
+  const transaction = addTransaction({
+    accountId,
+    type: 'debit',
+    amount,
+    currency,
+    description,
+    category,
+    status: 'pending',
+    counterparty,
+    ...details
+  });
+
+  return { transaction };
+};
+
+// Single-leg credit from a party outside the ledger (lender, payer...)
+export const postCredit = ({ accountId, amount, currency, description, category, counterparty, ...details }) => {
+  if (!isPostableAmount(amount)) return invalidAmount(amount);
+  const account = getAccountById(accountId);
+
+  const accountError = checkPostable(account, accountId, 'Destination');
+  if (accountError) return accountError;
+
+  if (account.currency !== currency) {
+    return ledgerError(
+      'CURRENCY_MISMATCH',
+      `Credit currency ${currency} does not match account currency ${account.currency}`
+    );
+  }
+
+  applyBalanceDelta(accountId, amount);
+
+  const transaction = addTransaction({
+    accountId,
+    type: 'credit',
+    amount,
+    currency,
+    description,
+    category,
+    status: 'pending',
+    counterparty,
+    ...details
+  });
+
+  return { transaction };
+};
+
+const REVERSIBLE_STATUSES = ['cleared', 'partially_reversed'];
+
+// Ledger entries that belong to another record. Refunding them here would move
+// the money but leave that record (and any balance it keeps) unchanged.
+const RECORD_OWNED_CATEGORIES = {
+  loan_repayment: 'a loan repayment',
+  payment: 'a payment debit',
+  bill_payment: 'a bill payment',
+  loan_disbursement: 'a loan disbursement'
+};
+
+// Reverses a cleared transaction (and its paired leg, if it is part of a
+// transfer) by posting compensating legs. Omitting amount refunds whatever is
+// left; partial refunds accumulate until the original is fully reversed.
+// ownerCategory is set only when the record that owns the entry reverses it
+// (see postOwnedReversal); every other caller is refused record-owned entries.
+const reverseTransaction = (txnId, { amount, reason } = {}, ownerCategory = null) => {
+  const original = getTransactionById(txnId);
+  if (!original) {
+    return ledgerError('TRANSACTION_NOT_FOUND', `Transaction not found: ${txnId}`);
+  }
+  if (original.status === 'reversed') {
+    return ledgerError('ALREADY_REVERSED', `Transaction ${txnId} has already been reversed`);
+  }
+  if (original.reversalOf) {
+    return ledgerError('NOT_REVERSIBLE', `Transaction ${txnId} is itself a reversal`);
+  }
+  if (!REVERSIBLE_STATUSES.includes(original.status)) {
+    return ledgerError('NOT_REVERSIBLE', `Only cleared transactions can be reversed. Transaction status is: ${original.status}`);
+  }
+  if (RECORD_OWNED_CATEGORIES[original.category] && original.category !== ownerCategory) {
+    return ledgerError(
+      'NOT_REVERSIBLE',
+      `Transaction ${txnId} is ${RECORD_OWNED_CATEGORIES[original.category]} and cannot be reversed on its own`
+    );
+  }
+
+  const legs = original.transferId ? getTransactionsByTransferId(original.transferId) : [original];
+  const refundable = roundMoney(original.amount - (original.refundedAmount || 0));
+  const refundAmount = amount === undefined ? refundable : roundMoney(amount);
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    return ledgerError(
+      'INVALID_REFUND_AMOUNT',
+      `Refund amount must be greater than 0 and at most ${refundable} ${original.currency}`
+    );
+  }
+
+  // Every leg's account must still be able to post, and legs that were
+  // credited originally are debited by the reversal
+  for (const leg of legs) {
+    const account = getAccountById(leg.accountId);
+    const accountError = checkPostable(account, leg.accountId, leg.type === 'credit' ? 'Credited' : 'Debited');
+    if (accountError) return accountError;
+    if (leg.type === 'credit' && account.balance < refundAmount) {
+      return ledgerError(
+        'INSUFFICIENT_FUNDS',
+        `Insufficient funds in ${account.id} to reverse ${refundAmount} ${original.currency}`
+      );
+    }
+  }
+
+  const transferId = nextTransferId();
+  const refundedAmount = roundMoney((original.refundedAmount || 0) + refundAmount);
+  const status = refundedAmount >= original.amount ? 'reversed' : 'partially_reversed';
+  const reversedAt = new Date().toISOString();
+
+  const reversalTransactions = legs.map(leg => {
+    applyBalanceDelta(leg.accountId, leg.type === 'debit' ? refundAmount : -refundAmount);
+    updateTransaction(leg.id, {
+      status,
+      refundedAmount,
+      reversedAt,
+      reversalTransferIds: [...(leg.reversalTransferIds || []), transferId]
+    });
+    return addTransaction({
+      accountId: leg.accountId,
+      type: leg.type === 'debit' ? 'credit' : 'debit',
+      amount: refundAmount,
+      currency: leg.currency,
+      description: reason || `Reversal of ${leg.id}`,
+      category: 'reversal',
+      status: 'pending',
+      counterparty: leg.counterparty,
+      transferId,
+      reversalOf: leg.id
+    });
+  });
+
+  return {
+    transferId,
+    refundAmount,
+    originalTransactions: legs.map(leg => getTransactionById(leg.id)),
+    reversalTransactions
+  };
+};
+
+export const postReversal = (txnId, options) => reverseTransaction(txnId, options);
+
+// Reversal requested by the record that owns the entry, e.g. a payment
+// refunding its own debit after the money could not be delivered. category
+// names the owner's entries; entries of any other owner are still refused.
+export const postOwnedReversal = (txnId, category, options) => reverseTransaction(txnId, options, category);
 
 export const getPayments = () => payments;
 export const getPaymentById = (id) => payments.find(pay => pay.id === id);
+export const getApprovers = () => approvers;
+export const getApproverById = (id) => approvers.find(approver => approver.id === id);
+
+// Payment lifecycle: which statuses each status may move to
+export const PAYMENT_TRANSITIONS = {
+  awaiting_approval: ['pending', 'scheduled', 'rejected', 'cancelled'],
+  scheduled: ['pending', 'cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['completed', 'failed', 'returned'],
+  completed: ['returned'],
+  failed: [],
+  cancelled: [],
+  returned: [],
+  rejected: []
+};
+
+export const canTransitionPayment = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+// Payments start pending, scheduled when future-dated, or awaiting_approval
+// when they need a checker's sign-off
+const INITIAL_PAYMENT_STATUSES = ['pending', 'scheduled', 'awaiting_approval'];
+
 export const addPayment = (payment) => {
+  const initiatedAt = new Date().toISOString();
+  const status = INITIAL_PAYMENT_STATUSES.includes(payment.status) ? payment.status : 'pending';
   const newPayment = {
     ...payment,
     id: `pay-${String(payments.length + 1).padStart(3, '0')}`,
-    status: 'pending',
-    initiatedAt: new Date().toISOString(),
+    status,
+    initiatedAt,
     completedAt: null,
-    reference: payment.reference || `PAY-REF-${String(payments.length + 1).padStart(3, '0')}`
+    reference: payment.reference || `PAY-REF-${String(payments.length + 1).padStart(3, '0')}`,
+    statusHistory: [{ from: null, to: status, at: initiatedAt }]
   };
   payments.push(newPayment);
   return newPayment;
 };
-export const updatePayment = (id, updates) => {
+// Status changes are validated against PAYMENT_TRANSITIONS and recorded in
+// statusHistory. An illegal transition throws an error carrying a 409 status,
+// which the server's error handler turns into a response.
+export const updatePayment = (id, updates, reason) => {
   const index = payments.findIndex(pay => pay.id === id);
   if (index === -1) return null;
-  payments[index] = { ...payments[index], ...updates };
+  const current = payments[index];
+  const now = new Date().toISOString();
+  let statusHistory = current.statusHistory || [];
+
+  if (updates.status && updates.status !== current.status) {
+    if (!canTransitionPayment(current.status, updates.status)) {
+      throw Object.assign(
+        new Error(`Cannot move payment ${id} from ${current.status} to ${updates.status}`),
+        { status: 409, code: 'INVALID_STATUS_TRANSITION' }
+      );
+    }
+    statusHistory = [
+      ...statusHistory,
+      { from: current.status, to: updates.status, at: now, ...(reason ? { reason } : {}) }
+    ];
+  }
+
+  payments[index] = { ...current, ...updates, statusHistory };
   if (updates.status === 'completed' && !payments[index].completedAt) {
-    payments[index].completedAt = new Date().toISOString();
+    payments[index].completedAt = now;
+  }
+  if (updates.status === 'failed' && !payments[index].failedAt) {
+    payments[index].failedAt = now;
+  }
+  if (updates.status === 'returned' && !payments[index].returnedAt) {
+    payments[index].returnedAt = now;
+  }
+  if (updates.status === 'rejected' && !payments[index].rejectedAt) {
+    payments[index].rejectedAt = now;
   }
   return payments[index];
 };
 
+// Re-checks the check-ready preconditions against current state: KYC of the
+// account's customer (including expiry) and the live account balance. Each
+// precondition reports whether it passed; failures carry a machine-readable code.
+export const evaluatePaymentReadiness = (payment) => {
+  const account = getAccountById(payment.accountId);
+  const accountError = checkPostable(account, payment.accountId, 'Source');
+  const kyc = account ? evaluateKyc(account.customerId) : null;
+  const sufficientBalance = Boolean(account) && account.balance >= payment.amount;
+
+  const preconditions = {
+    status: {
+      passed: payment.status === 'pending',
+      code: payment.status === 'pending' ? null : ({
+        awaiting_approval: 'AWAITING_APPROVAL',
+        scheduled: 'PAYMENT_SCHEDULED'
+      }[payment.status] || 'PAYMENT_NOT_PENDING'),
+      reason: `Payment status is ${payment.status}`
+    },
+    account: {
+      passed: !accountError,
+      code: accountError ? accountError.error.code : null,
+      reason: accountError ? accountError.error.message : 'Source account is active'
+    },
+    kyc: {
+      passed: Boolean(kyc && kyc.complete),
+      code: kyc ? kyc.code : 'KYC_NOT_FOUND',
+      reason: kyc ? kyc.reason : 'Source account not found',
+      customerId: account ? account.customerId : null,
+      kycStatus: kyc ? kyc.status : null,
+      expiresAt: kyc ? kyc.expiresAt : null
+    },
+    balance: {
+      passed: sufficientBalance,
+      code: sufficientBalance ? null : 'INSUFFICIENT_FUNDS',
+      reason: account
+        ? `Available ${account.balance} ${account.currency}, required ${payment.amount} ${payment.currency}`
+        : 'Source account not found',
+      available: account ? account.balance : null,
+      required: payment.amount
+    }
+  };
+
+  const failures = Object.values(preconditions)
+    .filter(check => !check.passed)
+    .map(({ code, reason }) => ({ code, message: reason }));
+
+  return {
+    ready: failures.length === 0,
+    kycComplete: preconditions.kyc.passed,
+    sufficientBalance,
+    preconditions,
+    failures
+  };
+};
+
+// Executes a pending payment: debits the source account through the ledger
+// and completes it, or moves it to failed with the first failing reason. A
+// payment to an internal beneficiary is posted as a transfer, so the
+// beneficiary's account is credited; external payees only see the debit.
+export const processPayment = (id) => {
+  const payment = getPaymentById(id);
+  if (!payment) {
+    return ledgerError('PAYMENT_NOT_FOUND', `Payment not found: ${id}`);
+  }
+  if (!canTransitionPayment(payment.status, 'processing')) {
+    return ledgerError('INVALID_STATUS_TRANSITION', `Cannot process payment with status: ${payment.status}`);
+  }
+
+  const readiness = evaluatePaymentReadiness(payment);
+  updatePayment(id, { status: 'processing' });
+
+  const fail = ({ code, message }) => ({
+    payment: updatePayment(id, {
+      status: 'failed',
+      failureReason: code,
+      failureMessage: message,
+      kycComplete: readiness.kycComplete,
+      sufficientBalance: readiness.sufficientBalance
+    }, code),
+    error: { code, message }
+  });
+
+  if (!readiness.ready) {
+    return fail(readiness.failures[0]);
+  }
+
+  const beneficiary = payment.beneficiaryId ? getBeneficiaryById(payment.beneficiaryId) : null;
+  const internalAccountId = beneficiary && beneficiary.internal ? beneficiary.accountId : null;
+  const description = `Payment to ${payment.beneficiary}`;
+
+  const result = internalAccountId
+    ? postTransfer({
+      fromAccount: payment.accountId,
+      toAccount: internalAccountId,
+      amount: payment.amount,
+      currency: payment.currency,
+      description,
+      category: 'payment',
+      paymentId: payment.id
+    })
+    : postDebit({
+      accountId: payment.accountId,
+      amount: payment.amount,
+      currency: payment.currency,
+      description,
+      category: 'payment',
+      counterparty: payment.beneficiaryAccount,
+      paymentId: payment.id
+    });
+  if (result.error) {
+    return fail(result.error);
+  }
+
+  const transaction = internalAccountId ? result.debitTransaction : result.transaction;
+  return {
+    payment: updatePayment(id, {
+      status: 'completed',
+      kycComplete: true,
+      sufficientBalance: true,
+      transactionId: transaction.id,
+      ...(internalAccountId ? { creditTransactionId: result.creditTransaction.id } : {})
+    }),
+    transaction
+  };
+};
+
 export const getLoans = () => loans;
 export const getLoanById = (id) => loans.find(loan => loan.id === id);
 export const addLoan = (loan) => {
   const newLoan = {
+    creditScore: null,
+    eligible: false,
     ...loan,
     id: `loan-${String(loans.length + 1).padStart(3, '0')}`,
     status: 'pending',
     appliedAt: new Date().toISOString(),
     approvedAt: null,
     disbursedAt: null,
-    creditScore: loan.creditScore || Math.floor(Math.random() * 200) + 500,
-    eligible: (loan.creditScore || Math.floor(Math.random() * 200) + 500) >= 650
+    disbursement: null,
+    remainingBalance: null,
+    amountRepaid: 0,
+    nextDueDate: null,
+    closedAt: null
   };
   loans.push(newLoan);
   return newLoan;
@@ -337,9 +958,35 @@ export const updateLoan = (id, updates) => {
   if (updates.status === 'disbursed' && !loans[index].disbursedAt) {
     loans[index].disbursedAt = new Date().toISOString();
   }
+  if (updates.status === 'closed' && !loans[index].closedAt) {
+    loans[index].closedAt = new Date().toISOString();
+  }
   return loans[index];
 };
 
+export const getLoanRepayments = () => loanRepayments;
+export const getLoanRepaymentById = (id) => loanRepayments.find(repayment => repayment.id === id);
+export const addLoanRepayment = (repayment) => {
+  const newRepayment = {
+    ...repayment,
+    id: `rpy-${String(loanRepayments.length + 1).padStart(3, '0')}`,
+    paidAt: new Date().toISOString(),
+    failedAt: null,
+    failureReason: null
+  };
+  loanRepayments.push(newRepayment);
+  return newRepayment;
+};
+export const updateLoanRepayment = (id, updates) => {
+  const index = loanRepayments.findIndex(repayment => repayment.id === id);
+  if (index === -1) return null;
+  loanRepayments[index] = { ...loanRepayments[index], ...updates };
+  if (updates.status === 'failed' && !loanRepayments[index].failedAt) {
+    loanRepayments[index].failedAt = new Date().toISOString();
+  }
+  return loanRepayments[index];
+};
+
 export const getAirtimePurchases = () => airtimePurchases;
 export const getAirtimePurchaseById = (id) => airtimePurchases.find(p => p.id === id);
 export const addAirtimePurchase = (purchase) => {
@@ -366,7 +1013,157 @@ export const updateAirtimePurchase = (id, updates) => {
   return airtimePurchases[index];
 };
 
+export const getBillPayments = () => billPayments;
+export const getBillPaymentById = (id) => billPayments.find(bill => bill.id === id);
+export const addBillPayment = (billPayment) => {
+  const sequence = String(billPayments.length + 1).padStart(3, '0');
+  const newBillPayment = {
+    ...billPayment,
+    id: `bil-${sequence}`,
+    receiptNumber: `BILL-RCP-${sequence}`,
+    paidAt: new Date().toISOString(),
+    failedAt: null,
+    failureReason: null
+  };
+  billPayments.push(newBillPayment);
+  return newBillPayment;
+};
+export const updateBillPayment = (id, updates) => {
+  const index = billPayments.findIndex(bill => bill.id === id);
+  if (index === -1) return null;
+  billPayments[index] = { ...billPayments[index], ...updates };
+  if (updates.status === 'failed' && !billPayments[index].failedAt) {
+    billPayments[index].failedAt = new Date().toISOString();
+  }
+  return billPayments[index];
+};
+
+export const getStandingOrders = () => standingOrders;
+export const getStandingOrderById = (id) => standingOrders.find(order => order.id === id);
+export const addStandingOrder = (order) => {
+  const now = new Date().toISOString();
+  const newOrder = {
+    ...order,
+    id: `so-${String(standingOrders.length + 1).padStart(3, '0')}`,
+    status: 'active',
+    occurrenceCount: 0,
+    successCount: 0,
+    retryCount: 0,
+    executions: [],
+    createdAt: now,
+    updatedAt: now,
+    pausedAt: null,
+    completedAt: null,
+    cancelledAt: null
+  };
+  standingOrders.push(newOrder);
+  return newOrder;
+};
+export const updateStandingOrder = (id, updates) => {
+  const index = standingOrders.findIndex(order => order.id === id);
+  if (index === -1) return null;
+  standingOrders[index] = { ...standingOrders[index], ...updates, updatedAt: new Date().toISOString() };
+  return standingOrders[index];
+};
+
+export const getTransferBatches = () => transferBatches;
+export const getTransferBatchById = (id) => transferBatches.find(batch => batch.id === id);
+export const addTransferBatch = (batch) => {
+  const newBatch = {
+    ...batch,
+    id: `bat-${String(transferBatches.length + 1).padStart(3, '0')}`,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null
+  };
+  transferBatches.push(newBatch);
+  return newBatch;
+};
+export const updateTransferBatch = (id, updates) => {
+  const index = transferBatches.findIndex(batch => batch.id === id);
+  if (index === -1) return null;
+  transferBatches[index] = { ...transferBatches[index], ...updates };
+  return transferBatches[index];
+};
+
+export const getPaymentImports = () => paymentImports;
+export const getPaymentImportById = (id) => paymentImports.find(paymentImport => paymentImport.id === id);
+export const addPaymentImport = (paymentImport) => {
+  const newImport = {
+    ...paymentImport,
+    id: `imp-${String(paymentImports.length + 1).padStart(3, '0')}`,
+    paymentIds: [],
+    importedAt: new Date().toISOString()
+  };
+  paymentImports.push(newImport);
+  return newImport;
+};
+export const updatePaymentImport = (id, updates) => {
+  const index = paymentImports.findIndex(paymentImport => paymentImport.id === id);
+  if (index === -1) return null;
+  paymentImports[index] = { ...paymentImports[index], ...updates };
+  return paymentImports[index];
+};
+
+// Resolves an internal account number to the account holder's name
+export const resolveAccountName = (accountNumber) => {
+  const account = getAccountByNumber(accountNumber);
+  if (!account) return null;
+  const customer = getCustomerById(account.customerId);
+  return {
+    accountNumber,
+    accountName: customer ? customer.name : null,
+    accountId: account.id,
+    currency: account.currency,
+    status: account.status,
+    internal: true
+  };
+};
+
+let beneficiarySequence = beneficiaries.length;
+
+export const getBeneficiaries = () => beneficiaries;
+export const getBeneficiaryById = (id) => beneficiaries.find(ben => ben.id === id);
+export const addBeneficiary = (beneficiary) => {
+  beneficiarySequence += 1;
+  const newBeneficiary = {
+    nickname: null,
+    ...beneficiary,
+    id: `ben-${String(beneficiarySequence).padStart(3, '0')}`,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  beneficiaries.push(newBeneficiary);
+  return newBeneficiary;
+};
+export const updateBeneficiary = (id, updates) => {
+  const index = beneficiaries.findIndex(ben => ben.id === id);
+  if (index === -1) return null;
+  beneficiaries[index] = { ...beneficiaries[index], ...updates, updatedAt: new Date().toISOString() };
+  return beneficiaries[index];
+};
+export const deleteBeneficiary = (id) => {
+  const index = beneficiaries.findIndex(ben => ben.id === id);
+  if (index === -1) return null;
+  return beneficiaries.splice(index, 1)[0];
+};
+
 export const getKycRecord = (customerId) => kycRecords.find(kyc => kyc.customerId === customerId);
+// KYC counts as complete only when approved and not past its expiry date
+export const evaluateKyc = (customerId, asOf = new Date()) => {
+  const kyc = getKycRecord(customerId);
+  if (!kyc) {
+    return { complete: false, code: 'KYC_NOT_FOUND', reason: `No KYC record for customer ${customerId}`, status: null, expiresAt: null };
+  }
+  if (kyc.status !== 'approved') {
+    return { complete: false, code: 'KYC_INCOMPLETE', reason: `KYC status is ${kyc.status}`, status: kyc.status, expiresAt: kyc.expiresAt };
+  }
+  if (kyc.expiresAt && new Date(kyc.expiresAt) <= new Date(asOf)) {
+    return { complete: false, code: 'KYC_EXPIRED', reason: `KYC expired at ${kyc.expiresAt}`, status: kyc.status, expiresAt: kyc.expiresAt };
+  }
+  return { complete: true, code: null, reason: 'KYC is approved', status: kyc.status, expiresAt: kyc.expiresAt };
+};
 export const updateKycRecord = (customerId, updates) => {
   const index = kycRecords.findIndex(kyc => kyc.customerId === customerId);
   if (index === -1) {
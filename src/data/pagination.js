@@ -0,0 +1,100 @@
+import paginationConfig from '../config/pagination.js';
+
+export const SORT_ORDERS = ['asc', 'desc'];
+
+const queryError = (code, message, param) => ({ error: { code, message, param } });
+
+// Sequence number of an ID such as txn-012, so IDs order numerically and
+// entries booked at the same instant keep their posting order
+export const sequenceOf = (id) => Number(String(id).split('-').pop()) || 0;
+
+// Comparable form of a field value by its declared type. Missing values
+// compare as null and always sort last.
+const sortValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'date') return new Date(value).getTime();
+  if (type === 'number') return Number(value);
+  return String(value);
+};
+
+// Orders items by the sort field, then by the sequence of their key (the ID)
+// so that items with equal values keep a stable, total order that a cursor
+// can resume from
+const comparator = (field, type, order, key) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const left = sortValue(a[field], type);
+    const right = sortValue(b[field], type);
+    if (left !== right) {
+      if (left === null) return 1;
+      if (right === null) return -1;
+      return (left < right ? -1 : 1) * direction;
+    }
+    return (sequenceOf(a[key]) - sequenceOf(b[key])) * direction;
+  };
+};
+
+// Cursors are opaque to clients: the sort they were issued for and the sort
+// value and ID of the last item returned, base64url-encoded
+const encodeCursor = (sort, order, item, key) =>
+  Buffer.from(JSON.stringify({ sort, order, value: item[sort] ?? null, id: item[key] })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return decoded && typeof decoded === 'object' && decoded.id ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Sorts a filtered list and returns one page of it. sortFields maps each
+// sortable field to its type ('date', 'number' or 'string'). Reads limit,
+// cursor, sort and order from the query; invalid values return an error
+// naming the parameter. The cursor resumes after the last item of the
+// previous page, so items added meanwhile do not shift later pages. key names
+// the field that identifies an item, for lists whose entries have no id (a
+// batch's row numbers, say).
+export const paginate = (items, query, { sortFields, defaultSort, key = 'id' }) => {
+  const { cursor } = query;
+  const sort = query.sort === undefined ? defaultSort : String(query.sort);
+  const order = query.order === undefined ? 'asc' : String(query.order).toLowerCase();
+
+  let limit = paginationConfig.defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > paginationConfig.maxLimit) {
+      return queryError('INVALID_LIMIT', `limit must be an integer from 1 to ${paginationConfig.maxLimit}`, 'limit');
+    }
+  }
+  if (!sortFields[sort]) {
+    return queryError('INVALID_SORT', `sort must be one of: ${Object.keys(sortFields).join(', ')}`, 'sort');
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return queryError('INVALID_ORDER', `order must be one of: ${SORT_ORDERS.join(', ')}`, 'order');
+  }
+
+  const compare = comparator(sort, sortFields[sort], order, key);
+  const sorted = [...items].sort(compare);
+
+  let start = 0;
+  if (cursor !== undefined) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return queryError('INVALID_CURSOR', 'cursor is not a cursor returned by this endpoint', 'cursor');
+    }
+    if (position.sort !== sort || position.order !== order) {
+      return queryError('INVALID_CURSOR', 'cursor was issued for a different sort; repeat the sort and order it was returned with', 'cursor');
+    }
+    const after = sorted.findIndex(item => compare(item, { [sort]: position.value, [key]: position.id }) > 0);
+    start = after === -1 ? sorted.length : after;
+  }
+
+  const data = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  return {
+    data,
+    totalCount: sorted.length,
+    nextCursor: hasMore ? encodeCursor(sort, order, data[data.length - 1], key) : null
+  };
+};
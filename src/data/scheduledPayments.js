@@ -0,0 +1,33 @@
+import {
+  getPayments,
+  updatePayment,
+  processPayment
+} from './mockData.js';
+import { startWalletDelivery } from './mobileMoney.js';
+
+export const isDue = (payment, asOf) => payment.status === 'scheduled' && payment.scheduledFor <= asOf;
+
+// Promotes every scheduled payment due as of the given time to pending and runs
+// it through the normal processing path. Time is passed in so tests can drive
+// execution deterministically.
+export const runScheduledPayments = (asOf = new Date()) => {
+  const runAt = new Date(asOf).toISOString();
+  const completed = [];
+  const failed = [];
+
+  getPayments()
+    .filter(payment => isDue(payment, runAt))
+    .forEach(payment => {
+      updatePayment(payment.id, { status: 'pending' }, 'Scheduled date reached');
+      const result = processPayment(payment.id);
+      if (result.error) {
+        failed.push(result.payment);
+      } else {
+        completed.push(result.payment.method === 'mobile_money'
+          ? startWalletDelivery(payment.id)
+          : result.payment);
+      }
+    });
+
+  return { asOf: runAt, completed, failed };
+};
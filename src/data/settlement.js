@@ -0,0 +1,106 @@
+import settlementConfig from '../config/settlement.js';
+import {
+  getTransactions,
+  getTransactionById,
+  updateTransaction,
+  getAccountById,
+  applyBalanceDelta,
+  roundMoney,
+  getPaymentById,
+  updatePayment
+} from './mockData.js';
+import { failBillPayment } from './bills.js';
+import { failLoanRepayment } from './loanRepayments.js';
+import { failLoanDisbursement } from './loanDisbursements.js';
+
+// Settlement engine: moves pending transactions to cleared (or failed) once
+// their category's delay has elapsed. Time is always passed in, so tests can
+// drive it with an explicit asOf instead of waiting on timers.
+
+export const getSettlementDelay = (category) =>
+  settlementConfig.delaysMs[category] ?? settlementConfig.delaysMs.default;
+
+export const configureSettlement = ({ delaysMs } = {}) => {
+  if (delaysMs) {
+    Object.assign(settlementConfig.delaysMs, delaysMs);
+  }
+  return { ...settlementConfig, delaysMs: { ...settlementConfig.delaysMs } };
+};
+
+export const getSettlementDueAt = (transaction) =>
+  new Date(new Date(transaction.initiatedAt).getTime() + getSettlementDelay(transaction.category)).toISOString();
+
+// A leg fails when its account is no longer able to post at settlement time
+const failureReasonFor = (transaction) => {
+  const account = getAccountById(transaction.accountId);
+  if (!account) return 'ACCOUNT_NOT_FOUND';
+  if (account.status !== 'active') return `ACCOUNT_${account.status.toUpperCase()}`;
+  return null;
+};
+
+// A reversal that bounces never moved the money back, so the original leg
+// gives back the refunded amount and can be reversed again
+const restoreReversedLeg = (reversalLeg) => {
+  const original = getTransactionById(reversalLeg.reversalOf);
+  if (!original) return;
+  const refundedAmount = roundMoney((original.refundedAmount || 0) - reversalLeg.amount);
+  const reversalTransferIds = (original.reversalTransferIds || []).filter(id => id !== reversalLeg.transferId);
+  updateTransaction(original.id, {
+    status: refundedAmount > 0 ? 'partially_reversed' : 'cleared',
+    refundedAmount,
+    reversalTransferIds,
+    reversedAt: reversalTransferIds.length > 0 ? original.reversedAt : null
+  });
+};
+
+export const runSettlement = (asOf = new Date()) => {
+  const asOfTime = new Date(asOf).getTime();
+  const processedAt = new Date(asOfTime).toISOString();
+  const due = getTransactions().filter(txn =>
+    txn.status === 'pending' && new Date(getSettlementDueAt(txn)).getTime() <= asOfTime
+  );
+
+  // Legs of the same transfer settle together
+  const groups = new Map();
+  due.forEach(txn => {
+    const key = txn.transferId || txn.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(txn);
+  });
+
+  const cleared = [];
+  const failed = [];
+
+  groups.forEach(legs => {
+    const failureReason = legs.map(failureReasonFor).find(Boolean);
+
+    legs.forEach(leg => {
+      if (failureReason) {
+        // Undo the balance movement made when the leg was posted
+        applyBalanceDelta(leg.accountId, leg.type === 'debit' ? leg.amount : -leg.amount);
+        failed.push(updateTransaction(leg.id, { status: 'failed', failureReason, processedAt }));
+        if (leg.reversalOf) {
+          restoreReversedLeg(leg);
+        }
+        // A payment whose debit bounces at settlement is returned to the payer
+        const payment = leg.paymentId && getPaymentById(leg.paymentId);
+        if (payment && payment.status === 'completed') {
+          updatePayment(payment.id, { status: 'returned', returnReason: failureReason }, failureReason);
+        }
+        if (leg.billPaymentId) {
+          failBillPayment(leg.billPaymentId, failureReason);
+        }
+        if (leg.loanRepaymentId) {
+          failLoanRepayment(leg.loanRepaymentId, failureReason);
+        }
+        if (leg.category === 'loan_disbursement') {
+          failLoanDisbursement(leg.loanId, leg.id, failureReason);
+        }
+      } else {
+        cleared.push(updateTransaction(leg.id, { status: 'cleared', processedAt }));
+      }
+    });
+  });
+
+  return { asOf: processedAt, cleared, failed };
+};
@@ -0,0 +1,148 @@
+import standingOrdersConfig from '../config/standingOrders.js';
+import {
+  getStandingOrders,
+  getStandingOrderById,
+  updateStandingOrder,
+  postTransfer
+} from './mockData.js';
+
+export const STANDING_ORDER_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+export const STANDING_ORDER_FAILURE_POLICIES = ['skip', 'retry'];
+
+// Upper bound on occurrences handled for one order in a single run, so a run
+// far in the future cannot loop unbounded
+const MAX_CATCH_UP = 400;
+
+// Date of the nth occurrence (0-based) counted from the start date. Monthly
+// orders keep the start day, clamped to the end of shorter months.
+export const occurrenceDate = (order, n) => {
+  const date = new Date(order.startDate);
+  if (order.frequency === 'daily') {
+    date.setUTCDate(date.getUTCDate() + n);
+  } else if (order.frequency === 'weekly') {
+    date.setUTCDate(date.getUTCDate() + 7 * n);
+  } else {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + n);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  }
+  return date.toISOString();
+};
+
+// Records an execution and moves the order on to its next occurrence,
+// completing it when the end date or occurrence count is reached
+const advance = (order, execution) => {
+  const occurrenceCount = order.occurrenceCount + 1;
+  const nextRunAt = occurrenceDate(order, occurrenceCount);
+  const finished = (order.maxOccurrences && occurrenceCount >= order.maxOccurrences) ||
+    (order.endDate && nextRunAt > order.endDate);
+
+  return updateStandingOrder(order.id, {
+    occurrenceCount,
+    successCount: order.successCount + (execution.status === 'succeeded' ? 1 : 0),
+    retryCount: 0,
+    nextRunAt: finished ? null : nextRunAt,
+    executions: [...order.executions, execution],
+    ...(finished ? { status: 'completed', completedAt: execution.attemptedAt } : {})
+  });
+};
+
+// Attempts the order's current occurrence as a transfer, the same way
+// POST /transactions does. Insufficient funds either skips the occurrence or,
+// under the retry policy, re-schedules it until maxRetries is used up. Other
+// ledger errors fail the occurrence.
+const executeOccurrence = (order, runAt) => {
+  const scheduledFor = occurrenceDate(order, order.occurrenceCount);
+  const base = {
+    sequence: order.executions.length + 1,
+    occurrence: order.occurrenceCount + 1,
+    scheduledFor,
+    attemptedAt: runAt,
+    attempt: order.retryCount + 1
+  };
+
+  const result = postTransfer({
+    fromAccount: order.fromAccount,
+    toAccount: order.toAccount,
+    amount: order.amount,
+    currency: order.currency,
+    description: order.purpose || `Standing order ${order.id}`,
+    standingOrderId: order.id
+  });
+
+  if (!result.error) {
+    return advance(order, {
+      ...base,
+      status: 'succeeded',
+      transferId: result.transferId,
+      debitTransactionId: result.debitTransaction.id,
+      creditTransactionId: result.creditTransaction.id,
+      failureReason: null
+    });
+  }
+
+  const underfunded = result.error.code === 'INSUFFICIENT_FUNDS';
+  if (underfunded && order.failurePolicy === 'retry' && order.retryCount < order.maxRetries) {
+    const retryAt = new Date(new Date(runAt).getTime() + standingOrdersConfig.retryDelayMs).toISOString();
+    return updateStandingOrder(order.id, {
+      retryCount: order.retryCount + 1,
+      nextRunAt: retryAt,
+      executions: [...order.executions, {
+        ...base,
+        status: 'retry_scheduled',
+        transferId: null,
+        failureReason: result.error.code,
+        retryAt
+      }]
+    });
+  }
+
+  return advance(order, {
+    ...base,
+    status: underfunded ? 'skipped' : 'failed',
+    transferId: null,
+    failureReason: result.error.code
+  });
+};
+
+// Executes every occurrence of every active order due as of the given time.
+// Time is passed in so tests can drive execution deterministically.
+export const runStandingOrders = (asOf = new Date()) => {
+  const runAt = new Date(asOf).toISOString();
+  const executions = [];
+
+  getStandingOrders()
+    .filter(order => order.status === 'active')
+    .forEach(({ id }) => {
+      let order = getStandingOrderById(id);
+      for (let i = 0; i < MAX_CATCH_UP && order.status === 'active' && order.nextRunAt <= runAt; i++) {
+        order = executeOccurrence(order, runAt);
+        executions.push({ standingOrderId: id, ...order.executions[order.executions.length - 1] });
+      }
+    });
+
+  return { asOf: runAt, executions };
+};
+
+// Resuming skips the occurrences that fell due while the order was paused;
+// each is recorded in the history with failureReason ORDER_PAUSED
+export const resumeStandingOrder = (id, asOf = new Date()) => {
+  const resumedAt = new Date(asOf).toISOString();
+  let order = updateStandingOrder(id, { status: 'active', pausedAt: null, retryCount: 0 });
+
+  for (let i = 0; i < MAX_CATCH_UP && order.status === 'active' && order.nextRunAt < resumedAt; i++) {
+    order = advance(order, {
+      sequence: order.executions.length + 1,
+      occurrence: order.occurrenceCount + 1,
+      scheduledFor: occurrenceDate(order, order.occurrenceCount),
+      attemptedAt: resumedAt,
+      attempt: 0,
+      status: 'skipped',
+      transferId: null,
+      failureReason: 'ORDER_PAUSED'
+    });
+  }
+  return order;
+};
@@ -0,0 +1,261 @@
+import statementsConfig from '../config/statements.js';
+import { renderXml, xmlDocument } from './iso20022.js';
+
+const CAMT_053_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.08';
+
+// Amounts in the files are unsigned with two decimals; the direction is
+// carried separately (D/C marks, CRDT/DBIT, or the sign of OFX TRNAMT)
+const amountText = (value) => Math.abs(value).toFixed(2);
+const signedAmount = (entry) => (entry.credit !== null ? entry.credit : -entry.debit);
+const dateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+const compactDate = (value) => dateOnly(value).replace(/-/g, '');
+
+const statementId = (statement) =>
+  `STMT-${statement.accountId}-${compactDate(statement.from)}-${compactDate(statement.to)}`;
+
+// CSV: one row per record. The first row is the opening balance, the last
+// the closing balance; debit and credit are unsigned, amount is signed.
+const CSV_COLUMNS = [
+  'record', 'date', 'valueDate', 'transactionId', 'reference', 'description',
+  'counterparty', 'debit', 'credit', 'amount', 'balance', 'currency'
+];
+
+// Quotes fields that need it, and neutralises text that a spreadsheet would
+// run as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const renderCsv = (statement) => {
+  const balanceRow = (record, date, description, balance) => ({
+    record, date, description, balance: balance.toFixed(2), currency: statement.currency
+  });
+  const rows = [
+    balanceRow('opening', statement.from, 'Opening balance', statement.openingBalance),
+    ...statement.transactions.map(entry => ({
+      record: 'transaction',
+      date: entry.bookedAt,
+      valueDate: entry.valueDate,
+      transactionId: entry.transactionId,
+      reference: entry.reference,
+      description: entry.description,
+      counterparty: entry.counterparty,
+      debit: entry.debit !== null ? amountText(entry.debit) : null,
+      credit: entry.credit !== null ? amountText(entry.credit) : null,
+      amount: signedAmount(entry).toFixed(2),
+      balance: entry.runningBalance.toFixed(2),
+      currency: statement.currency
+    })),
+    balanceRow('closing', statement.to, 'Closing balance', statement.closingBalance)
+  ];
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// OFX 2.x (XML). Dates are YYYYMMDDHHMMSS.XXX in GMT, TRNAMT is negative for
+// debits. OFX has no opening balance aggregate, so it goes in BALLIST next to
+// the closing LEDGERBAL.
+const ofxDate = (value) => `${new Date(value).toISOString().replace(/[-:T]/g, '').replace('Z', '')}[0:GMT]`;
+const OFX_ACCOUNT_TYPES = { savings: 'SAVINGS', current: 'CHECKING' };
+
+const renderOfx = (statement) => {
+  const ok = ['STATUS', ['CODE', '0'], ['SEVERITY', 'INFO']];
+  const transaction = (entry) => ['STMTTRN',
+    ['TRNTYPE', entry.credit !== null ? 'CREDIT' : 'DEBIT'],
+    ['DTPOSTED', ofxDate(entry.bookedAt)],
+    entry.valueDate ? ['DTAVAIL', ofxDate(entry.valueDate)] : null,
+    ['TRNAMT', signedAmount(entry).toFixed(2)],
+    ['FITID', entry.transactionId],
+    entry.reference ? ['REFNUM', entry.reference.slice(0, 32)] : null,
+    entry.counterparty ? ['NAME', entry.counterparty.slice(0, 32)] : null,
+    entry.description ? ['MEMO', entry.description.slice(0, 255)] : null
+  ];
+
+  const root = ['OFX',
+    ['SIGNONMSGSRSV1',
+      ['SONRS', ok, ['DTSERVER', ofxDate(statement.generatedAt)], ['LANGUAGE', 'ENG']]],
+    ['BANKMSGSRSV1',
+      ['STMTTRNRS',
+        ['TRNUID', statementId(statement)],
+        ok,
+        ['STMTRS',
+          ['CURDEF', statement.currency],
+          ['BANKACCTFROM',
+            ['BANKID', statementsConfig.bankId],
+            ['ACCTID', statement.accountNumber],
+            ['ACCTTYPE', OFX_ACCOUNT_TYPES[statement.accountType] || 'CHECKING']],
+          ['BANKTRANLIST',
+            ['DTSTART', ofxDate(statement.from)],
+            ['DTEND', ofxDate(statement.to)],
+            ...statement.transactions.map(transaction)],
+          ['LEDGERBAL',
+            ['BALAMT', statement.closingBalance.toFixed(2)],
+            ['DTASOF', ofxDate(statement.to)]],
+          ['BALLIST',
+            ['BAL',
+              ['NAME', 'Opening balance'],
+              ['DESC', 'Ledger balance at the start of the statement period'],
+              ['BALTYPE', 'DOLLAR'],
+              ['VALUE', statement.openingBalance.toFixed(2)],
+              ['DTASOF', ofxDate(statement.from)]]]]]]
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    renderXml(root),
+    ''
+  ].join('\n');
+};
+
+// SWIFT MT940. Balances are D/C mark + YYMMDD + currency + amount with a
+// decimal comma (:60F: opening, :62F: closing). Each :61: line carries the
+// value date, the entry (booking) date, C/D, or RC/RD for reversal entries,
+// and is followed by a :86: narrative. Text is limited to the SWIFT X
+// character set.
+const swiftDate = (value) => dateOnly(value).replace(/-/g, '').slice(2);
+const swiftAmount = (value) => amountText(value).replace('.', ',');
+const swiftText = (value) => String(value || '').replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ').replace(/\s+/g, ' ').trim();
+const SWIFT_TRANSACTION_CODES = { transfer: 'TRF', reversal: 'TRF', fee: 'CHG' };
+
+// Reference subfields may not start or end with a slash or contain '//'
+const swiftReference = (value, fallback) => {
+  const reference = swiftText(value).replace(/\s/g, '').replace(/\/{2,}/g, '/').replace(/^\/+|\/+$/g, '').slice(0, 16);
+  return reference || fallback;
+};
+
+const balanceLine = (tag, date, balance, currency) =>
+  `${tag}${balance < 0 ? 'D' : 'C'}${swiftDate(date)}${currency}${swiftAmount(balance)}`;
+
+// :86: holds up to 6 lines of 65 characters; continuation lines must not
+// start with ':' or '-', which would read as a new field or end of message
+const narrativeLines = (text) => {
+  const lines = (swiftText(text).match(/.{1,65}/g) || []).slice(0, 6);
+  return lines.map((line, index) => (index === 0 ? `:86:${line}` : line.replace(/^[:-]/, ' ')));
+};
+
+const renderMt940 = (statement) => {
+  const entryLines = (entry) => {
+    const isCredit = entry.credit !== null;
+    const mark = entry.category === 'reversal' ? (isCredit ? 'RD' : 'RC') : (isCredit ? 'C' : 'D');
+    const code = SWIFT_TRANSACTION_CODES[entry.category] || 'MSC';
+    const bookedAt = swiftDate(entry.bookedAt);
+    return [
+      `:61:${swiftDate(entry.valueDate || entry.bookedAt)}${bookedAt.slice(2)}${mark}${swiftAmount(signedAmount(entry))}N${code}` +
+        `${swiftReference(entry.reference, 'NONREF')}//${swiftReference(entry.transactionId, 'NONREF')}`,
+      ...narrativeLines([entry.description, entry.counterparty].filter(Boolean).join(' '))
+    ];
+  };
+
+  return [
+    `:20:${swiftReference(`STMT${swiftDate(statement.to)}`, 'STMT')}`,
+    `:25:${statement.accountNumber}`,
+    ':28C:1/1',
+    balanceLine(':60F:', statement.from, statement.openingBalance, statement.currency),
+    ...statement.transactions.flatMap(entryLines),
+    balanceLine(':62F:', statement.to, statement.closingBalance, statement.currency),
+    '-'
+  ].join('\r\n') + '\r\n';
+};
+
+// ISO 20022 camt.053.001.08 BkToCstmrStmt with OPBD/CLBD balances, a
+// transaction summary and one Ntry per entry. Balance and entry amounts are
+// unsigned with CRDT/DBIT; reversal entries set RvslInd.
+const creditDebit = (value) => (value < 0 ? 'DBIT' : 'CRDT');
+
+const renderCamt053 = (statement) => {
+  const { currency, totals } = statement;
+  const amount = (value) => ['Amt', { Ccy: currency }, amountText(value)];
+  const balance = (code, value, date) => ['Bal',
+    ['Tp', ['CdOrPrtry', ['Cd', code]]],
+    amount(value),
+    ['CdtDbtInd', creditDebit(value)],
+    ['Dt', ['Dt', dateOnly(date)]]
+  ];
+  const entry = (item) => {
+    const value = signedAmount(item);
+    return ['Ntry',
+      ['NtryRef', item.transactionId],
+      amount(value),
+      ['CdtDbtInd', creditDebit(value)],
+      item.category === 'reversal' ? ['RvslInd', 'true'] : null,
+      ['Sts', ['Cd', 'BOOK']],
+      ['BookgDt', ['DtTm', item.bookedAt]],
+      item.valueDate ? ['ValDt', ['DtTm', item.valueDate]] : null,
+      ['AcctSvcrRef', item.transactionId],
+      ['BkTxCd', ['Prtry', ['Cd', item.category || 'other']]],
+      ['NtryDtls',
+        ['TxDtls',
+          ['Refs',
+            ['AcctSvcrRef', item.transactionId],
+            ['EndToEndId', item.reference || 'NOTPROVIDED']],
+          amount(value),
+          ['CdtDbtInd', creditDebit(value)],
+          item.counterparty
+            ? ['RltdPties', [value < 0 ? 'Cdtr' : 'Dbtr', ['Pty', ['Nm', item.counterparty.slice(0, 140)]]]]
+            : null,
+          item.description ? ['RmtInf', ['Ustrd', item.description.slice(0, 140)]] : null]]
+    ];
+  };
+  const id = statementId(statement);
+
+  return xmlDocument(['Document', { xmlns: CAMT_053_NAMESPACE },
+    ['BkToCstmrStmt',
+      ['GrpHdr',
+        ['MsgId', id],
+        ['CreDtTm', statement.generatedAt]],
+      ['Stmt',
+        ['Id', id],
+        ['CreDtTm', statement.generatedAt],
+        ['FrToDt',
+          ['FrDtTm', statement.from],
+          ['ToDtTm', statement.to]],
+        ['Acct',
+          ['Id', ['Othr', ['Id', statement.accountNumber]]],
+          ['Ccy', currency],
+          statement.accountHolder ? ['Ownr', ['Nm', statement.accountHolder]] : null,
+          ['Svcr', ['FinInstnId', ['Othr', ['Id', statementsConfig.bankId]]]]],
+        balance('OPBD', statement.openingBalance, statement.from),
+        balance('CLBD', statement.closingBalance, statement.to),
+        ['TxsSummry',
+          ['TtlNtries',
+            ['NbOfNtries', String(totals.debitCount + totals.creditCount)],
+            ['Sum', (totals.debits + totals.credits).toFixed(2)],
+            ['TtlNetNtry',
+              ['Amt', amountText(totals.netMovement)],
+              ['CdtDbtInd', creditDebit(totals.netMovement)]]],
+          ['TtlCdtNtries',
+            ['NbOfNtries', String(totals.creditCount)],
+            ['Sum', totals.credits.toFixed(2)]],
+          ['TtlDbtNtries',
+            ['NbOfNtries', String(totals.debitCount)],
+            ['Sum', totals.debits.toFixed(2)]]],
+        ...statement.transactions.map(entry)]]
+  ]);
+};
+
+// Export formats with the media types they are served as (the first) and
+// negotiated from. json is the statement resource itself.
+export const STATEMENT_FORMATS = {
+  json: { mediaTypes: ['application/json'] },
+  csv: { mediaTypes: ['text/csv'], extension: 'csv', render: renderCsv },
+  ofx: { mediaTypes: ['application/x-ofx'], extension: 'ofx', render: renderOfx },
+  mt940: { mediaTypes: ['application/x-mt940', 'text/plain'], extension: 'sta', render: renderMt940 },
+  camt053: { mediaTypes: ['application/xml', 'text/xml'], extension: 'xml', render: renderCamt053 }
+};
+
+// Renders a statement built by buildStatement in one of the file formats
+export const exportStatement = (statement, format) => {
+  const { mediaTypes, extension, render } = STATEMENT_FORMATS[format];
+  return {
+    contentType: mediaTypes[0],
+    filename: `statement-${statement.accountId}-${compactDate(statement.from)}-${compactDate(statement.to)}.${extension}`,
+    body: render(statement)
+  };
+};
@@ -0,0 +1,113 @@
+import {
+  getAccountById,
+  getCustomerById,
+  getTransactions,
+  roundMoney
+} from './mockData.js';
+import { parseDateBound } from './filters.js';
+import { sequenceOf } from './pagination.js';
+
+const statementError = (code, message, param) => ({ error: { code, message, ...(param ? { param } : {}) } });
+
+// Signed effect of a transaction on its account's balance
+const balanceEffect = (transaction) => (transaction.type === 'credit' ? transaction.amount : -transaction.amount);
+
+// Ledger entries that moved the account's balance, oldest first. Balances move
+// when a transaction is posted, so entries are booked at initiatedAt and
+// pending ones are included. Failed transactions are left out: their movement
+// was undone when they failed.
+const getBookedEntries = (accountId) => getTransactions()
+  .filter(txn => txn.accountId === accountId && txn.status !== 'failed')
+  .sort((a, b) => new Date(a.initiatedAt) - new Date(b.initiatedAt) || sequenceOf(a.id) - sequenceOf(b.id));
+
+// Builds an account statement for [from, to]. Balances are rebuilt forward
+// from the balance the account was opened with, so the ledger balance at the
+// end can be checked against the account's current balance: a balance moved
+// without a matching ledger entry shows as reconciled: false.
+export const buildStatement = (accountId, { from, to } = {}) => {
+  const account = getAccountById(accountId);
+  if (!account) {
+    return statementError('ACCOUNT_NOT_FOUND', `Account not found: ${accountId}`);
+  }
+
+  const start = from === undefined ? new Date(account.createdAt) : parseDateBound(from, false);
+  if (!start) {
+    return statementError('INVALID_DATE', `from must be a valid ISO date, got "${from}"`, 'from');
+  }
+  // A date without a time covers the whole day, so to=2024-01-05 includes the 5th
+  const end = to === undefined ? new Date() : parseDateBound(to, true);
+  if (!end) {
+    return statementError('INVALID_DATE', `to must be a valid ISO date, got "${to}"`, 'to');
+  }
+  if (start > end) {
+    return statementError('INVALID_DATE_RANGE', 'from must not be after to', 'from');
+  }
+
+  const entries = getBookedEntries(accountId);
+  const bookedAt = (txn) => new Date(txn.initiatedAt);
+  const sum = (txns) => roundMoney(txns.reduce((total, txn) => total + balanceEffect(txn), 0));
+
+  const inPeriod = entries.filter(txn => bookedAt(txn) >= start && bookedAt(txn) <= end);
+  const afterPeriod = entries.filter(txn => bookedAt(txn) > end);
+  const beforePeriod = entries.filter(txn => bookedAt(txn) < start);
+
+  const openingBalance = roundMoney((account.initialBalance ?? 0) + sum(beforePeriod));
+  let runningBalance = openingBalance;
+  const transactions = inPeriod.map(txn => {
+    runningBalance = roundMoney(runningBalance + balanceEffect(txn));
+    return {
+      transactionId: txn.id,
+      bookedAt: txn.initiatedAt,
+      valueDate: txn.processedAt,
+      type: txn.type,
+      description: txn.description,
+      category: txn.category,
+      counterparty: txn.counterparty,
+      reference: txn.reference,
+      status: txn.status,
+      reversalOf: txn.reversalOf || null,
+      debit: txn.type === 'debit' ? txn.amount : null,
+      credit: txn.type === 'credit' ? txn.amount : null,
+      runningBalance
+    };
+  });
+
+  const debits = inPeriod.filter(txn => txn.type === 'debit');
+  const credits = inPeriod.filter(txn => txn.type === 'credit');
+  const totalDebits = roundMoney(debits.reduce((total, txn) => total + txn.amount, 0));
+  const totalCredits = roundMoney(credits.reduce((total, txn) => total + txn.amount, 0));
+  const closingBalance = roundMoney(openingBalance + totalCredits - totalDebits);
+  const movementsAfterPeriod = sum(afterPeriod);
+  const ledgerBalance = roundMoney(closingBalance + movementsAfterPeriod);
+  const customer = getCustomerById(account.customerId);
+
+  return {
+    statement: {
+      accountId: account.id,
+      accountNumber: account.accountNumber,
+      accountHolder: customer ? customer.name : null,
+      accountType: account.type,
+      currency: account.currency,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      openingBalance,
+      closingBalance,
+      totals: {
+        debits: totalDebits,
+        credits: totalCredits,
+        debitCount: debits.length,
+        creditCount: credits.length,
+        netMovement: roundMoney(totalCredits - totalDebits)
+      },
+      transactions,
+      reconciliation: {
+        closingBalance,
+        movementsAfterPeriod,
+        ledgerBalance,
+        currentBalance: account.balance,
+        reconciled: ledgerBalance === account.balance
+      },
+      generatedAt: new Date().toISOString()
+    }
+  };
+};
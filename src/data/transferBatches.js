@@ -0,0 +1,312 @@
+import transferBatchesConfig from '../config/transferBatches.js';
+import {
+  getAccountById,
+  getAccountLimit,
+  getTransferBatchById,
+  addTransferBatch,
+  updateTransferBatch,
+  postTransfer,
+  roundMoney
+} from './mockData.js';
+
+export const TRANSFER_BATCH_FORMATS = ['csv', 'jsonl'];
+
+const BATCH_FIELDS = ['fromAccount', 'toAccount', 'amount', 'currency', 'purpose'];
+const REQUIRED_FIELDS = ['fromAccount', 'toAccount', 'amount', 'currency'];
+
+const batchError = (code, message) => ({ error: { code, message } });
+
+// Splits one CSV line into trimmed fields. Quoted fields may contain commas,
+// and a doubled quote inside a quoted field is a literal quote. Returns null
+// when a quote is left open.
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return quoted ? null : fields;
+};
+
+// Non-blank lines of the file with their 1-based line numbers
+const contentLines = (content) => String(content || '')
+  .split(/\r?\n/)
+  .map((text, index) => ({ text, line: index + 1 }))
+  .filter(({ text }) => text.trim() !== '');
+
+const parseCsv = (lines) => {
+  const [header, ...dataLines] = lines;
+  const headerFields = splitCsvLine(header.text) || [];
+  // Column names are matched case-insensitively; unknown columns are ignored
+  const columns = headerFields.map(name => BATCH_FIELDS.find(field => field.toLowerCase() === name.toLowerCase()));
+  const missing = REQUIRED_FIELDS.filter(field => !columns.includes(field));
+  if (missing.length) {
+    return batchError('INVALID_FILE', `CSV header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return {
+    rows: dataLines.map(({ text, line }, index) => {
+      const fields = splitCsvLine(text);
+      if (!fields) {
+        return { row: index + 1, line, values: {}, parseError: 'Unterminated quoted field' };
+      }
+      const values = {};
+      columns.forEach((field, column) => {
+        if (field && fields[column] !== undefined && fields[column] !== '') {
+          values[field] = fields[column];
+        }
+      });
+      // Amounts that are not numbers are kept as written for the report
+      if (values.amount !== undefined && !isNaN(Number(values.amount))) {
+        values.amount = Number(values.amount);
+      }
+      return { row: index + 1, line, values };
+    })
+  };
+};
+
+const parseJsonLines = (lines) => ({
+  rows: lines.map(({ text, line }, index) => {
+    let values;
+    try {
+      values = JSON.parse(text);
+    } catch (err) {
+      return { row: index + 1, line, values: {}, parseError: `Invalid JSON: ${err.message}` };
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { row: index + 1, line, values: {}, parseError: 'Each line must be a JSON object' };
+    }
+    return {
+      row: index + 1,
+      line,
+      values: Object.fromEntries(BATCH_FIELDS.filter(field => values[field] !== undefined).map(field => [field, values[field]]))
+    };
+  })
+});
+
+// Parses an uploaded batch file into rows. CSV files need a header row naming
+// at least fromAccount, toAccount, amount and currency; JSON lines files hold
+// one transfer object per line. Blank lines are ignored in both.
+export const parseTransferBatch = (format, content) => {
+  if (!TRANSFER_BATCH_FORMATS.includes(format)) {
+    return batchError('UNSUPPORTED_FORMAT', `Format must be one of: ${TRANSFER_BATCH_FORMATS.join(', ')}`);
+  }
+  const emptyFile = batchError('EMPTY_FILE', 'The batch file contains no transfer rows');
+  const lines = contentLines(content);
+  if (!lines.length) return emptyFile;
+
+  const parsed = format === 'csv' ? parseCsv(lines) : parseJsonLines(lines);
+  if (parsed.error) return parsed;
+  if (!parsed.rows.length) return emptyFile;
+
+  if (parsed.rows.length > transferBatchesConfig.maxRows) {
+    return batchError(
+      'TOO_MANY_ROWS',
+      `The batch file has ${parsed.rows.length} rows; the maximum is ${transferBatchesConfig.maxRows}`
+    );
+  }
+  return parsed;
+};
+
+const checkAccount = (accountId, field, currency) => {
+  const account = getAccountById(accountId);
+  if (!account) {
+    return { field, code: 'ACCOUNT_NOT_FOUND', message: `Account not found: ${accountId}` };
+  }
+  if (account.status !== 'active') {
+    return { field, code: `ACCOUNT_${account.status.toUpperCase()}`, message: `Account is ${account.status}: ${accountId}` };
+  }
+  if (currency && account.currency !== currency) {
+    return {
+      field: 'currency',
+      code: 'CURRENCY_MISMATCH',
+      message: `Currency ${currency} does not match ${accountId} currency ${account.currency}`
+    };
+  }
+  return null;
+};
+
+const rowErrors = ({ values, parseError }) => {
+  if (parseError) {
+    return [{ field: null, code: 'MALFORMED_ROW', message: parseError }];
+  }
+
+  const errors = REQUIRED_FIELDS
+    .filter(field => values[field] === undefined || values[field] === null || values[field] === '')
+    .map(field => ({ field, code: 'MISSING_FIELD', message: `${field} is required` }));
+
+  const { fromAccount, toAccount, amount, currency } = values;
+  if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+    errors.push({ field: 'amount', code: 'INVALID_AMOUNT', message: 'Amount must be a number greater than 0' });
+  }
+  if (fromAccount && fromAccount === toAccount) {
+    errors.push({ field: 'toAccount', code: 'SAME_ACCOUNT', message: 'Source and destination accounts must differ' });
+  }
+  [[fromAccount, 'fromAccount'], [toAccount, 'toAccount']].forEach(([accountId, field]) => {
+    const error = accountId ? checkAccount(accountId, field, currency) : null;
+    if (error) errors.push(error);
+  });
+  return errors;
+};
+
+// Validates every row before anything is posted: required fields, amount,
+// both accounts existing and active, and currencies matching. Rows are then
+// checked in file order against the source account's remaining daily and
+// monthly limits, counting the rows before them in the same batch.
+export const validateTransferBatch = (rows) => {
+  const committed = {};
+  const totals = {};
+
+  const reportRows = rows.map(parsedRow => {
+    const errors = rowErrors(parsedRow);
+    const { fromAccount, amount, currency } = parsedRow.values;
+
+    if (!errors.length) {
+      const limit = getAccountLimit(fromAccount);
+      const batchTotal = roundMoney((committed[fromAccount] || 0) + amount);
+      if (limit) {
+        const dailyRemaining = roundMoney(limit.dailyLimit - limit.dailyUsed);
+        const monthlyRemaining = roundMoney(limit.monthlyLimit - limit.monthlyUsed);
+        if (batchTotal > dailyRemaining) {
+          errors.push({
+            field: 'amount',
+            code: 'DAILY_LIMIT_EXCEEDED',
+            message: `Batch total of ${batchTotal} ${currency} from ${fromAccount} exceeds the remaining daily limit of ${dailyRemaining} ${limit.currency}`
+          });
+        } else if (batchTotal > monthlyRemaining) {
+          errors.push({
+            field: 'amount',
+            code: 'MONTHLY_LIMIT_EXCEEDED',
+            message: `Batch total of ${batchTotal} ${currency} from ${fromAccount} exceeds the remaining monthly limit of ${monthlyRemaining} ${limit.currency}`
+          });
+        }
+      }
+      if (!errors.length) {
+        committed[fromAccount] = batchTotal;
+        totals[currency] = roundMoney((totals[currency] || 0) + amount);
+      }
+    }
+
+    return { row: parsedRow.row, line: parsedRow.line, ...parsedRow.values, valid: !errors.length, errors };
+  });
+
+  const invalidRows = reportRows.filter(row => !row.valid).length;
+  return {
+    valid: invalidRows === 0,
+    rowCount: reportRows.length,
+    validRows: reportRows.length - invalidRows,
+    invalidRows,
+    totals,
+    rows: reportRows
+  };
+};
+
+// Parses and validates an upload and, only when every row is valid, queues
+// it as a batch. An invalid file is rejected as a whole with its report.
+export const createTransferBatch = ({ format, content, reference }) => {
+  const parsed = parseTransferBatch(format, content);
+  if (parsed.error) return parsed;
+
+  const validation = validateTransferBatch(parsed.rows);
+  if (!validation.valid) {
+    return {
+      ...batchError('BATCH_VALIDATION_FAILED', `${validation.invalidRows} of ${validation.rowCount} row(s) failed validation`),
+      validation
+    };
+  }
+
+  const batch = addTransferBatch({
+    reference: reference || null,
+    format,
+    rowCount: validation.rowCount,
+    totals: validation.totals,
+    succeededCount: 0,
+    failedCount: 0,
+    pendingCount: validation.rowCount,
+    rows: validation.rows.map(({ row, line, fromAccount, toAccount, amount, currency, purpose }) => ({
+      row,
+      line,
+      fromAccount,
+      toAccount,
+      amount,
+      currency,
+      purpose: purpose || null,
+      status: 'pending',
+      transferId: null,
+      failureCode: null,
+      failureReason: null,
+      processedAt: null
+    }))
+  });
+  return { batch, validation };
+};
+
+const finalStatus = ({ succeededCount, failedCount }) => {
+  if (!failedCount) return 'completed';
+  return succeededCount ? 'completed_with_errors' : 'failed';
+};
+
+// Posts the batch's next pending row as a transfer, the same way
+// POST /transactions does. Validation already passed, but balances and
+// account statuses can change before a row runs, so a row can still fail;
+// the rest of the batch carries on.
+export const executeNextBatchRow = (id) => {
+  let batch = getTransferBatchById(id);
+  if (!batch || !['queued', 'processing'].includes(batch.status)) return batch;
+  if (batch.status === 'queued') {
+    batch = updateTransferBatch(id, { status: 'processing', startedAt: new Date().toISOString() });
+  }
+
+  const next = batch.rows.find(row => row.status === 'pending');
+  if (!next) {
+    return updateTransferBatch(id, { status: finalStatus(batch), completedAt: new Date().toISOString() });
+  }
+
+  const result = postTransfer({
+    fromAccount: next.fromAccount,
+    toAccount: next.toAccount,
+    amount: next.amount,
+    currency: next.currency,
+    description: next.purpose || `Batch ${id} row ${next.row}`,
+    batchId: id,
+    batchRow: next.row
+  });
+
+  const processed = {
+    ...next,
+    status: result.error ? 'failed' : 'succeeded',
+    transferId: result.error ? null : result.transferId,
+    failureCode: result.error ? result.error.code : null,
+    failureReason: result.error ? result.error.message : null,
+    processedAt: new Date().toISOString()
+  };
+  return updateTransferBatch(id, {
+    rows: batch.rows.map(row => (row.row === next.row ? processed : row)),
+    succeededCount: batch.succeededCount + (result.error ? 0 : 1),
+    failedCount: batch.failedCount + (result.error ? 1 : 0),
+    pendingCount: batch.pendingCount - 1
+  });
+};
+
+// Executes a queued batch in the background, one row per tick, so the status
+// resource shows progress while a large batch runs
+export const dispatchTransferBatch = (id) => {
+  const step = () => {
+    const batch = executeNextBatchRow(id);
+    if (batch && batch.status === 'processing') setImmediate(step);
+  };
+  setImmediate(step);
+};
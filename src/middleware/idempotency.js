@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import idempotencyConfig from '../config/idempotency.js';
+
+// Idempotency-Key support for money-moving POST endpoints. The first response
+// for a key is stored and replayed for retries with the same body; reusing the
+// key with a different body is rejected. Keys expire after
+// idempotencyConfig.ttlMs.
+
+const storedResponses = new Map();
+
+// Serialises with sorted object keys so property order does not change the hash
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashBody = (body) => crypto.createHash('sha256').update(canonicalize(body)).digest('hex');
+
+const purgeExpired = (now) => {
+  storedResponses.forEach((entry, key) => {
+    if (entry.expiresAt <= now) storedResponses.delete(key);
+  });
+};
+
+export const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const now = Date.now();
+  purgeExpired(now);
+
+  // Keys are scoped to the endpoint they were first used on
+  const storeKey = `${req.method} ${req.baseUrl}${req.path} ${key}`;
+  const bodyHash = hashBody(req.body);
+  const stored = storedResponses.get(storeKey);
+
+  if (stored) {
+    if (stored.bodyHash !== bodyHash) {
+      return res.status(422).json({
+        status: 'error',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'Idempotency-Key has already been used with a different request body',
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(stored.statusCode).json(stored.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Server errors are not stored so the client can retry them
+    if (res.statusCode < 500) {
+      storedResponses.set(storeKey, {
+        bodyHash,
+        statusCode: res.statusCode,
+        body,
+        expiresAt: now + idempotencyConfig.ttlMs
+      });
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -3,11 +3,50 @@ import {
   getAccounts,
   getAccountById,
   addAccount,
-  updateAccount
+  updateAccount,
+  isPostableAmount
 } from '../data/mockData.js';
+import { buildStatement } from '../data/statements.js';
+import { STATEMENT_FORMATS, exportStatement } from '../data/statementExports.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
 
 const router = express.Router();
 
+// Fields the list can be sorted by, with their types
+const ACCOUNT_SORT_FIELDS = {
+  createdAt: 'date',
+  updatedAt: 'date',
+  balance: 'number',
+  accountNumber: 'string',
+  status: 'string',
+  type: 'string',
+  currency: 'string'
+};
+
+// Query filters for GET /accounts
+const ACCOUNT_FILTERS = {
+  values: {
+    customerId: null,
+    status: ['active', 'suspended', 'closed'],
+    type: ['savings', 'current'],
+    currency: null
+  },
+  range: { field: 'balance', min: 'minBalance', max: 'maxBalance' },
+  dates: ['createdAt', 'updatedAt']
+};
+
+// Statement format from ?format=, otherwise negotiated from the Accept header.
+// Returns undefined when neither names a supported format.
+const statementFormat = (req) => {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    return Object.hasOwn(STATEMENT_FORMATS, format) ? format : undefined;
+  }
+  const mediaType = req.accepts(Object.values(STATEMENT_FORMATS).flatMap(({ mediaTypes }) => mediaTypes));
+  return Object.keys(STATEMENT_FORMATS).find(format => STATEMENT_FORMATS[format].mediaTypes.includes(mediaType));
+};
+
 /**
  * @swagger
  * /accounts:
@@ -19,24 +58,79 @@ const router = express.Router();
  *         name: customerId
  *         schema:
  *           type: string
- *         description: Filter by customer ID
+ *         description: Filter by customer ID; comma-separate several
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, suspended, closed]
- *         description: Filter by account status
+ *         description: Filter by account status; comma-separate several (active, suspended, closed)
+ *         example: active,suspended
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [savings, current]
- *         description: Filter by account type
+ *         description: Filter by account type; comma-separate several (savings, current)
  *       - in: query
  *         name: currency
  *         schema:
  *           type: string
- *         description: Filter by currency
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minBalance
+ *         schema:
+ *           type: number
+ *         description: Minimum balance (inclusive)
+ *       - in: query
+ *         name: maxBalance
+ *         schema:
+ *           type: number
+ *         description: Maximum balance (inclusive)
+ *       - in: query
+ *         name: createdAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after (ISO date or date-time)
+ *       - in: query
+ *         name: createdAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: updatedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Last updated on or after (ISO date or date-time)
+ *       - in: query
+ *         name: updatedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Last updated on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, balance, accountNumber, status, type, currency]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
  *     responses:
  *       200:
  *         description: List of accounts
@@ -45,34 +139,42 @@ const router = express.Router();
  *             schema:
  *               allOf:
  *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
  *                 - type: object
  *                   properties:
  *                     data:
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/', (req, res) => {
-  const { customerId, status, type, currency } = req.query;
-  let accounts = getAccounts();
-
-  if (customerId) {
-    accounts = accounts.filter(acc => acc.customerId === customerId);
-  }
-  if (status) {
-    accounts = accounts.filter(acc => acc.status === status);
-  }
-  if (type) {
-    accounts = accounts.filter(acc => acc.type === type);
-  }
-  if (currency) {
-    accounts = accounts.filter(acc => acc.currency === currency);
+  const filtered = applyFilters(getAccounts(), req.query, ACCOUNT_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: ACCOUNT_SORT_FIELDS, defaultSort: 'createdAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
   }
 
   res.json({
     status: 'success',
-    data: accounts,
-    count: accounts.length,
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -130,6 +232,134 @@ router.get('/:accountId', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /accounts/{accountId}/statement:
+ *   get:
+ *     summary: Get an account statement with opening, running and closing balances
+ *     description: |
+ *       Returns the transactions booked on the account between from and to, each with the running balance after it, plus the opening balance, debit and credit totals and the closing balance. Balances move when a transaction is posted, so entries are dated by initiatedAt and pending transactions are included; failed transactions are left out because their movement was undone.
+ *
+ *       Balances are rebuilt forward from the balance the account was opened with; reconciliation compares that ledger balance (the closing balance plus everything booked after the period) with the account's current balance, and reconciled is false when they disagree. To answer "what was my balance on the 5th", use to=YYYY-MM-05 and read closingBalance.
+ *
+ *       The statement can also be downloaded as a file, chosen with the format parameter or, when it is absent, from the Accept header:
+ *       - csv (text/csv): an opening balance row, one row per transaction with unsigned debit/credit, a signed amount and the running balance, and a closing balance row
+ *       - ofx (application/x-ofx): OFX 2.2 bank statement; TRNAMT is negative for debits, LEDGERBAL holds the closing balance and BALLIST the opening balance
+ *       - mt940 (application/x-mt940 or text/plain): SWIFT MT940 with :60F: opening and :62F: closing balances, and a :61:/:86: pair per entry (RC/RD for reversals)
+ *       - camt053 (application/xml or text/xml): ISO 20022 camt.053.001.08 with OPBD/CLBD balances, a transaction summary and one Ntry per entry
+ *
+ *       Files are sent as attachments named statement-{accountId}-{from}-{to}.{ext}.
+ *     tags: [Accounts]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: acc-001
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start of the period (ISO date or date-time). Defaults to the account's creation date
+ *         example: '2024-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End of the period (ISO date or date-time). A date without a time includes the whole day. Defaults to now
+ *         example: '2024-01-31'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, ofx, mt940, camt053]
+ *         description: Output format. Overrides the Accept header; defaults to json
+ *     responses:
+ *       200:
+ *         description: Account statement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AccountStatement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *           application/x-mt940:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid from/to (INVALID_DATE, INVALID_DATE_RANGE) or format (INVALID_FORMAT); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       406:
+ *         description: The Accept header names no supported statement format (NOT_ACCEPTABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:accountId/statement', (req, res) => {
+  const { from, to } = req.query;
+  const format = statementFormat(req);
+  if (!format) {
+    const invalidParam = req.query.format !== undefined;
+    return res.status(invalidParam ? 400 : 406).json({
+      status: 'error',
+      code: invalidParam ? 'INVALID_FORMAT' : 'NOT_ACCEPTABLE',
+      ...(invalidParam ? { param: 'format' } : {}),
+      message: `Statement format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = buildStatement(req.params.accountId, { from, to });
+
+  if (result.error) {
+    return res.status(result.error.code === 'ACCOUNT_NOT_FOUND' ? 404 : 400).json({
+      status: 'error',
+      code: result.error.code,
+      ...(result.error.param ? { param: result.error.param } : {}),
+      message: result.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (format !== 'json') {
+    const { contentType, filename, body } = exportStatement(result.statement, format);
+    return res.type(contentType).attachment(filename).send(body);
+  }
+
+  res.json({
+    status: 'success',
+    data: result.statement,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
 /**
  * @swagger
  * /accounts:
@@ -159,6 +389,8 @@ router.get('/:accountId', (req, res) => {
  *                 example: GHS
  *               initialDeposit:
  *                 type: number
+ *                 minimum: 0
+ *                 description: Opening balance; defaults to 0
  *                 example: 1000.00
  *               kycLevel:
  *                 type: string
@@ -176,7 +408,7 @@ router.get('/:accountId', (req, res) => {
  *                     data:
  *                       $ref: '#/components/schemas/Account'
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields, or initialDeposit is not a number of 0 or more (INVALID_AMOUNT)
  *         content:
  *           application/json:
  *             schema:
@@ -194,11 +426,25 @@ router.post('/', (req, res) => {
     });
   }
 
+  // An account may open empty; any deposit must be a positive amount
+  const deposit = initialDeposit ?? 0;
+  if (deposit !== 0 && !isPostableAmount(deposit)) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_AMOUNT',
+      param: 'initialDeposit',
+      message: 'initialDeposit must be 0 or a number greater than 0',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
   const account = addAccount({
     customerId,
     type,
     currency,
-    balance: initialDeposit || 0,
+    balance: deposit,
+    initialBalance: deposit,
     status: 'active',
     accountNumber: String(Math.floor(Math.random() * 9000000000) + 1000000000)
   });
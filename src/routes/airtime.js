@@ -5,9 +5,36 @@ import {
   addAirtimePurchase,
   updateAirtimePurchase
 } from '../data/mockData.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
 
 const router = express.Router();
 
+// Fields GET /airtime/purchases can be sorted by
+const AIRTIME_PURCHASE_SORT_FIELDS = {
+  purchasedAt: 'date',
+  completedAt: 'date',
+  amount: 'number',
+  status: 'string',
+  provider: 'string',
+  phoneNumber: 'string'
+};
+
+// Query filters for GET /airtime/purchases; dateFrom/dateTo filter purchasedAt
+const AIRTIME_PURCHASE_FILTERS = {
+  values: {
+    accountId: null,
+    phoneNumber: null,
+    status: ['pending', 'completed'],
+    provider: null,
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['phoneNumber', 'provider', 'transactionReference'],
+  dates: ['purchasedAt', 'completedAt']
+};
+
 // Available providers
 const PROVIDERS = [
   { id: 'MTN', name: 'MTN', countries: ['GH', 'NG', 'ZA'] },
@@ -66,6 +93,8 @@ router.get('/providers', (req, res) => {
  *   post:
  *     summary: Purchase airtime
  *     tags: [Airtime]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -111,8 +140,14 @@ router.get('/providers', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key reused with a different request body (IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/purchase', (req, res) => {
+router.post('/purchase', idempotent, (req, res) => {
   const { phoneNumber, amount, provider, currency, accountId } = req.body;
 
   if (!phoneNumber || !amount || !provider || !accountId) {
@@ -228,24 +263,88 @@ router.get('/purchases/:purchaseId', (req, res) => {
  *         name: accountId
  *         schema:
  *           type: string
- *         description: Filter by account ID
+ *         description: Filter by account ID; comma-separate several
  *       - in: query
  *         name: phoneNumber
  *         schema:
  *           type: string
- *         description: Filter by phone number
+ *         description: Filter by phone number; comma-separate several
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, completed]
- *         description: Filter by status
+ *         description: Filter by purchase status; comma-separate several (pending, completed)
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by provider (e.g. MTN); comma-separate several
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the phone number, provider or transaction reference (case-insensitive)
+ *       - in: query
+ *         name: purchasedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Purchased on or after (ISO date or date-time)
+ *       - in: query
+ *         name: purchasedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Purchased on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: completedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Completed on or after (ISO date or date-time)
+ *       - in: query
+ *         name: completedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Completed on or before (ISO date or date-time; a date alone includes the whole day)
  *       - in: query
  *         name: dateFrom
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Filter from date (ISO format)
+ *         description: Alias for purchasedAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for purchasedAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [purchasedAt, completedAt, amount, status, provider, phoneNumber]
+ *           default: purchasedAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
  *     responses:
  *       200:
  *         description: List of airtime purchases
@@ -254,34 +353,42 @@ router.get('/purchases/:purchaseId', (req, res) => {
  *             schema:
  *               allOf:
  *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
  *                 - type: object
  *                   properties:
  *                     data:
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/AirtimePurchase'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/purchases', (req, res) => {
-  const { accountId, phoneNumber, status, dateFrom } = req.query;
-  let purchases = getAirtimePurchases();
-
-  if (accountId) {
-    purchases = purchases.filter(p => p.accountId === accountId);
-  }
-  if (phoneNumber) {
-    purchases = purchases.filter(p => p.phoneNumber === phoneNumber);
-  }
-  if (status) {
-    purchases = purchases.filter(p => p.status === status);
-  }
-  if (dateFrom) {
-    purchases = purchases.filter(p => p.purchasedAt >= dateFrom);
+  const filtered = applyFilters(getAirtimePurchases(), req.query, AIRTIME_PURCHASE_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: AIRTIME_PURCHASE_SORT_FIELDS, defaultSort: 'purchasedAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
   }
 
   res.json({
     status: 'success',
-    data: purchases,
-    count: purchases.length,
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -0,0 +1,557 @@
+import express from 'express';
+import {
+  getBeneficiaries,
+  getBeneficiaryById,
+  addBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+  resolveAccountName,
+  getCustomerById
+} from '../data/mockData.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /beneficiaries and how their values compare
+const BENEFICIARY_SORT_FIELDS = {
+  createdAt: 'date',
+  updatedAt: 'date',
+  name: 'string',
+  nickname: 'string'
+};
+
+// Query filters for GET /beneficiaries (within the customer); dateFrom/dateTo
+// filter createdAt
+const BENEFICIARY_FILTERS = {
+  values: { accountNumber: null },
+  search: ['name', 'nickname', 'accountNumber'],
+  dates: ['createdAt', 'updatedAt']
+};
+
+/**
+ * @swagger
+ * /beneficiaries/name-enquiry:
+ *   get:
+ *     summary: Resolve an account number to the account holder's name
+ *     description: Name enquiry for internal accounts. Lets the agent confirm who is being paid ("You are sending to Ama Owusu") before a payment is initiated.
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: query
+ *         name: accountNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account number to resolve
+ *         example: 1234567891
+ *     responses:
+ *       200:
+ *         description: Account holder details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/NameEnquiry'
+ *       400:
+ *         description: Missing accountNumber
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Account number not found among internal accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/name-enquiry', (req, res) => {
+  const { accountNumber } = req.query;
+
+  if (!accountNumber) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required query parameter: accountNumber',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const enquiry = resolveAccountName(accountNumber);
+  if (!enquiry) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Account number not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: enquiry,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /beneficiaries:
+ *   get:
+ *     summary: List a customer's saved beneficiaries
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer whose beneficiaries to list
+ *       - in: query
+ *         name: accountNumber
+ *         schema:
+ *           type: string
+ *         description: Filter by beneficiary account number; comma-separate several
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the name, nickname or account number (case-insensitive)
+ *       - in: query
+ *         name: createdAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Saved on or after (ISO date or date-time)
+ *       - in: query
+ *         name: createdAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Saved on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: updatedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Updated on or after (ISO date or date-time)
+ *       - in: query
+ *         name: updatedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Updated on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, name, nickname]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of beneficiaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Beneficiary'
+ *       400:
+ *         description: Missing customerId (MISSING_CUSTOMER_ID), invalid filter (INVALID_FILTER, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', (req, res) => {
+  const { customerId } = req.query;
+  // Beneficiaries are private to their customer, so the list is always scoped
+  if (!customerId) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'MISSING_CUSTOMER_ID',
+      param: 'customerId',
+      message: 'Missing required query parameter: customerId',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+  const beneficiaries = getBeneficiaries().filter(ben => ben.customerId === customerId);
+
+  const filtered = applyFilters(beneficiaries, req.query, BENEFICIARY_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: BENEFICIARY_SORT_FIELDS, defaultSort: 'createdAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{beneficiaryId}:
+ *   get:
+ *     summary: Get beneficiary details by ID
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Beneficiary ID
+ *     responses:
+ *       200:
+ *         description: Beneficiary details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Beneficiary'
+ *       404:
+ *         description: Beneficiary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:beneficiaryId', (req, res) => {
+  const beneficiary = getBeneficiaryById(req.params.beneficiaryId);
+
+  if (!beneficiary) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Beneficiary not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: beneficiary,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /beneficiaries:
+ *   post:
+ *     summary: Save a beneficiary for a customer
+ *     description: For internal account numbers the name is resolved by name enquiry and any supplied name is ignored. External account numbers require a name.
+ *     tags: [Beneficiaries]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerId
+ *               - accountNumber
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 example: cust-001
+ *               accountNumber:
+ *                 type: string
+ *                 example: 1234567891
+ *               name:
+ *                 type: string
+ *                 example: Ama Owusu
+ *                 description: Required for external account numbers
+ *               nickname:
+ *                 type: string
+ *                 example: Mum
+ *     responses:
+ *       201:
+ *         description: Beneficiary saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Beneficiary'
+ *       400:
+ *         description: Missing required fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Customer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Account number already saved for this customer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', (req, res) => {
+  const { customerId, accountNumber, name, nickname } = req.body;
+
+  if (!customerId || !accountNumber) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required fields: customerId, accountNumber',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (!getCustomerById(customerId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Customer not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const duplicate = getBeneficiaries().find(ben =>
+    ben.customerId === customerId && ben.accountNumber === accountNumber
+  );
+  if (duplicate) {
+    return res.status(409).json({
+      status: 'error',
+      message: `Account number already saved as beneficiary ${duplicate.id}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const enquiry = resolveAccountName(accountNumber);
+  if (!enquiry && !name) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'name is required for external account numbers',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const beneficiary = addBeneficiary({
+    customerId,
+    name: enquiry ? enquiry.accountName : name,
+    nickname: nickname || null,
+    accountNumber,
+    accountId: enquiry ? enquiry.accountId : null,
+    internal: Boolean(enquiry)
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: beneficiary,
+    message: 'Beneficiary saved',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{beneficiaryId}:
+ *   patch:
+ *     summary: Update a beneficiary's nickname or name
+ *     description: The name can only be changed for external beneficiaries; internal names always come from name enquiry.
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Beneficiary ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nickname:
+ *                 type: string
+ *                 example: Mum
+ *               name:
+ *                 type: string
+ *                 example: John Doe
+ *     responses:
+ *       200:
+ *         description: Beneficiary updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Beneficiary'
+ *       400:
+ *         description: Nothing to update, or name change on an internal beneficiary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Beneficiary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/:beneficiaryId', (req, res) => {
+  const { nickname, name } = req.body;
+  const beneficiary = getBeneficiaryById(req.params.beneficiaryId);
+
+  if (!beneficiary) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Beneficiary not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (nickname === undefined && name === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'At least one field must be provided: nickname or name',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (name !== undefined && beneficiary.internal) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'The name of an internal beneficiary comes from name enquiry and cannot be changed',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const updates = {};
+  if (nickname !== undefined) updates.nickname = nickname || null;
+  if (name !== undefined) updates.name = name;
+
+  res.json({
+    status: 'success',
+    data: updateBeneficiary(beneficiary.id, updates),
+    message: 'Beneficiary updated',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{beneficiaryId}:
+ *   delete:
+ *     summary: Delete a saved beneficiary
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Beneficiary ID
+ *     responses:
+ *       200:
+ *         description: Beneficiary deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Beneficiary'
+ *       404:
+ *         description: Beneficiary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:beneficiaryId', (req, res) => {
+  const beneficiary = deleteBeneficiary(req.params.beneficiaryId);
+
+  if (!beneficiary) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Beneficiary not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: beneficiary,
+    message: 'Beneficiary deleted',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
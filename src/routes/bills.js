@@ -0,0 +1,695 @@
+import express from 'express';
+import {
+  getBillPayments,
+  getBillPaymentById,
+  getTransactionById
+} from '../data/mockData.js';
+import {
+  BILLERS,
+  BILL_CATEGORIES,
+  getBiller,
+  validateBillReference,
+  lookupOutstanding,
+  payBill
+} from '../data/bills.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /bills/payments and how their values compare
+const BILL_PAYMENT_SORT_FIELDS = {
+  paidAt: 'date',
+  amount: 'number',
+  billerId: 'string',
+  status: 'string'
+};
+
+// Query filters for GET /bills/payments; dateFrom/dateTo filter paidAt
+const BILL_PAYMENT_FILTERS = {
+  values: {
+    accountId: null,
+    billerId: BILLERS.map(biller => biller.id),
+    category: BILL_CATEGORIES,
+    reference: null,
+    status: ['completed', 'failed'],
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['reference', 'customerName', 'billerName', 'receiptNumber'],
+  dates: ['paidAt', 'failedAt']
+};
+
+const BILL_ERROR_STATUS = {
+  INVALID_REFERENCE: 400,
+  INVALID_AMOUNT: 400,
+  AMOUNT_EXCEEDS_OUTSTANDING: 400,
+  BILLER_NOT_FOUND: 404,
+  REFERENCE_NOT_FOUND: 404,
+  ACCOUNT_NOT_FOUND: 404,
+  NOTHING_OUTSTANDING: 409,
+  ACCOUNT_SUSPENDED: 422,
+  ACCOUNT_CLOSED: 422,
+  CURRENCY_MISMATCH: 422,
+  INSUFFICIENT_FUNDS: 422
+};
+
+const sendBillError = (req, res, error) => res.status(BILL_ERROR_STATUS[error.code] || 400).json({
+  status: 'error',
+  code: error.code,
+  message: error.message,
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+/**
+ * @swagger
+ * /bills/billers:
+ *   get:
+ *     summary: List billers in the catalog
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [electricity_prepaid, electricity_postpaid, water, pay_tv, school_fees]
+ *         description: Filter by biller category
+ *     responses:
+ *       200:
+ *         description: List of billers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Biller'
+ *       400:
+ *         description: Invalid category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/billers', (req, res) => {
+  const { category } = req.query;
+
+  if (category && !BILL_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid category. Available: ${BILL_CATEGORIES.join(', ')}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const billers = category ? BILLERS.filter(b => b.category === category) : BILLERS;
+
+  res.json({
+    status: 'success',
+    data: billers,
+    count: billers.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/billers/{billerId}:
+ *   get:
+ *     summary: Get biller details by ID
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: path
+ *         name: billerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Biller ID
+ *     responses:
+ *       200:
+ *         description: Biller details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Biller'
+ *       404:
+ *         description: Biller not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/billers/:billerId', (req, res) => {
+  const biller = getBiller(req.params.billerId);
+
+  if (!biller) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Biller not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: biller,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/billers/{billerId}/validate:
+ *   get:
+ *     summary: Validate a customer reference with a biller
+ *     description: Checks the reference against the biller's format (meter number, smartcard number, student ID, ...) and confirms it is registered, returning the customer name on record.
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: path
+ *         name: billerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Biller ID
+ *       - in: query
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer reference at the biller
+ *     responses:
+ *       200:
+ *         description: Reference is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         billerId:
+ *                           type: string
+ *                           example: ECG-PREPAID
+ *                         reference:
+ *                           type: string
+ *                           example: '04123456789'
+ *                         referenceLabel:
+ *                           type: string
+ *                           example: Meter number
+ *                         customerName:
+ *                           type: string
+ *                           example: Kwame Mensah
+ *                         valid:
+ *                           type: boolean
+ *                           example: true
+ *       400:
+ *         description: Missing reference or reference format invalid for the biller (INVALID_REFERENCE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Biller not found (BILLER_NOT_FOUND) or reference not registered (REFERENCE_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/billers/:billerId/validate', (req, res) => {
+  const { reference } = req.query;
+
+  if (!reference) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required query parameter: reference',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const validation = validateBillReference(req.params.billerId, reference);
+  if (validation.error) {
+    return sendBillError(req, res, validation.error);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      billerId: validation.biller.id,
+      reference: validation.reference,
+      referenceLabel: validation.biller.referenceLabel,
+      customerName: validation.account.customerName,
+      valid: true
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/billers/{billerId}/outstanding:
+ *   get:
+ *     summary: Look up the outstanding amount for a customer reference
+ *     description: Returns the amount due and due date. Prepaid billers have nothing outstanding; the response gives the purchase range instead.
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: path
+ *         name: billerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Biller ID
+ *       - in: query
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer reference at the biller
+ *     responses:
+ *       200:
+ *         description: Outstanding amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BillLookup'
+ *       400:
+ *         description: Missing reference or reference format invalid for the biller (INVALID_REFERENCE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Biller not found (BILLER_NOT_FOUND) or reference not registered (REFERENCE_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/billers/:billerId/outstanding', (req, res) => {
+  const { reference } = req.query;
+
+  if (!reference) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required query parameter: reference',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const lookup = lookupOutstanding(req.params.billerId, reference);
+  if (lookup.error) {
+    return sendBillError(req, res, lookup.error);
+  }
+
+  res.json({
+    status: 'success',
+    data: lookup,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/pay:
+ *   post:
+ *     summary: Pay a bill
+ *     description: Debits the account through the ledger and pays the biller. For postpaid billers the amount defaults to the full outstanding balance and partial payments are accepted. Prepaid billers require an amount and return a token with the units purchased.
+ *     tags: [Bills]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - billerId
+ *               - reference
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 example: acc-001
+ *               billerId:
+ *                 type: string
+ *                 example: ECG-PREPAID
+ *               reference:
+ *                 type: string
+ *                 example: '04123456789'
+ *               amount:
+ *                 type: number
+ *                 example: 100.00
+ *                 description: Required for prepaid billers; defaults to the outstanding amount otherwise
+ *     responses:
+ *       201:
+ *         description: Bill paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BillPayment'
+ *       400:
+ *         description: Missing required fields, invalid reference, or invalid amount (INVALID_REFERENCE, INVALID_AMOUNT, AMOUNT_EXCEEDS_OUTSTANDING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Biller, reference or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Nothing outstanding on the reference (NOTHING_OUTSTANDING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Account not active, currency mismatch, insufficient funds, or Idempotency-Key reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/pay', idempotent, (req, res) => {
+  const { accountId, billerId, reference, amount } = req.body;
+
+  if (!accountId || !billerId || !reference) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required fields: accountId, billerId, reference',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = payBill({ accountId, billerId, reference, amount });
+  if (result.error) {
+    return sendBillError(req, res, result.error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: result.billPayment,
+    message: 'Bill paid',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/payments:
+ *   get:
+ *     summary: List bill payments with optional filters
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Filter by account ID; comma-separate several
+ *       - in: query
+ *         name: billerId
+ *         schema:
+ *           type: string
+ *         description: Filter by biller ID (e.g. ECG-PREPAID); comma-separate several
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by biller category; comma-separate several (electricity_prepaid, electricity_postpaid, water, pay_tv, school_fees)
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Filter by customer reference; comma-separate several
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status; comma-separate several (completed, failed)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the reference, customer name, biller name or receipt number (case-insensitive)
+ *       - in: query
+ *         name: paidAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Paid on or after (ISO date or date-time)
+ *       - in: query
+ *         name: paidAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Paid on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: failedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Failed on or after (ISO date or date-time)
+ *       - in: query
+ *         name: failedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Failed on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for paidAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for paidAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [paidAt, amount, billerId, status]
+ *           default: paidAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of bill payments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BillPayment'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/payments', (req, res) => {
+  const filtered = applyFilters(getBillPayments(), req.query, BILL_PAYMENT_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: BILL_PAYMENT_SORT_FIELDS, defaultSort: 'paidAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/payments/{billPaymentId}:
+ *   get:
+ *     summary: Get bill payment details by ID
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: path
+ *         name: billPaymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bill payment ID
+ *     responses:
+ *       200:
+ *         description: Bill payment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BillPayment'
+ *       404:
+ *         description: Bill payment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/payments/:billPaymentId', (req, res) => {
+  const billPayment = getBillPaymentById(req.params.billPaymentId);
+
+  if (!billPayment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Bill payment not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: billPayment,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /bills/payments/{billPaymentId}/check-paid:
+ *   get:
+ *     summary: Checker endpoint - Verify if a bill has been paid
+ *     description: Returns true/false indicating if the bill payment went through. A bill payment whose ledger debit fails at settlement is marked failed and the biller balance is restored. Used for workflow conditional logic.
+ *     tags: [Bills]
+ *     parameters:
+ *       - in: path
+ *         name: billPaymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bill payment ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/payments/:billPaymentId/check-paid', (req, res) => {
+  const billPayment = getBillPaymentById(req.params.billPaymentId);
+
+  if (!billPayment) {
+    return res.json({
+      result: false,
+      reason: 'Bill payment not found',
+      metadata: { billPaymentId: req.params.billPaymentId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const isPaid = billPayment.status === 'completed';
+  const transaction = getTransactionById(billPayment.transactionId);
+
+  res.json({
+    result: isPaid,
+    reason: isPaid
+      ? `Bill paid to ${billPayment.billerName}`
+      : `Bill payment status is: ${billPayment.status}${billPayment.failureReason ? ` (${billPayment.failureReason})` : ''}`,
+    metadata: {
+      billPaymentId: billPayment.id,
+      status: billPayment.status,
+      billerId: billPayment.billerId,
+      reference: billPayment.reference,
+      amount: billPayment.amount,
+      currency: billPayment.currency,
+      receiptNumber: billPayment.receiptNumber,
+      token: billPayment.token || null,
+      outstandingAfter: billPayment.outstandingAfter,
+      transactionId: billPayment.transactionId,
+      transactionStatus: transaction ? transaction.status : null,
+      paidAt: billPayment.paidAt,
+      failureReason: billPayment.failureReason
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
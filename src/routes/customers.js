@@ -0,0 +1,81 @@
+import express from 'express';
+import { scoreCustomer } from '../data/creditScoring.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /customers/{customerId}/credit-score:
+ *   get:
+ *     summary: Get a customer's credit score
+ *     description: |
+ *       Rule-based score from 300 to 850, the same for the same data and asOf. Points are added to the 300 floor for:
+ *       - kyc: KYC status and tier (up to 120)
+ *       - riskRating: KYC risk rating (up to 100)
+ *       - accountAge: age of the oldest account (up to 90)
+ *       - balanceHistory: average daily balance over the lookback window (up to 100)
+ *       - inflows: average monthly credits over the window, excluding reversals and loan disbursements (up to 100)
+ *       - loanExposure: principal owed on disbursed and approved loans against a year's inflows (up to 40)
+ *
+ *       reasons lists the adverse factors, costliest first. eligible is true at or above CREDIT_MIN_ELIGIBLE_SCORE (default 650); the window is CREDIT_LOOKBACK_DAYS (default 90).
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Score as at this date instead of now
+ *     responses:
+ *       200:
+ *         description: Credit score with its factors and reason codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CreditScore'
+ *       400:
+ *         description: asOf is not a valid date (INVALID_DATE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Customer not found (CUSTOMER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:customerId/credit-score', (req, res) => {
+  const result = scoreCustomer(req.params.customerId, { asOf: req.query.asOf });
+  if (result.error) {
+    return res.status(result.error.code === 'CUSTOMER_NOT_FOUND' ? 404 : 400).json({
+      status: 'error',
+      code: result.error.code,
+      param: result.error.param,
+      message: result.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: result.creditScore,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
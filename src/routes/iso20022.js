@@ -0,0 +1,391 @@
+import express from 'express';
+import {
+  getPaymentById,
+  getPaymentImports,
+  getPaymentImportById
+} from '../data/mockData.js';
+import {
+  importPain001,
+  validatePain001,
+  buildPain002
+} from '../data/iso20022.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /payments/iso20022/imports and how their values compare
+const PAYMENT_IMPORT_SORT_FIELDS = {
+  importedAt: 'date',
+  messageId: 'string'
+};
+
+const ISO_ERROR_STATUS = {
+  XML_PARSE_ERROR: 400,
+  INITIATOR_REQUIRED: 400,
+  DUPLICATE_MESSAGE_ID: 409,
+  PAIN001_VALIDATION_FAILED: 422
+};
+
+const XML_TYPES = ['application/xml', 'text/xml'];
+
+// pain.001 documents are uploaded as raw XML, or as a JSON body with the
+// XML in document
+const readXmlUpload = express.text({ type: XML_TYPES, limit: '5mb' });
+
+const uploadFromRequest = (req) => {
+  if (req.is(XML_TYPES)) {
+    return { document: req.body, initiatedBy: req.query.initiatedBy };
+  }
+  const { document, initiatedBy } = req.body || {};
+  return { document, initiatedBy };
+};
+
+const sendMissingDocument = (req, res) => res.status(400).json({
+  status: 'error',
+  message: 'Missing pain.001 document. Send the XML with Content-Type application/xml, or JSON with a document field',
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+const sendImportNotFound = (req, res) => res.status(404).json({
+  status: 'error',
+  message: 'Payment import not found',
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+const withPayments = (paymentImport) => ({
+  ...paymentImport,
+  payments: paymentImport.paymentIds.map(getPaymentById).filter(Boolean)
+});
+
+/**
+ * @swagger
+ * /payments/iso20022/pain001:
+ *   post:
+ *     summary: Import a pain.001 credit transfer initiation
+ *     description: |
+ *       Accepts an ISO 20022 pain.001 (CstmrCdtTrfInitn, pain.001.001.03 to pain.001.001.xx) document. Each CdtTrfTxInf becomes a bank transfer payment from the PmtInf debtor account, exactly as if sent to POST /payments/initiate: the same approval thresholds apply, and a future ReqdExctnDt schedules the payment.
+ *
+ *       The whole document is checked first. Malformed XML returns 400 with the line and column of the problem; invalid content (missing elements, bad amounts, unknown debtor accounts, currency mismatches, NbOfTxs/CtrlSum mismatches) returns 422 listing every problem with its element path, line and column. Nothing is created unless the document is valid.
+ *     tags: [ISO 20022]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: initiatedBy
+ *         schema:
+ *           type: string
+ *         description: Maker of the payments when uploading raw XML (used for maker-checker approval). Required when any payment is above its account's approval threshold
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - document
+ *             properties:
+ *               document:
+ *                 type: string
+ *                 description: The pain.001 XML
+ *               initiatedBy:
+ *                 type: string
+ *                 example: usr-ops-01
+ *     responses:
+ *       201:
+ *         description: Document imported and payments created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentImport'
+ *       400:
+ *         description: Missing document, malformed XML (XML_PARSE_ERROR), or no initiatedBy when a payment needs approval (INITIATOR_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Iso20022ErrorResponse'
+ *       409:
+ *         description: A document with the same MsgId was already imported (DUPLICATE_MESSAGE_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Iso20022ErrorResponse'
+ *       422:
+ *         description: The document has invalid elements (PAIN001_VALIDATION_FAILED), or Idempotency-Key reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Iso20022ErrorResponse'
+ */
+router.post('/pain001', readXmlUpload, idempotent, (req, res) => {
+  const { document, initiatedBy } = uploadFromRequest(req);
+  if (!document) {
+    return sendMissingDocument(req, res);
+  }
+
+  const result = importPain001(document, { initiatedBy });
+  if (result.error) {
+    return res.status(ISO_ERROR_STATUS[result.error.code] || 400).json({
+      status: 'error',
+      code: result.error.code,
+      message: result.error.message,
+      errors: result.errors,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const { paymentImport } = result;
+  res.status(201).json({
+    status: 'success',
+    data: withPayments(paymentImport),
+    message: `Imported ${paymentImport.paymentIds.length} payment(s) from ${paymentImport.messageId}`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/iso20022/pain001/validate:
+ *   post:
+ *     summary: Validate a pain.001 document without importing it
+ *     description: Runs the same checks as the import and returns every problem with its element path, line and column. Nothing is created.
+ *     tags: [ISO 20022]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - document
+ *             properties:
+ *               document:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Validation result (check data.valid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         valid:
+ *                           type: boolean
+ *                         messageId:
+ *                           type: string
+ *                           nullable: true
+ *                         messageNameId:
+ *                           type: string
+ *                           nullable: true
+ *                           example: pain.001.001.09
+ *                         numberOfTransactions:
+ *                           type: integer
+ *                         controlSum:
+ *                           type: number
+ *                           nullable: true
+ *                         errors:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Iso20022Error'
+ *       400:
+ *         description: Missing document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/pain001/validate', readXmlUpload, (req, res) => {
+  const { document } = uploadFromRequest(req);
+  if (!document) {
+    return sendMissingDocument(req, res);
+  }
+
+  const result = validatePain001(document);
+  res.json({
+    status: 'success',
+    data: result,
+    message: result.valid ? 'Document is valid' : `Document has ${result.errors.length} error(s)`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/iso20022/imports:
+ *   get:
+ *     summary: List pain.001 imports
+ *     tags: [ISO 20022]
+ *     parameters:
+ *       - in: query
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         description: Filter by the document's MsgId
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [importedAt, messageId]
+ *           default: importedAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of imports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PaymentImport'
+ *       400:
+ *         description: Invalid paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/imports', (req, res) => {
+  const { messageId } = req.query;
+  const imports = messageId
+    ? getPaymentImports().filter(paymentImport => paymentImport.messageId === messageId)
+    : getPaymentImports();
+
+  const page = paginate(imports, req.query, { sortFields: PAYMENT_IMPORT_SORT_FIELDS, defaultSort: 'importedAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/iso20022/imports/{importId}:
+ *   get:
+ *     summary: Get a pain.001 import with its payments
+ *     tags: [ISO 20022]
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: Import with the current state of its payments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentImport'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/imports/:importId', (req, res) => {
+  const paymentImport = getPaymentImportById(req.params.importId);
+
+  if (!paymentImport) {
+    return sendImportNotFound(req, res);
+  }
+
+  res.json({
+    status: 'success',
+    data: withPayments(paymentImport),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/iso20022/imports/{importId}/pain002:
+ *   get:
+ *     summary: Get a pain.002 payment status report for an import
+ *     description: |
+ *       Returns a pain.002.001.10 CstmrPmtStsRpt reflecting the current status of every payment created from the import. Payment statuses map to TxSts codes as follows: awaiting_approval PDNG, scheduled ACCP, pending ACTC, processing ACSP, completed ACSC, failed/rejected/returned RJCT (with a StsRsnInf reason), cancelled CANC. PmtInfSts and GrpSts hold the common status of their payments, or PART when they differ.
+ *     tags: [ISO 20022]
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: pain.002 document
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/imports/:importId/pain002', (req, res) => {
+  const paymentImport = getPaymentImportById(req.params.importId);
+
+  if (!paymentImport) {
+    return sendImportNotFound(req, res);
+  }
+
+  res.type('application/xml').send(buildPain002(paymentImport));
+});
+
+export default router;
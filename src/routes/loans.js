@@ -5,15 +5,91 @@ import {
   addLoan,
   updateLoan
 } from '../data/mockData.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+import { REPAYMENT_METHODS, buildRepaymentSchedule, getLoanSchedule } from '../data/loanSchedule.js';
+import { repayLoan, getRepaymentHistory } from '../data/loanRepayments.js';
+import { disburseLoan, getDisbursementProgress } from '../data/loanDisbursements.js';
+import { scoreCustomer } from '../data/creditScoring.js';
+import { LOAN_PRODUCTS, getLoanProduct, priceLoanApplication } from '../data/loanProducts.js';
+import creditScoringConfig from '../config/creditScoring.js';
 
 const router = express.Router();
 
+const LOAN_ERROR_STATUS = {
+  INVALID_AMOUNT: 400,
+  AMOUNT_EXCEEDS_OUTSTANDING: 400,
+  AMOUNT_OUT_OF_RANGE: 400,
+  TENURE_NOT_ALLOWED: 400,
+  REPAYMENT_METHOD_NOT_ALLOWED: 400,
+  COLLATERAL_REQUIRED: 400,
+  LOAN_NOT_FOUND: 404,
+  PRODUCT_NOT_FOUND: 404,
+  CUSTOMER_NOT_FOUND: 404,
+  ACCOUNT_NOT_FOUND: 404,
+  LOAN_NOT_ACTIVE: 409,
+  LOAN_NOT_APPROVED: 409,
+  ALREADY_DISBURSED: 409,
+  ACCOUNT_SUSPENDED: 422,
+  ACCOUNT_CLOSED: 422,
+  CURRENCY_MISMATCH: 422,
+  INSUFFICIENT_FUNDS: 422,
+  ACCOUNT_NOT_OWNED: 422,
+  KYC_TIER_TOO_LOW: 422
+};
+
+const sendLoanError = (req, res, error) => res.status(LOAN_ERROR_STATUS[error.code] || 400).json({
+  status: 'error',
+  code: error.code,
+  ...(error.param ? { param: error.param } : {}),
+  message: error.message,
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+// GET /loans/{loanId}/repayments sort fields
+const REPAYMENT_SORT_FIELDS = {
+  paidAt: 'date',
+  amount: 'number'
+};
+
+// GET /loans sort fields and their value types
+const LOAN_SORT_FIELDS = {
+  appliedAt: 'date',
+  approvedAt: 'date',
+  disbursedAt: 'date',
+  amount: 'number',
+  tenure: 'number',
+  interestRate: 'number',
+  remainingBalance: 'number',
+  creditScore: 'number',
+  status: 'string'
+};
+
+// Query filters for GET /loans; dateFrom/dateTo filter appliedAt
+const LOAN_FILTERS = {
+  values: {
+    customerId: null,
+    accountId: null,
+    productId: LOAN_PRODUCTS.map(product => product.id),
+    status: ['pending', 'approved', 'disbursed', 'rejected', 'closed'],
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['purpose'],
+  dates: ['appliedAt', 'approvedAt', 'disbursedAt']
+};
+
 /**
  * @swagger
  * /loans/apply:
  *   post:
  *     summary: Submit a loan application
+ *     description: Checks the application against the loan product's rules (amount range, tenures, repayment methods, collateral, KYC tier) and prices it from the product's rate table and fees. Scores the customer with the credit scoring engine (see GET /customers/{customerId}/credit-score) and records creditScore, eligible and creditAssessment on the loan.
  *     tags: [Loans]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -21,12 +97,17 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
+ *               - productId
  *               - customerId
  *               - accountId
  *               - amount
  *               - purpose
  *               - tenure
  *             properties:
+ *               productId:
+ *                 type: string
+ *                 description: Loan product from GET /loans/products
+ *                 example: sme-working-capital
  *               customerId:
  *                 type: string
  *                 example: cust-001
@@ -35,15 +116,24 @@ const router = express.Router();
  *                 example: acc-001
  *               amount:
  *                 type: number
+ *                 description: Within the product's minAmount and maxAmount
  *                 example: 5000.00
  *               purpose:
  *                 type: string
  *                 example: Business expansion
  *               tenure:
  *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of monthly instalments; one of the product's tenures
  *                 example: 12
+ *               repaymentMethod:
+ *                 type: string
+ *                 enum: [annuity, flat]
+ *                 description: annuity charges interest on the reducing balance with level instalments; flat charges interest on the full amount for the whole tenure. Must be offered by the product. Defaults to LOAN_DEFAULT_REPAYMENT_METHOD (annuity) when the product offers it, else the product's first method.
+ *                 example: annuity
  *               collateral:
  *                 type: string
+ *                 description: Required when the product asks for collateral at the amount applied for
  *                 example: Property documents
  *     responses:
  *       201:
@@ -58,50 +148,102 @@ const router = express.Router();
  *                     data:
  *                       $ref: '#/components/schemas/Loan'
  *       400:
- *         description: Missing required fields or invalid amount
+ *         description: Missing required fields, invalid amount or tenure, unknown repaymentMethod, or the application breaks a product rule (AMOUNT_OUT_OF_RANGE, TENURE_NOT_ALLOWED, REPAYMENT_METHOD_NOT_ALLOWED, COLLATERAL_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Loan product (PRODUCT_NOT_FOUND) or customer (CUSTOMER_NOT_FOUND) not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Customer's KYC is not approved at the product's tier (KYC_TIER_TOO_LOW), or Idempotency-Key reused with a different request body (IDEMPOTENCY_KEY_REUSED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/apply', (req, res) => {
-  const { customerId, accountId, amount, purpose, tenure, collateral } = req.body;
+router.post('/apply', idempotent, (req, res) => {
+  const {
+    productId,
+    customerId,
+    accountId,
+    amount,
+    purpose,
+    tenure,
+    repaymentMethod,
+    collateral
+  } = req.body;
 
-  if (!customerId || !accountId || !amount || !purpose || !tenure) {
+  if (!productId || !customerId || !accountId || !amount || !purpose || !tenure) {
     return res.status(400).json({
       status: 'error',
-      message: 'Missing required fields: customerId, accountId, amount, purpose, tenure',
+      message: 'Missing required fields: productId, customerId, accountId, amount, purpose, tenure',
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  if (amount <= 0) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
     return res.status(400).json({
       status: 'error',
-      message: 'Amount must be greater than 0',
+      param: 'amount',
+      message: 'Amount must be a number greater than 0',
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  // Calculate interest rate based on amount (simplified)
-  const interestRate = amount > 10000 ? 7.5 : amount > 5000 ? 8.5 : 10.0;
-  const monthlyPayment = (amount * (1 + interestRate / 100)) / tenure;
+  if (!Number.isInteger(tenure) || tenure < 1) {
+    return res.status(400).json({
+      status: 'error',
+      param: 'tenure',
+      message: 'Tenure must be a whole number of months, at least 1',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
 
-  // Simulate credit score
-  const creditScore = Math.floor(Math.random() * 200) + 500;
+  if (repaymentMethod !== undefined && !REPAYMENT_METHODS.includes(repaymentMethod)) {
+    return res.status(400).json({
+      status: 'error',
+      param: 'repaymentMethod',
+      message: `repaymentMethod must be one of: ${REPAYMENT_METHODS.join(', ')}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const assessment = scoreCustomer(customerId);
+  if (assessment.error) {
+    return sendLoanError(req, res, assessment.error);
+  }
+  const { creditScore } = assessment;
+
+  const pricing = priceLoanApplication(productId, { customerId, amount, tenure, repaymentMethod, collateral });
+  if (pricing.error) {
+    return sendLoanError(req, res, pricing.error);
+  }
+  const { terms } = pricing;
+  // Quoted on a schedule starting today; the real one runs from disbursement
+  const { instalmentAmount } = buildRepaymentSchedule(terms, new Date());
 
   const loan = addLoan({
     customerId,
     accountId,
-    amount,
-    currency: 'GHS',
+    ...terms,
     purpose,
-    tenure,
-    interestRate,
-    monthlyPayment,
-    creditScore,
+    monthlyPayment: instalmentAmount,
+    creditScore: creditScore.score,
+    eligible: creditScore.eligible,
+    creditAssessment: {
+      band: creditScore.band,
+      reasonCodes: creditScore.reasons.map(reason => reason.code),
+      assessedAt: creditScore.asOf
+    },
     collateral: collateral || null
   });
 
@@ -114,6 +256,91 @@ router.post('/apply', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /loans/products:
+ *   get:
+ *     summary: List loan products in the catalog
+ *     description: Each product sets the amount range, tenures, repayment methods, rate table, fees, KYC tier and collateral an application must meet. Apply with its id as productId.
+ *     tags: [Loans]
+ *     responses:
+ *       200:
+ *         description: List of loan products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoanProduct'
+ */
+router.get('/products', (req, res) => {
+  res.json({
+    status: 'success',
+    data: LOAN_PRODUCTS,
+    count: LOAN_PRODUCTS.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/products/{productId}:
+ *   get:
+ *     summary: Get loan product details by ID
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LoanProduct'
+ *       404:
+ *         description: Loan product not found (PRODUCT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/products/:productId', (req, res) => {
+  const product = getLoanProduct(req.params.productId);
+
+  if (!product) {
+    return res.status(404).json({
+      status: 'error',
+      code: 'PRODUCT_NOT_FOUND',
+      message: `Loan product not found: ${req.params.productId}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: product,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
 /**
  * @swagger
  * /loans/{loanId}:
@@ -166,6 +393,71 @@ router.get('/:loanId', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /loans/{loanId}/schedule:
+ *   get:
+ *     summary: Get a loan's repayment schedule
+ *     description: Lists every instalment with its due date, principal, interest, fees and the principal still outstanding after it. Instalments fall due monthly from disbursement; for a loan not yet disbursed they are projected from today (projected is true). Amounts are rounded to the currency's minor unit, with the final instalment absorbing any rounding. Each instalment also shows what repayments have covered (paid), what is left (amountDue) and its status.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Repayment schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LoanSchedule'
+ *       409:
+ *         description: Loan was rejected and has no schedule (LOAN_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Loan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:loanId/schedule', (req, res) => {
+  const loan = getLoanById(req.params.loanId);
+
+  if (!loan) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Loan not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = getLoanSchedule(loan);
+  if (result.error) {
+    return sendLoanError(req, res, result.error);
+  }
+
+  res.json({
+    status: 'success',
+    data: result.schedule,
+    count: result.schedule.instalments.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
 /**
  * @swagger
  * /loans:
@@ -177,19 +469,102 @@ router.get('/:loanId', (req, res) => {
  *         name: customerId
  *         schema:
  *           type: string
- *         description: Filter by customer ID
+ *         description: Filter by customer ID; comma-separate several
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Filter by linked account ID; comma-separate several
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         description: Filter by loan product (salary-advance, sme-working-capital, asset-finance); comma-separate several
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected]
- *         description: Filter by loan status
+ *         description: Filter by loan status; comma-separate several (pending, approved, disbursed, rejected, closed)
+ *         example: pending,approved
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the loan purpose (case-insensitive)
+ *         example: 'business'
+ *       - in: query
+ *         name: appliedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Applied on or after (ISO date or date-time)
+ *       - in: query
+ *         name: appliedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Applied on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: approvedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Approved on or after (ISO date or date-time)
+ *       - in: query
+ *         name: approvedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Approved on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: disbursedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Disbursed on or after (ISO date or date-time)
+ *       - in: query
+ *         name: disbursedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Disbursed on or before (ISO date or date-time; a date alone includes the whole day)
  *       - in: query
  *         name: dateFrom
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Filter from date (ISO format)
+ *         description: Alias for appliedAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for appliedAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [appliedAt, approvedAt, disbursedAt, amount, tenure, interestRate, remainingBalance, creditScore, status]
+ *           default: appliedAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
  *     responses:
  *       200:
  *         description: List of loans
@@ -198,31 +573,42 @@ router.get('/:loanId', (req, res) => {
  *             schema:
  *               allOf:
  *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
  *                 - type: object
  *                   properties:
  *                     data:
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/', (req, res) => {
-  const { customerId, status, dateFrom } = req.query;
-  let loans = getLoans();
-
-  if (customerId) {
-    loans = loans.filter(loan => loan.customerId === customerId);
-  }
-  if (status) {
-    loans = loans.filter(loan => loan.status === status);
-  }
-  if (dateFrom) {
-    loans = loans.filter(loan => loan.appliedAt >= dateFrom);
+  const filtered = applyFilters(getLoans(), req.query, LOAN_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: LOAN_SORT_FIELDS, defaultSort: 'appliedAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
   }
 
   res.json({
     status: 'success',
-    data: loans,
-    count: loans.length,
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -233,7 +619,7 @@ router.get('/', (req, res) => {
  * /loans/{loanId}/check-eligible:
  *   get:
  *     summary: Checker endpoint - Verify loan eligibility
- *     description: Returns true/false indicating if the loan is eligible (credit score >= 650). Used for workflow conditional logic.
+ *     description: Returns true/false indicating if the loan is eligible (credit score at or above CREDIT_MIN_ELIGIBLE_SCORE, default 650). The score is worked out when the application is submitted; metadata.reasonCodes lists what held it back. Used for workflow conditional logic.
  *     tags: [Loans]
  *     parameters:
  *       - in: path
@@ -263,17 +649,19 @@ router.get('/:loanId/check-eligible', (req, res) => {
     });
   }
 
-  const isEligible = loan.eligible && loan.creditScore >= 650;
+  const minScore = creditScoringConfig.minEligibleScore;
+  const isEligible = loan.eligible && loan.creditScore >= minScore;
   
   res.json({
     result: isEligible,
     reason: isEligible 
       ? 'Loan is eligible' 
-      : `Credit score ${loan.creditScore} is below minimum threshold (650)`,
+      : `Credit score ${loan.creditScore} is below minimum threshold (${minScore})`,
     metadata: {
       loanId: loan.id,
       creditScore: loan.creditScore,
       eligible: loan.eligible,
+      reasonCodes: loan.creditAssessment ? loan.creditAssessment.reasonCodes : [],
       amount: loan.amount,
       status: loan.status
     },
@@ -317,7 +705,8 @@ router.get('/:loanId/check-approved', (req, res) => {
     });
   }
 
-  const isApproved = loan.status === 'approved';
+  // Disbursed and closed loans went through approval first
+  const isApproved = ['approved', 'disbursed', 'closed'].includes(loan.status);
   const pendingChecks = isApproved ? [] : ['credit_check', 'document_verification', 'risk_assessment'];
   
   res.json({
@@ -351,7 +740,7 @@ router.get('/:loanId/check-approved', (req, res) => {
  *         description: Loan ID
  *     responses:
  *       200:
- *         description: Loan approved and disbursed
+ *         description: Loan approved; funds are paid out separately with POST /loans/{loanId}/disburse
  *         content:
  *           application/json:
  *             schema:
@@ -395,16 +784,370 @@ router.post('/:loanId/approve', (req, res) => {
     });
   }
 
-  const updatedLoan = updateLoan(req.params.loanId, { 
-    status: 'approved',
-    disbursedAt: new Date().toISOString(),
-    remainingBalance: loan.amount
-  });
+  const updatedLoan = updateLoan(req.params.loanId, { status: 'approved' });
 
   res.json({
     status: 'success',
     data: updatedLoan,
-    message: 'Loan approved and disbursed',
+    message: 'Loan approved',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/{loanId}/disburse:
+ *   post:
+ *     summary: Disburse an approved loan to the borrower's account
+ *     description: Credits the loan's accountId through the ledger (category loan_disbursement) with the loan amount less the processing fee, records disbursedAt and disbursement, and moves the loan to disbursed. The repayment schedule runs from this date and the borrower owes the full amount. If the credit fails at settlement the loan returns to approved with disbursementFailureReason.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Loan disbursed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Loan'
+ *       404:
+ *         description: Loan or linked account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Loan not approved (LOAN_NOT_APPROVED) or already disbursed (ALREADY_DISBURSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Account not active, not owned by the borrower (ACCOUNT_NOT_OWNED), currency mismatch, or Idempotency-Key reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:loanId/disburse', idempotent, (req, res) => {
+  const result = disburseLoan(req.params.loanId);
+  if (result.error) {
+    return sendLoanError(req, res, result.error);
+  }
+
+  res.json({
+    status: 'success',
+    data: result.loan,
+    message: 'Loan disbursed',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/{loanId}/check-disbursed:
+ *   get:
+ *     summary: Checker endpoint - Verify loan funds were paid out
+ *     description: Returns true/false indicating if the loan has been disbursed to the borrower's account. metadata.stage reports progress (application_pending, application_rejected, awaiting_disbursement, settling, settled). Used for workflow conditional logic.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/:loanId/check-disbursed', (req, res) => {
+  const loan = getLoanById(req.params.loanId);
+
+  if (!loan) {
+    return res.json({
+      result: false,
+      reason: 'Loan not found',
+      metadata: { loanId: req.params.loanId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const { stage, transaction } = getDisbursementProgress(loan);
+  const isDisbursed = Boolean(loan.disbursedAt);
+  const reasons = {
+    application_pending: 'Loan application is still pending approval',
+    application_rejected: 'Loan application was rejected',
+    awaiting_disbursement: loan.disbursementFailureReason
+      ? `Loan is approved; the last disbursement failed (${loan.disbursementFailureReason})`
+      : 'Loan is approved and awaiting disbursement',
+    settling: 'Loan disbursed; the credit is settling',
+    settled: 'Loan disbursed to the borrower\'s account'
+  };
+
+  res.json({
+    result: isDisbursed,
+    reason: reasons[stage] || `Loan status is: ${loan.status}`,
+    metadata: {
+      loanId: loan.id,
+      status: loan.status,
+      stage,
+      accountId: loan.accountId,
+      approvedAt: loan.approvedAt,
+      disbursedAt: loan.disbursedAt,
+      grossAmount: loan.disbursement ? loan.disbursement.grossAmount : null,
+      processingFee: loan.disbursement ? loan.disbursement.processingFee : loan.processingFee,
+      netAmount: loan.disbursement ? loan.disbursement.netAmount : null,
+      transactionId: transaction ? transaction.id : null,
+      transactionStatus: transaction ? transaction.status : null
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/{loanId}/repay:
+ *   post:
+ *     summary: Repay a loan from its linked account
+ *     description: Debits the loan's accountId through the ledger (category loan_repayment) and allocates the amount to the oldest unpaid instalments, settling each instalment's fees, then interest, then principal. Updates remainingBalance (principal still owed), amountRepaid and nextDueDate, and closes the loan once the schedule is fully paid.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 436.10
+ *                 description: Defaults to what is due on the next instalment; may not exceed the total left to pay
+ *     responses:
+ *       201:
+ *         description: Repayment posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         repayment:
+ *                           $ref: '#/components/schemas/LoanRepayment'
+ *                         loan:
+ *                           $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid amount (INVALID_AMOUNT, AMOUNT_EXCEEDS_OUTSTANDING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Loan or linked account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Loan not disbursed or already closed (LOAN_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Account not active, currency mismatch, insufficient funds, or Idempotency-Key reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:loanId/repay', idempotent, (req, res) => {
+  const result = repayLoan(req.params.loanId, { amount: req.body.amount });
+  if (result.error) {
+    return sendLoanError(req, res, result.error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      repayment: result.repayment,
+      loan: result.loan
+    },
+    message: result.loan.status === 'closed' ? 'Loan repaid in full and closed' : 'Loan repayment posted',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/{loanId}/repayments:
+ *   get:
+ *     summary: List a loan's repayments
+ *     description: Repayment history, oldest first, with how each repayment was allocated. Repayments whose debit failed at settlement have status failed and no longer count towards the loan.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [paidAt, amount]
+ *           default: paidAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: Repayment history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoanRepayment'
+ *       400:
+ *         description: Invalid paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Loan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:loanId/repayments', (req, res) => {
+  const loan = getLoanById(req.params.loanId);
+
+  if (!loan) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Loan not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const page = paginate(getRepaymentHistory(loan.id), req.query, {
+    sortFields: REPAYMENT_SORT_FIELDS,
+    defaultSort: 'paidAt'
+  });
+  if (page.error) {
+    return sendLoanError(req, res, page.error);
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /loans/{loanId}/check-paid-off:
+ *   get:
+ *     summary: Checker endpoint - Verify a loan is fully repaid
+ *     description: Returns true/false indicating if every instalment has been paid and the loan is closed. Used for workflow conditional logic.
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/:loanId/check-paid-off', (req, res) => {
+  const loan = getLoanById(req.params.loanId);
+
+  if (!loan) {
+    return res.json({
+      result: false,
+      reason: 'Loan not found',
+      metadata: { loanId: req.params.loanId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const isPaidOff = loan.status === 'closed';
+  const schedule = getLoanSchedule(loan).schedule;
+  let reason = 'Loan is fully repaid and closed';
+  if (!isPaidOff) {
+    reason = loan.disbursedAt
+      ? `${schedule.totals.due} ${loan.currency} left to pay; next instalment due ${loan.nextDueDate}`
+      : `Loan has not been disbursed (status: ${loan.status})`;
+  }
+
+  res.json({
+    result: isPaidOff,
+    reason,
+    metadata: {
+      loanId: loan.id,
+      status: loan.status,
+      remainingBalance: loan.remainingBalance,
+      amountRepaid: loan.amountRepaid,
+      amountOutstanding: schedule ? schedule.totals.due : null,
+      nextDueDate: loan.nextDueDate,
+      closedAt: loan.closedAt
+    },
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -0,0 +1,107 @@
+import express from 'express';
+import { LOOKUP_TYPES, lookupReference } from '../data/lookup.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /lookup:
+ *   get:
+ *     summary: Find any entity by a reference quoted by a customer
+ *     description: |
+ *       Searches transactions (reference, ID or transfer ID), payments (reference, ID or end-to-end ID), airtime purchases (transaction reference or ID), bill payments (receipt number or ID) and loans (ID) for an exact, case-insensitive match. Each match returns its type, the field that matched, the entity and its related records:
+ *       - transaction: account, pairedTransaction (the other leg of the transfer), originalTransaction (for a reversal), reversalTransactions, payment, billPayment, loanRepayment, loan
+ *       - payment: account, transaction, paymentImport
+ *       - airtime_purchase: account
+ *       - bill_payment: account, transaction
+ *       - loan: customer, account, disbursementTransaction, repayments
+ *
+ *       A transfer ID matches both legs of the transfer.
+ *     tags: [Lookup]
+ *     parameters:
+ *       - in: query
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reference or ID to look up
+ *         example: REF-002
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only search these entity types; comma-separate several (transaction, payment, airtime_purchase, bill_payment, loan)
+ *     responses:
+ *       200:
+ *         description: Matching entities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LookupResult'
+ *       400:
+ *         description: Missing reference (MISSING_REFERENCE) or unknown type (INVALID_FILTER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Nothing matches the reference (REFERENCE_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', (req, res) => {
+  const reference = req.query.reference === undefined ? '' : String(req.query.reference).trim();
+  if (!reference) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'MISSING_REFERENCE',
+      param: 'reference',
+      message: 'reference is required',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const types = req.query.type === undefined
+    ? LOOKUP_TYPES
+    : String(req.query.type).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !LOOKUP_TYPES.includes(type));
+  if (!types.length || unknown.length) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_FILTER',
+      param: 'type',
+      message: `type must be one or more of: ${LOOKUP_TYPES.join(', ')}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const matches = lookupReference(reference, { types });
+  if (!matches.length) {
+    return res.status(404).json({
+      status: 'error',
+      code: 'REFERENCE_NOT_FOUND',
+      message: `Nothing matches reference ${reference}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { reference, matches },
+    count: matches.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
@@ -4,17 +4,936 @@ import {
   getPaymentById,
   addPayment,
   updatePayment,
-  getAccountById
+  processPayment,
+  canTransitionPayment,
+  evaluatePaymentReadiness,
+  evaluateKyc,
+  getAccountById,
+  getApprovers,
+  getBeneficiaryById,
+  isPostableAmount
 } from '../data/mockData.js';
+import {
+  MOBILE_MONEY_NETWORKS,
+  validateWallet,
+  startWalletDelivery,
+  runWalletDeliveries
+} from '../data/mobileMoney.js';
+import {
+  configureApprovals,
+  buildPaymentApproval,
+  checkApprovalCurrency,
+  decidePaymentApproval
+} from '../data/approvals.js';
+import { runScheduledPayments } from '../data/scheduledPayments.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /payments/scheduled; soonest first by default
+const SCHEDULED_PAYMENT_SORT_FIELDS = {
+  scheduledFor: 'date',
+  initiatedAt: 'date',
+  amount: 'number'
+};
+
+const PAYMENT_METHODS = ['bank_transfer', 'mobile_money'];
+
+// Query filters for GET /payments/scheduled; dateFrom/dateTo filter scheduledFor
+const SCHEDULED_PAYMENT_FILTERS = {
+  values: {
+    accountId: null,
+    method: PAYMENT_METHODS,
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['beneficiary', 'reference'],
+  dates: ['scheduledFor', 'initiatedAt']
+};
+
+const APPROVAL_ERROR_STATUS = {
+  PAYMENT_NOT_FOUND: 404,
+  APPROVER_NOT_FOUND: 404,
+  APPROVER_INACTIVE: 403,
+  SELF_APPROVAL_NOT_ALLOWED: 403,
+  APPROVAL_LIMIT_EXCEEDED: 403,
+  INVALID_STATUS_TRANSITION: 409,
+  INITIATOR_UNKNOWN: 409
+};
+
+const isThreshold = (value) => typeof value === 'number' && value >= 0;
+
+/**
+ * @swagger
+ * /payments/mobile-money/networks:
+ *   get:
+ *     summary: List supported mobile money networks
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: List of mobile money networks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: MTN
+ *                           name:
+ *                             type: string
+ *                             example: MTN Mobile Money
+ *                           prefixes:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ['24', '54', '55', '59']
+ *                           processingMs:
+ *                             type: integer
+ *                             example: 5000
+ *                           maxAmount:
+ *                             type: number
+ *                             example: 10000
+ */
+router.get('/mobile-money/networks', (req, res) => {
+  res.json({
+    status: 'success',
+    data: MOBILE_MONEY_NETWORKS,
+    count: MOBILE_MONEY_NETWORKS.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/mobile-money/deliveries/run:
+ *   post:
+ *     summary: Complete mobile money deliveries that are due
+ *     description: Completes every wallet delivery whose expectedAt is at or before asOf, delivering the wallet credit or returning the payment to the payer. The server runs this on a timer (MOBILE_MONEY_DELIVERY_INTERVAL_MS); pass asOf to complete deliveries deterministically.
+ *     tags: [Payments]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Point in time to complete deliveries as of (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Delivery run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *                         delivered:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Payment'
+ *                         failed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid asOf date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mobile-money/deliveries/run', (req, res) => {
+  const { asOf } = req.body || {};
+
+  if (asOf !== undefined && isNaN(new Date(asOf).getTime())) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'asOf must be a valid ISO date',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = runWalletDeliveries(asOf ?? new Date());
+
+  res.json({
+    status: 'success',
+    data: result,
+    message: `Delivered ${result.delivered.length} mobile money payment(s), failed ${result.failed.length}`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/approvers:
+ *   get:
+ *     summary: List payment approvers
+ *     description: Staff who can approve or reject payments held for approval, with the maximum amount each may approve.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *     responses:
+ *       200:
+ *         description: List of approvers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Approver'
+ */
+router.get('/approvers', (req, res) => {
+  const { active } = req.query;
+  let approvers = getApprovers();
+
+  if (active !== undefined) {
+    approvers = approvers.filter(approver => String(approver.active) === active);
+  }
+
+  res.json({
+    status: 'success',
+    data: approvers,
+    count: approvers.length,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/approval/config:
+ *   get:
+ *     summary: Get payment approval thresholds
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Default, per-segment and per-account approval thresholds, and the currency they are in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *   patch:
+ *     summary: Update payment approval thresholds
+ *     description: Payments above the threshold for their account need approval. An account threshold overrides the customer's segment threshold, which overrides the default. Set an account threshold to null to remove the override.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               defaultThreshold:
+ *                 type: number
+ *                 example: 5000
+ *               segmentThresholds:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { retail: 2000, sme: 10000 }
+ *               accountThresholds:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                   nullable: true
+ *                 example: { acc-002: 500 }
+ *     responses:
+ *       200:
+ *         description: Approval thresholds updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid threshold values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/approval/config', (req, res) => {
+  res.json({
+    status: 'success',
+    data: configureApprovals(),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+router.patch('/approval/config', (req, res) => {
+  const { defaultThreshold, segmentThresholds, accountThresholds } = req.body || {};
+
+  const invalid = (defaultThreshold === undefined && !segmentThresholds && !accountThresholds) ||
+    (defaultThreshold !== undefined && !isThreshold(defaultThreshold)) ||
+    (segmentThresholds !== undefined && (typeof segmentThresholds !== 'object' ||
+      !Object.values(segmentThresholds).every(isThreshold))) ||
+    (accountThresholds !== undefined && (typeof accountThresholds !== 'object' ||
+      !Object.values(accountThresholds).every(value => value === null || isThreshold(value))));
+  if (invalid) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Provide defaultThreshold, segmentThresholds or accountThresholds with non-negative amounts',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: configureApprovals({ defaultThreshold, segmentThresholds, accountThresholds }),
+    message: 'Approval thresholds updated',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/scheduled:
+ *   get:
+ *     summary: List scheduled payments
+ *     description: Future-dated payments waiting for their scheduled time, soonest first unless sort says otherwise.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Filter by account ID; comma-separate several
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *         description: Filter by payment method; comma-separate several (bank_transfer, mobile_money)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: dueBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only payments scheduled at or before this exact time
+ *       - in: query
+ *         name: scheduledForFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Scheduled on or after (ISO date or date-time)
+ *       - in: query
+ *         name: scheduledForTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Scheduled on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: initiatedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Initiated on or after (ISO date or date-time)
+ *       - in: query
+ *         name: initiatedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Initiated on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for scheduledForFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for scheduledForTo
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the beneficiary name or reference (case-insensitive)
+ *         example: 'john'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [scheduledFor, initiatedAt, amount]
+ *           default: scheduledFor
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of scheduled payments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE; an invalid dueBefore is INVALID_FILTER too) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/scheduled', (req, res) => {
+  const { dueBefore } = req.query;
+
+  if (dueBefore !== undefined && isNaN(new Date(dueBefore).getTime())) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_FILTER',
+      param: 'dueBefore',
+      message: 'dueBefore must be a valid ISO date',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  let scheduled = getPayments().filter(p => p.status === 'scheduled');
+  if (dueBefore) {
+    const cutoff = new Date(dueBefore).toISOString();
+    scheduled = scheduled.filter(p => p.scheduledFor <= cutoff);
+  }
+  const filtered = applyFilters(scheduled, req.query, SCHEDULED_PAYMENT_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: SCHEDULED_PAYMENT_SORT_FIELDS, defaultSort: 'scheduledFor' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/scheduler/run:
+ *   post:
+ *     summary: Execute scheduled payments that are due
+ *     description: Promotes every scheduled payment whose scheduledFor is at or before asOf to pending and processes it exactly like POST /payments/{paymentId}/process. The server runs this on a timer (PAYMENT_SCHEDULER_INTERVAL_MS); pass asOf to trigger due execution deterministically.
+ *     tags: [Payments]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Point in time to execute as of (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Scheduler run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *                         completed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Payment'
+ *                         failed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid asOf date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/scheduler/run', (req, res) => {
+  const { asOf } = req.body || {};
+
+  if (asOf !== undefined && isNaN(new Date(asOf).getTime())) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'asOf must be a valid ISO date',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = runScheduledPayments(asOf ?? new Date());
+
+  res.json({
+    status: 'success',
+    data: result,
+    message: `Executed ${result.completed.length} scheduled payment(s), failed ${result.failed.length}`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/initiate:
+ *   post:
+ *     summary: Initiate a payment/payout
+ *     tags: [Payments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - amount
+ *               - currency
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 example: acc-001
+ *               beneficiaryId:
+ *                 type: string
+ *                 example: ben-002
+ *                 description: Saved beneficiary of the account's customer; replaces beneficiary and beneficiaryAccount
+ *               beneficiary:
+ *                 type: string
+ *                 example: John Doe
+ *                 description: Required when beneficiaryId is not given
+ *               beneficiaryAccount:
+ *                 type: string
+ *                 example: 9876543210
+ *                 description: Required when beneficiaryId is not given
+ *               amount:
+ *                 type: number
+ *                 example: 200.00
+ *               currency:
+ *                 type: string
+ *                 example: GHS
+ *               method:
+ *                 type: string
+ *                 enum: [bank_transfer, mobile_money]
+ *                 example: bank_transfer
+ *               network:
+ *                 type: string
+ *                 enum: [MTN, Vodafone, AirtelTigo]
+ *                 example: MTN
+ *                 description: Required for mobile_money; beneficiaryAccount must be a wallet number on this network
+ *               reference:
+ *                 type: string
+ *                 example: PAY-REF-001
+ *               initiatedBy:
+ *                 type: string
+ *                 example: usr-teller-01
+ *                 description: Actor initiating the payment (the maker); cannot approve it. Required when the amount is above the account's approval threshold
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2024-02-01T09:00:00Z'
+ *                 description: Future date-time to execute the payment. The payment is created as scheduled and executed by the scheduler when due
+ *     responses:
+ *       201:
+ *         description: Payment initiated. Status is awaiting_approval when the amount is above the account's approval threshold, scheduled when scheduledFor is set, otherwise pending.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Missing required fields, invalid amount (INVALID_AMOUNT), method or scheduledFor, invalid mobile money wallet (INVALID_NETWORK, INVALID_WALLET_NUMBER, NETWORK_MISMATCH), no initiatedBy on a payment that needs approval (INITIATOR_REQUIRED), or a currency other than the approval thresholds' (UNSUPPORTED_CURRENCY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Account or beneficiary not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key reused with a different request body (IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/initiate', idempotent, (req, res) => {
+  const {
+    accountId,
+    beneficiaryId,
+    amount,
+    currency,
+    method = 'bank_transfer',
+    network,
+    reference,
+    initiatedBy,
+    scheduledFor
+  } = req.body;
+  let { beneficiary, beneficiaryAccount } = req.body;
+
+  if (!accountId || amount === undefined || !currency || (!beneficiaryId && (!beneficiary || !beneficiaryAccount))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required fields: accountId, amount, currency, and beneficiaryId or beneficiary and beneficiaryAccount',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (!isPostableAmount(amount)) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_AMOUNT',
+      param: 'amount',
+      message: 'Amount must be a number greater than 0',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (scheduledFor !== undefined) {
+    const scheduledAt = new Date(scheduledFor);
+    if (isNaN(scheduledAt.getTime()) || scheduledAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'scheduledFor must be a valid ISO date in the future',
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+  }
+
+  const account = getAccountById(accountId);
+  if (!account) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Account not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (beneficiaryId) {
+    const saved = getBeneficiaryById(beneficiaryId);
+    if (!saved || saved.customerId !== account.customerId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Beneficiary not found for this account\'s customer',
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+    beneficiary = saved.name;
+    beneficiaryAccount = saved.accountNumber;
+  }
+
+  let wallet = null;
+  if (method === 'mobile_money') {
+    wallet = validateWallet(network, beneficiaryAccount);
+    if (wallet.error) {
+      return res.status(400).json({
+        status: 'error',
+        code: wallet.error.code,
+        message: wallet.error.message,
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+  }
+
+  const unsupported = checkApprovalCurrency(currency);
+  if (unsupported) {
+    return res.status(400).json({
+      status: 'error',
+      code: unsupported.error.code,
+      param: 'currency',
+      message: unsupported.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const approval = buildPaymentApproval({ accountId, amount, currency, initiatedBy });
+  if (approval.required && !initiatedBy) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INITIATOR_REQUIRED',
+      param: 'initiatedBy',
+      message: `initiatedBy is required: ${amount} ${currency} exceeds the approval threshold of ${approval.threshold}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const payment = addPayment({
+    accountId,
+    beneficiaryId: beneficiaryId || null,
+    beneficiary,
+    beneficiaryAccount: wallet ? wallet.msisdn : beneficiaryAccount,
+    amount,
+    currency,
+    method,
+    ...(wallet ? { network: wallet.network.id } : {}),
+    reference,
+    // Snapshots at initiation; check-ready and process re-evaluate both live
+    kycComplete: evaluateKyc(account.customerId).complete,
+    sufficientBalance: account.balance >= amount,
+    initiatedBy: initiatedBy || null,
+    scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+    approval,
+    status: approval.required ? 'awaiting_approval' : (scheduledFor ? 'scheduled' : 'pending')
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: payment,
+    message: approval.required
+      ? 'Payment initiated and awaiting approval'
+      : (scheduledFor ? `Payment scheduled for ${payment.scheduledFor}` : 'Payment initiated'),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/{paymentId}:
+ *   get:
+ *     summary: Get payment details by ID
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Payment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:paymentId', (req, res) => {
+  const payment = getPaymentById(req.params.paymentId);
+  
+  if (!payment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: payment,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/{paymentId}/cancel:
+ *   post:
+ *     summary: Cancel a payment that has not been processed
+ *     description: Pending, scheduled and awaiting-approval payments can be cancelled. The transition is recorded in the payment's statusHistory.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Customer changed their mind
+ *     responses:
+ *       200:
+ *         description: Payment cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Payment'
+ *       409:
+ *         description: Payment is not pending (INVALID_STATUS_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Payment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:paymentId/cancel', (req, res) => {
+  const { reason } = req.body || {};
+  const payment = getPaymentById(req.params.paymentId);
 
-const router = express.Router();
+  if (!payment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment not found',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (!canTransitionPayment(payment.status, 'cancelled')) {
+    return res.status(409).json({
+      status: 'error',
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `Cannot cancel a payment with status: ${payment.status}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const updatedPayment = updatePayment(req.params.paymentId, { status: 'cancelled' }, reason);
+
+  res.json({
+    status: 'success',
+    data: updatedPayment,
+    message: 'Payment cancelled',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
 
 /**
  * @swagger
- * /payments/initiate:
+ * /payments/{paymentId}/approve:
  *   post:
- *     summary: Initiate a payment/payout
+ *     summary: Approve a payment awaiting approval
+ *     description: A second actor (the checker) signs off a payment held for approval. The payment moves to pending and can then be processed. The approver must be active, must not be the payment's initiator, and the amount must be within their approval limit. The decision is appended to the payment's approval trail.
  *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
  *     requestBody:
  *       required: true
  *       content:
@@ -22,36 +941,17 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - accountId
- *               - beneficiary
- *               - beneficiaryAccount
- *               - amount
- *               - currency
+ *               - approverId
  *             properties:
- *               accountId:
- *                 type: string
- *                 example: acc-001
- *               beneficiary:
- *                 type: string
- *                 example: John Doe
- *               beneficiaryAccount:
+ *               approverId:
  *                 type: string
- *                 example: 9876543210
- *               amount:
- *                 type: number
- *                 example: 200.00
- *               currency:
- *                 type: string
- *                 example: GHS
- *               method:
+ *                 example: apr-001
+ *               comment:
  *                 type: string
- *                 example: bank_transfer
- *               reference:
- *                 type: string
- *                 example: PAY-REF-001
+ *                 example: Verified with customer by phone
  *     responses:
- *       201:
- *         description: Payment initiated
+ *       200:
+ *         description: Payment approved
  *         content:
  *           application/json:
  *             schema:
@@ -62,65 +962,57 @@ const router = express.Router();
  *                     data:
  *                       $ref: '#/components/schemas/Payment'
  *       400:
- *         description: Missing required fields or invalid amount
+ *         description: Missing approverId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Approver inactive, approving own payment, or amount above approval limit (APPROVER_INACTIVE, SELF_APPROVAL_NOT_ALLOWED, APPROVAL_LIMIT_EXCEEDED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Account not found
+ *         description: Payment or approver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Payment is not awaiting approval (INVALID_STATUS_TRANSITION), or has no recorded initiator to check the approver against (INITIATOR_UNKNOWN)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/initiate', (req, res) => {
-  const { accountId, beneficiary, beneficiaryAccount, amount, currency, method, reference } = req.body;
-
-  if (!accountId || !beneficiary || !beneficiaryAccount || !amount || !currency) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Missing required fields: accountId, beneficiary, beneficiaryAccount, amount, currency',
-      timestamp: new Date().toISOString(),
-      requestId: req.requestId
-    });
-  }
+router.post('/:paymentId/approve', (req, res) => {
+  const { approverId, comment } = req.body || {};
 
-  if (amount <= 0) {
+  if (!approverId) {
     return res.status(400).json({
       status: 'error',
-      message: 'Amount must be greater than 0',
+      message: 'Missing required field: approverId',
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  const account = getAccountById(accountId);
-  if (!account) {
-    return res.status(404).json({
+  const result = decidePaymentApproval(req.params.paymentId, { approverId, decision: 'approved', comment });
+  if (result.error) {
+    return res.status(APPROVAL_ERROR_STATUS[result.error.code]).json({
       status: 'error',
-      message: 'Account not found',
+      code: result.error.code,
+      message: result.error.message,
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  const payment = addPayment({
-    accountId,
-    beneficiary,
-    beneficiaryAccount,
-    amount,
-    currency,
-    method: method || 'bank_transfer',
-    reference,
-    kycComplete: true, // Simulated
-    sufficientBalance: account.balance >= amount
-  });
-
-  res.status(201).json({
+  res.json({
     status: 'success',
-    data: payment,
-    message: 'Payment initiated',
+    data: result.payment,
+    message: 'Payment approved',
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -128,9 +1020,10 @@ router.post('/initiate', (req, res) => {
 
 /**
  * @swagger
- * /payments/{paymentId}:
- *   get:
- *     summary: Get payment details by ID
+ * /payments/{paymentId}/reject:
+ *   post:
+ *     summary: Reject a payment awaiting approval
+ *     description: A second actor rejects a payment held for approval. The payment moves to rejected, which is final. The decision and reason are appended to the payment's approval trail.
  *     tags: [Payments]
  *     parameters:
  *       - in: path
@@ -139,9 +1032,25 @@ router.post('/initiate', (req, res) => {
  *         schema:
  *           type: string
  *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approverId
+ *               - reason
+ *             properties:
+ *               approverId:
+ *                 type: string
+ *                 example: apr-001
+ *               reason:
+ *                 type: string
+ *                 example: Beneficiary could not be verified
  *     responses:
  *       200:
- *         description: Payment details
+ *         description: Payment rejected
  *         content:
  *           application/json:
  *             schema:
@@ -151,20 +1060,49 @@ router.post('/initiate', (req, res) => {
  *                   properties:
  *                     data:
  *                       $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Missing approverId or reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Approver inactive or rejecting own payment (APPROVER_INACTIVE, SELF_APPROVAL_NOT_ALLOWED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Payment not found
+ *         description: Payment or approver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Payment is not awaiting approval (INVALID_STATUS_TRANSITION), or has no recorded initiator to check the approver against (INITIATOR_UNKNOWN)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:paymentId', (req, res) => {
-  const payment = getPaymentById(req.params.paymentId);
-  
-  if (!payment) {
-    return res.status(404).json({
+router.post('/:paymentId/reject', (req, res) => {
+  const { approverId, reason } = req.body || {};
+
+  if (!approverId || !reason) {
+    return res.status(400).json({
       status: 'error',
-      message: 'Payment not found',
+      message: 'Missing required fields: approverId, reason',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = decidePaymentApproval(req.params.paymentId, { approverId, decision: 'rejected', comment: reason });
+  if (result.error) {
+    return res.status(APPROVAL_ERROR_STATUS[result.error.code]).json({
+      status: 'error',
+      code: result.error.code,
+      message: result.error.message,
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
@@ -172,7 +1110,8 @@ router.get('/:paymentId', (req, res) => {
 
   res.json({
     status: 'success',
-    data: payment,
+    data: result.payment,
+    message: 'Payment rejected',
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -180,9 +1119,85 @@ router.get('/:paymentId', (req, res) => {
 
 /**
  * @swagger
- * /payments/{paymentId}/cancel:
+ * /payments/{paymentId}/check-approved:
+ *   get:
+ *     summary: Checker endpoint - Verify if a payment has cleared approval
+ *     description: Returns true when the payment was approved by a second actor, or when its amount did not require approval. Returns false while it is awaiting approval or after it was rejected. Used for workflow conditional logic.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/:paymentId/check-approved', (req, res) => {
+  const payment = getPaymentById(req.params.paymentId);
+
+  if (!payment) {
+    return res.json({
+      result: false,
+      reason: 'Payment not found',
+      metadata: { paymentId: req.params.paymentId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  // Payments created before approvals existed never needed one
+  const approval = payment.approval || {
+    required: false,
+    status: 'not_required',
+    threshold: null,
+    thresholdSource: null,
+    decidedBy: null,
+    decidedAt: null,
+    trail: []
+  };
+  const isApproved = ['approved', 'not_required'].includes(approval.status);
+  const reasons = {
+    approved: `Payment approved by ${approval.decidedBy}`,
+    not_required: 'Payment amount does not require approval',
+    awaiting: 'Payment is awaiting approval',
+    rejected: `Payment rejected by ${approval.decidedBy}`
+  };
+
+  res.json({
+    result: isApproved,
+    reason: reasons[approval.status],
+    metadata: {
+      paymentId: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      approvalRequired: approval.required,
+      approvalStatus: approval.status,
+      threshold: approval.threshold,
+      thresholdSource: approval.thresholdSource,
+      initiatedBy: payment.initiatedBy || null,
+      decidedBy: approval.decidedBy,
+      decidedAt: approval.decidedAt,
+      trail: approval.trail
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/{paymentId}/process:
  *   post:
- *     summary: Cancel a pending payment
+ *     summary: Execute a pending payment
+ *     description: Moves the payment from pending to processing and re-evaluates the check-ready conditions at execution time. If they hold, the source account is debited through a ledger transaction and the payment moves to completed with completedAt set. Otherwise the payment moves to failed with a machine-readable failureReason. Mobile money payments then start wallet delivery, tracked by check-delivered.
  *     tags: [Payments]
  *     parameters:
  *       - in: path
@@ -193,7 +1208,7 @@ router.get('/:paymentId', (req, res) => {
  *         description: Payment ID
  *     responses:
  *       200:
- *         description: Payment cancelled
+ *         description: Payment completed
  *         content:
  *           application/json:
  *             schema:
@@ -202,47 +1217,71 @@ router.get('/:paymentId', (req, res) => {
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/Payment'
- *       400:
- *         description: Cannot cancel completed payment
+ *                       type: object
+ *                       properties:
+ *                         payment:
+ *                           $ref: '#/components/schemas/Payment'
+ *                         transaction:
+ *                           $ref: '#/components/schemas/Transaction'
+ *       404:
+ *         description: Payment not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: Payment not found
+ *       409:
+ *         description: Payment is not pending (INVALID_STATUS_TRANSITION)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Payment failed; code is the failureReason (KYC_INCOMPLETE, INSUFFICIENT_FUNDS, ACCOUNT_NOT_FOUND, ACCOUNT_SUSPENDED, ACCOUNT_CLOSED, CURRENCY_MISMATCH) and data is the failed payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Payment'
  */
-router.post('/:paymentId/cancel', (req, res) => {
-  const payment = getPaymentById(req.params.paymentId);
+router.post('/:paymentId/process', (req, res) => {
+  const result = processPayment(req.params.paymentId);
 
-  if (!payment) {
-    return res.status(404).json({
+  if (result.error && !result.payment) {
+    return res.status(result.error.code === 'PAYMENT_NOT_FOUND' ? 404 : 409).json({
       status: 'error',
-      message: 'Payment not found',
+      code: result.error.code,
+      message: result.error.message,
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  if (payment.status === 'completed') {
-    return res.status(400).json({
+  if (result.error) {
+    return res.status(422).json({
       status: 'error',
-      message: 'Cannot cancel a completed payment',
+      code: result.error.code,
+      message: `Payment failed: ${result.error.message}`,
+      data: result.payment,
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  const updatedPayment = updatePayment(req.params.paymentId, { status: 'cancelled' });
+  const payment = result.payment.method === 'mobile_money'
+    ? startWalletDelivery(result.payment.id)
+    : result.payment;
 
   res.json({
     status: 'success',
-    data: updatedPayment,
-    message: 'Payment cancelled',
+    data: {
+      payment,
+      transaction: result.transaction
+    },
+    message: payment.method === 'mobile_money' ? 'Payment completed, wallet delivery in progress' : 'Payment completed',
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -253,7 +1292,7 @@ router.post('/:paymentId/cancel', (req, res) => {
  * /payments/{paymentId}/check-ready:
  *   get:
  *     summary: Checker endpoint - Verify if payment is ready to process
- *     description: Returns true/false indicating if the payment is ready to process (KYC complete, sufficient balance, pending status). Used for workflow conditional logic.
+ *     description: Returns true/false indicating if the payment is ready to process. Preconditions are evaluated live - pending status, active source account, approved and unexpired KYC for the account's customer, and current balance covering the amount. metadata.preconditions explains each check and metadata.failures lists the failed ones with codes. Used for workflow conditional logic.
  *     tags: [Payments]
  *     parameters:
  *       - in: path
@@ -283,23 +1322,98 @@ router.get('/:paymentId/check-ready', (req, res) => {
     });
   }
 
-  const isReady = payment.kycComplete && payment.sufficientBalance && payment.status === 'pending';
-  const reasons = [];
-  
-  if (!payment.kycComplete) reasons.push('KYC not complete');
-  if (!payment.sufficientBalance) reasons.push('Insufficient balance');
-  if (payment.status !== 'pending') reasons.push(`Payment status is ${payment.status}`);
+  const readiness = evaluatePaymentReadiness(payment);
+
+  res.json({
+    result: readiness.ready,
+    reason: readiness.ready
+      ? 'Payment is ready to process'
+      : readiness.failures.map(failure => failure.message).join(', '),
+    metadata: {
+      paymentId: payment.id,
+      status: payment.status,
+      kycComplete: readiness.kycComplete,
+      sufficientBalance: readiness.sufficientBalance,
+      amount: payment.amount,
+      currency: payment.currency,
+      preconditions: readiness.preconditions,
+      failures: readiness.failures
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /payments/{paymentId}/check-delivered:
+ *   get:
+ *     summary: Checker endpoint - Verify if a mobile money payment reached the wallet
+ *     description: Returns true/false indicating if the mobile money network has credited the beneficiary wallet. Delivery takes a network-specific time after the payment is processed; a failed delivery returns the payment and refunds the payer. Used for workflow conditional logic.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/:paymentId/check-delivered', (req, res) => {
+  const payment = getPaymentById(req.params.paymentId);
+
+  if (!payment) {
+    return res.json({
+      result: false,
+      reason: 'Payment not found',
+      metadata: { paymentId: req.params.paymentId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  if (payment.method !== 'mobile_money') {
+    return res.json({
+      result: false,
+      reason: `Payment method is ${payment.method}, not mobile_money`,
+      metadata: { paymentId: payment.id, method: payment.method, status: payment.status },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const delivery = payment.walletDelivery;
+  const isDelivered = Boolean(delivery) && delivery.status === 'delivered';
+  let reason = 'Wallet delivery has not started; payment status is: ' + payment.status;
+  if (isDelivered) {
+    reason = 'Funds delivered to wallet';
+  } else if (delivery && delivery.status === 'failed') {
+    reason = `Wallet delivery failed: ${delivery.failureReason}`;
+  } else if (delivery) {
+    reason = `Wallet delivery status is: ${delivery.status}`;
+  }
 
   res.json({
-    result: isReady,
-    reason: isReady ? 'Payment is ready to process' : reasons.join(', '),
+    result: isDelivered,
+    reason,
     metadata: {
       paymentId: payment.id,
       status: payment.status,
-      kycComplete: payment.kycComplete,
-      sufficientBalance: payment.sufficientBalance,
+      network: payment.network,
+      msisdn: payment.beneficiaryAccount,
       amount: payment.amount,
-      currency: payment.currency
+      currency: payment.currency,
+      deliveryStatus: delivery ? delivery.status : 'not_started',
+      expectedAt: delivery ? delivery.expectedAt : null,
+      deliveredAt: delivery ? delivery.deliveredAt : null,
+      failureReason: delivery ? delivery.failureReason : null
     },
     timestamp: new Date().toISOString(),
     requestId: req.requestId
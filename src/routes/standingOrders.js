@@ -0,0 +1,844 @@
+import express from 'express';
+import {
+  getAccountById,
+  getStandingOrders,
+  getStandingOrderById,
+  addStandingOrder,
+  updateStandingOrder
+} from '../data/mockData.js';
+import {
+  STANDING_ORDER_FREQUENCIES,
+  STANDING_ORDER_FAILURE_POLICIES,
+  runStandingOrders,
+  resumeStandingOrder
+} from '../data/standingOrders.js';
+import standingOrdersConfig from '../config/standingOrders.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /standing-orders and how their values compare
+const STANDING_ORDER_SORT_FIELDS = {
+  createdAt: 'date',
+  nextRunAt: 'date',
+  amount: 'number',
+  status: 'string'
+};
+
+// Query filters for GET /standing-orders; dateFrom/dateTo filter createdAt.
+// accountId (either side of the order) is applied separately.
+const STANDING_ORDER_FILTERS = {
+  values: {
+    fromAccount: null,
+    toAccount: null,
+    status: ['active', 'paused', 'completed', 'cancelled'],
+    frequency: STANDING_ORDER_FREQUENCIES,
+    failurePolicy: STANDING_ORDER_FAILURE_POLICIES,
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['purpose'],
+  dates: ['createdAt', 'nextRunAt']
+};
+
+// Query filters for GET /standing-orders/{orderId}/executions
+const EXECUTION_FILTERS = {
+  values: { status: ['succeeded', 'skipped', 'failed', 'retry_scheduled'] },
+  dates: ['attemptedAt']
+};
+
+// Sortable fields for GET /standing-orders/{orderId}/executions
+const EXECUTION_SORT_FIELDS = {
+  sequence: 'number',
+  scheduledFor: 'date',
+  attemptedAt: 'date'
+};
+
+// List items carry the order's counters but not its execution history, which
+// grows with every occurrence; it is paged from /executions instead
+const summarizeOrder = ({ executions, ...order }) => ({ ...order, executionCount: executions.length });
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const sendStatusConflict = (req, res, order, action) => res.status(409).json({
+  status: 'error',
+  code: 'INVALID_STATUS_TRANSITION',
+  message: `Cannot ${action} a standing order with status: ${order.status}`,
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+const sendNotFound = (req, res) => res.status(404).json({
+  status: 'error',
+  message: 'Standing order not found',
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+/**
+ * @swagger
+ * /standing-orders:
+ *   post:
+ *     summary: Create a standing order
+ *     description: Sets up a recurring transfer between two accounts. Each occurrence is posted through the same ledger transfer as POST /transactions. The order ends at endDate or after maxOccurrences occurrences, whichever comes first; with neither it runs until cancelled.
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromAccount
+ *               - toAccount
+ *               - amount
+ *               - currency
+ *               - frequency
+ *             properties:
+ *               fromAccount:
+ *                 type: string
+ *                 example: acc-001
+ *               toAccount:
+ *                 type: string
+ *                 example: acc-002
+ *               amount:
+ *                 type: number
+ *                 example: 200.00
+ *               currency:
+ *                 type: string
+ *                 example: GHS
+ *               purpose:
+ *                 type: string
+ *                 example: Monthly support for Mum
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *                 example: monthly
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First occurrence (defaults to now; cannot be in the past)
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: No occurrences after this date
+ *               maxOccurrences:
+ *                 type: integer
+ *                 example: 12
+ *               failurePolicy:
+ *                 type: string
+ *                 enum: [skip, retry]
+ *                 example: skip
+ *                 description: What to do when the source account cannot cover an occurrence. skip moves on to the next occurrence; retry re-attempts it later up to maxRetries times
+ *               maxRetries:
+ *                 type: integer
+ *                 example: 3
+ *     responses:
+ *       201:
+ *         description: Standing order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/StandingOrder'
+ *       400:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Account not active, currency mismatch, or Idempotency-Key reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', idempotent, (req, res) => {
+  const {
+    fromAccount,
+    toAccount,
+    amount,
+    currency,
+    purpose,
+    frequency,
+    startDate,
+    endDate,
+    maxOccurrences,
+    failurePolicy = 'skip',
+    maxRetries = standingOrdersConfig.defaultMaxRetries
+  } = req.body;
+
+  const badRequest = (message, code) => res.status(400).json({
+    status: 'error',
+    ...(code ? { code } : {}),
+    message,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+
+  if (!fromAccount || !toAccount || !amount || !currency || !frequency) {
+    return badRequest('Missing required fields: fromAccount, toAccount, amount, currency, frequency');
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return badRequest('Amount must be a number greater than 0');
+  }
+  if (fromAccount === toAccount) {
+    return badRequest('Source and destination accounts must differ', 'SAME_ACCOUNT');
+  }
+  if (!STANDING_ORDER_FREQUENCIES.includes(frequency)) {
+    return badRequest(`Frequency must be one of: ${STANDING_ORDER_FREQUENCIES.join(', ')}`);
+  }
+  if (!STANDING_ORDER_FAILURE_POLICIES.includes(failurePolicy)) {
+    return badRequest(`failurePolicy must be one of: ${STANDING_ORDER_FAILURE_POLICIES.join(', ')}`);
+  }
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    return badRequest('maxRetries must be a non-negative integer');
+  }
+  if (maxOccurrences !== undefined && !isPositiveInteger(maxOccurrences)) {
+    return badRequest('maxOccurrences must be a positive integer');
+  }
+
+  const start = startDate === undefined ? new Date() : new Date(startDate);
+  if (startDate !== undefined && (!isValidDate(startDate) || start.getTime() < Date.now())) {
+    return badRequest('startDate must be a valid ISO date that is not in the past');
+  }
+  if (endDate !== undefined && (!isValidDate(endDate) || new Date(endDate) <= start)) {
+    return badRequest('endDate must be a valid ISO date after startDate');
+  }
+
+  for (const [accountId, role] of [[fromAccount, 'Source'], [toAccount, 'Destination']]) {
+    const account = getAccountById(accountId);
+    if (!account) {
+      return res.status(404).json({
+        status: 'error',
+        code: 'ACCOUNT_NOT_FOUND',
+        message: `${role} account not found: ${accountId}`,
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+    if (account.status !== 'active' || account.currency !== currency) {
+      const code = account.status !== 'active' ? `ACCOUNT_${account.status.toUpperCase()}` : 'CURRENCY_MISMATCH';
+      return res.status(422).json({
+        status: 'error',
+        code,
+        message: account.status !== 'active'
+          ? `${role} account is ${account.status}: ${accountId}`
+          : `Standing order currency ${currency} does not match ${role.toLowerCase()} account currency ${account.currency}`,
+        timestamp: new Date().toISOString(),
+        requestId: req.requestId
+      });
+    }
+  }
+
+  const order = addStandingOrder({
+    fromAccount,
+    toAccount,
+    amount,
+    currency,
+    purpose: purpose || null,
+    frequency,
+    startDate: start.toISOString(),
+    endDate: endDate ? new Date(endDate).toISOString() : null,
+    maxOccurrences: maxOccurrences || null,
+    failurePolicy,
+    maxRetries: failurePolicy === 'retry' ? maxRetries : 0,
+    nextRunAt: start.toISOString()
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: order,
+    message: 'Standing order created',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders:
+ *   get:
+ *     summary: List standing orders with optional filters
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Orders paying from or into this account
+ *       - in: query
+ *         name: fromAccount
+ *         schema:
+ *           type: string
+ *         description: Filter by source account; comma-separate several
+ *       - in: query
+ *         name: toAccount
+ *         schema:
+ *           type: string
+ *         description: Filter by destination account; comma-separate several
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status; comma-separate several (active, paused, completed, cancelled)
+ *       - in: query
+ *         name: frequency
+ *         schema:
+ *           type: string
+ *         description: Filter by frequency; comma-separate several (daily, weekly, monthly)
+ *       - in: query
+ *         name: failurePolicy
+ *         schema:
+ *           type: string
+ *         description: Filter by failure policy; comma-separate several (skip, retry)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the purpose (case-insensitive)
+ *       - in: query
+ *         name: createdAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after (ISO date or date-time)
+ *       - in: query
+ *         name: createdAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: nextRunAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Next run on or after (ISO date or date-time)
+ *       - in: query
+ *         name: nextRunAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Next run on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, nextRunAt, amount, status]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of standing orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       description: Orders with executionCount in place of executions; fetch the history from /standing-orders/{orderId}/executions
+ *                       items:
+ *                         $ref: '#/components/schemas/StandingOrder'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', (req, res) => {
+  const { accountId } = req.query;
+  const orders = accountId
+    ? getStandingOrders().filter(o => o.fromAccount === accountId || o.toAccount === accountId)
+    : getStandingOrders();
+
+  const filtered = applyFilters(orders, req.query, STANDING_ORDER_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: STANDING_ORDER_SORT_FIELDS, defaultSort: 'createdAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data.map(summarizeOrder),
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/run:
+ *   post:
+ *     summary: Execute standing order occurrences that are due
+ *     description: Runs every occurrence of every active order due at or before asOf, catching up missed occurrences in order. The server runs this on a timer (STANDING_ORDER_INTERVAL_MS); pass asOf to trigger execution deterministically.
+ *     tags: [Standing Orders]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Point in time to execute as of (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Run result with one entry per attempted occurrence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *                         executions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/StandingOrderExecution'
+ *       400:
+ *         description: Invalid asOf date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/run', (req, res) => {
+  const { asOf } = req.body || {};
+
+  if (asOf !== undefined && !isValidDate(asOf)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'asOf must be a valid ISO date',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = runStandingOrders(asOf ?? new Date());
+  const succeeded = result.executions.filter(e => e.status === 'succeeded').length;
+
+  res.json({
+    status: 'success',
+    data: result,
+    message: `Executed ${result.executions.length} occurrence(s), ${succeeded} succeeded`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/{orderId}:
+ *   get:
+ *     summary: Get standing order details by ID
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Standing order ID
+ *     responses:
+ *       200:
+ *         description: Standing order details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/StandingOrder'
+ *       404:
+ *         description: Standing order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:orderId', (req, res) => {
+  const order = getStandingOrderById(req.params.orderId);
+
+  if (!order) {
+    return sendNotFound(req, res);
+  }
+
+  res.json({
+    status: 'success',
+    data: order,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/{orderId}/executions:
+ *   get:
+ *     summary: Get the execution history of a standing order
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Standing order ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by execution status; comma-separate several (succeeded, skipped, failed, retry_scheduled)
+ *       - in: query
+ *         name: attemptedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Attempted on or after (ISO date or date-time)
+ *       - in: query
+ *         name: attemptedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Attempted on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for attemptedAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for attemptedAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [sequence, scheduledFor, attemptedAt]
+ *           default: sequence
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: Execution history, oldest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StandingOrderExecution'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Standing order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:orderId/executions', (req, res) => {
+  const order = getStandingOrderById(req.params.orderId);
+
+  if (!order) {
+    return sendNotFound(req, res);
+  }
+
+  const filtered = applyFilters(order.executions, req.query, EXECUTION_FILTERS);
+  const page = filtered.error ? filtered : paginate(filtered.items, req.query, {
+    sortFields: EXECUTION_SORT_FIELDS,
+    defaultSort: 'sequence',
+    key: 'sequence'
+  });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/{orderId}/pause:
+ *   post:
+ *     summary: Pause an active standing order
+ *     description: No occurrences run while the order is paused.
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Standing order ID
+ *     responses:
+ *       200:
+ *         description: Standing order paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/StandingOrder'
+ *       404:
+ *         description: Standing order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Standing order is not active (INVALID_STATUS_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:orderId/pause', (req, res) => {
+  const order = getStandingOrderById(req.params.orderId);
+
+  if (!order) {
+    return sendNotFound(req, res);
+  }
+  if (order.status !== 'active') {
+    return sendStatusConflict(req, res, order, 'pause');
+  }
+
+  res.json({
+    status: 'success',
+    data: updateStandingOrder(order.id, { status: 'paused', pausedAt: new Date().toISOString() }),
+    message: 'Standing order paused',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/{orderId}/resume:
+ *   post:
+ *     summary: Resume a paused standing order
+ *     description: Occurrences that fell due while the order was paused are skipped and recorded in the execution history with failureReason ORDER_PAUSED. The order continues from the next occurrence.
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Standing order ID
+ *     responses:
+ *       200:
+ *         description: Standing order resumed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/StandingOrder'
+ *       404:
+ *         description: Standing order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Standing order is not paused (INVALID_STATUS_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:orderId/resume', (req, res) => {
+  const order = getStandingOrderById(req.params.orderId);
+
+  if (!order) {
+    return sendNotFound(req, res);
+  }
+  if (order.status !== 'paused') {
+    return sendStatusConflict(req, res, order, 'resume');
+  }
+
+  const resumed = resumeStandingOrder(order.id);
+
+  res.json({
+    status: 'success',
+    data: resumed,
+    message: resumed.status === 'completed'
+      ? 'Standing order resumed and completed; its remaining occurrences fell due while paused'
+      : 'Standing order resumed',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /standing-orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel a standing order
+ *     description: Active and paused orders can be cancelled. No further occurrences run; the execution history is kept.
+ *     tags: [Standing Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Standing order ID
+ *     responses:
+ *       200:
+ *         description: Standing order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/StandingOrder'
+ *       404:
+ *         description: Standing order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Standing order already completed or cancelled (INVALID_STATUS_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:orderId/cancel', (req, res) => {
+  const order = getStandingOrderById(req.params.orderId);
+
+  if (!order) {
+    return sendNotFound(req, res);
+  }
+  if (!['active', 'paused'].includes(order.status)) {
+    return sendStatusConflict(req, res, order, 'cancel');
+  }
+
+  res.json({
+    status: 'success',
+    data: updateStandingOrder(order.id, {
+      status: 'cancelled',
+      nextRunAt: null,
+      cancelledAt: new Date().toISOString()
+    }),
+    message: 'Standing order cancelled',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
@@ -2,11 +2,60 @@ import express from 'express';
 import {
   getTransactions,
   getTransactionById,
-  addTransaction
+  postTransfer,
+  postReversal
 } from '../data/mockData.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  runSettlement,
+  configureSettlement,
+  getSettlementDueAt
+} from '../data/settlement.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
 
 const router = express.Router();
 
+// Sortable fields for GET /transactions and how their values compare
+const TRANSACTION_SORT_FIELDS = {
+  initiatedAt: 'date',
+  processedAt: 'date',
+  amount: 'number',
+  status: 'string',
+  type: 'string',
+  category: 'string',
+  reference: 'string'
+};
+
+// Query filters for GET /transactions; dateFrom/dateTo filter initiatedAt
+const TRANSACTION_FILTERS = {
+  values: {
+    accountId: null,
+    status: ['pending', 'cleared', 'failed', 'partially_reversed', 'reversed'],
+    type: ['debit', 'credit'],
+    category: null,
+    currency: null
+  },
+  range: { field: 'amount', min: 'minAmount', max: 'maxAmount' },
+  search: ['description', 'counterparty', 'reference'],
+  dates: ['initiatedAt', 'processedAt']
+};
+
+// HTTP status for each ledger error code returned by the posting layer
+const LEDGER_ERROR_STATUS = {
+  SAME_ACCOUNT: 400,
+  INVALID_AMOUNT: 400,
+  INVALID_REFUND_AMOUNT: 400,
+  ACCOUNT_NOT_FOUND: 404,
+  TRANSACTION_NOT_FOUND: 404,
+  ALREADY_REVERSED: 409,
+  NOT_REVERSIBLE: 409,
+  ACCOUNT_SUSPENDED: 422,
+  ACCOUNT_CLOSED: 422,
+  CURRENCY_MISMATCH: 422,
+  INSUFFICIENT_FUNDS: 422
+};
+
 /**
  * @swagger
  * /transactions:
@@ -18,31 +67,90 @@ const router = express.Router();
  *         name: accountId
  *         schema:
  *           type: string
- *         description: Filter by account ID
+ *         description: Filter by account ID; comma-separate several
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, cleared]
- *         description: Filter by transaction status
+ *         description: Filter by transaction status; comma-separate several (pending, cleared, failed, partially_reversed, reversed)
+ *         example: pending,cleared
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [debit, credit]
- *         description: Filter by transaction type
+ *         description: Filter by transaction type; comma-separate several (debit, credit)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category (e.g. transfer, payment, reversal); comma-separate several
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency; comma-separate several
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in description, counterparty or reference (case-insensitive)
+ *         example: 'salary'
+ *       - in: query
+ *         name: initiatedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Initiated on or after (ISO date or date-time)
+ *       - in: query
+ *         name: initiatedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Initiated on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: processedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Processed (cleared or failed) on or after (ISO date or date-time)
+ *       - in: query
+ *         name: processedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Processed (cleared or failed) on or before (ISO date or date-time; a date alone includes the whole day)
  *       - in: query
  *         name: dateFrom
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Filter from date (ISO format)
+ *         description: Alias for initiatedAtFrom
  *       - in: query
  *         name: dateTo
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Filter to date (ISO format)
+ *         description: Alias for initiatedAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [initiatedAt, processedAt, amount, status, type, category, reference]
+ *           default: initiatedAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
  *     responses:
  *       200:
  *         description: List of transactions
@@ -51,37 +159,42 @@ const router = express.Router();
  *             schema:
  *               allOf:
  *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
  *                 - type: object
  *                   properties:
  *                     data:
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_RANGE, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/', (req, res) => {
-  const { accountId, status, type, dateFrom, dateTo } = req.query;
-  let transactions = getTransactions();
-
-  if (accountId) {
-    transactions = transactions.filter(txn => txn.accountId === accountId);
-  }
-  if (status) {
-    transactions = transactions.filter(txn => txn.status === status);
-  }
-  if (type) {
-    transactions = transactions.filter(txn => txn.type === type);
-  }
-  if (dateFrom) {
-    transactions = transactions.filter(txn => txn.initiatedAt >= dateFrom);
-  }
-  if (dateTo) {
-    transactions = transactions.filter(txn => txn.initiatedAt <= dateTo);
+  const filtered = applyFilters(getTransactions(), req.query, TRANSACTION_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: TRANSACTION_SORT_FIELDS, defaultSort: 'initiatedAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
   }
 
   res.json({
     status: 'success',
-    data: transactions,
-    count: transactions.length,
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
     timestamp: new Date().toISOString(),
     requestId: req.requestId
   });
@@ -144,7 +257,10 @@ router.get('/:txnId', (req, res) => {
  * /transactions:
  *   post:
  *     summary: Create a new transaction/transfer
+ *     description: Posts a double-entry transfer between two internal accounts. The source balance is debited and the destination balance credited atomically; both legs share a transferId.
  *     tags: [Transactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -185,18 +301,33 @@ router.get('/:txnId', (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
+ *                         transferId:
+ *                           type: string
+ *                           example: trf-001
  *                         debitTransaction:
  *                           $ref: '#/components/schemas/Transaction'
  *                         creditTransaction:
  *                           $ref: '#/components/schemas/Transaction'
  *       400:
- *         description: Missing required fields or invalid amount
+ *         description: Missing required fields, invalid amount, or same source and destination (SAME_ACCOUNT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Source or destination account not found (ACCOUNT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Account suspended or closed (ACCOUNT_SUSPENDED, ACCOUNT_CLOSED), currency mismatch (CURRENCY_MISMATCH), insufficient funds (INSUFFICIENT_FUNDS), or Idempotency-Key reused with a different body (IDEMPOTENCY_KEY_REUSED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', (req, res) => {
+router.post('/', idempotent, (req, res) => {
   const { fromAccount, toAccount, amount, currency, purpose } = req.body;
 
   if (!fromAccount || !toAccount || !amount || !currency) {
@@ -208,40 +339,40 @@ router.post('/', (req, res) => {
     });
   }
 
-  if (amount <= 0) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
     return res.status(400).json({
       status: 'error',
-      message: 'Amount must be greater than 0',
+      param: 'amount',
+      message: 'Amount must be a number greater than 0',
       timestamp: new Date().toISOString(),
       requestId: req.requestId
     });
   }
 
-  // Create debit transaction
-  const debitTransaction = addTransaction({
-    accountId: fromAccount,
-    type: 'debit',
+  const result = postTransfer({
+    fromAccount,
+    toAccount,
     amount,
     currency,
-    description: purpose || `Transfer to ${toAccount}`,
-    status: 'pending',
-    counterparty: toAccount
+    description: purpose
   });
 
-  // Create credit transaction
-  const creditTransaction = addTransaction({
-    accountId: toAccount,
-    type: 'credit',
-    amount,
-    currency,
-    description: purpose || `Transfer from ${fromAccount}`,
-    status: 'pending',
-    counterparty: fromAccount
-  });
+  if (result.error) {
+    return res.status(LEDGER_ERROR_STATUS[result.error.code] || 400).json({
+      status: 'error',
+      code: result.error.code,
+      message: result.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const { transferId, debitTransaction, creditTransaction } = result;
 
   res.status(201).json({
     status: 'success',
     data: {
+      transferId,
       debitTransaction,
       creditTransaction
     },
@@ -251,12 +382,272 @@ router.post('/', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /transactions/{txnId}/reverse:
+ *   post:
+ *     summary: Reverse or refund a cleared transaction
+ *     description: Posts compensating legs for the transaction and its paired transfer leg, restoring both balances. Omit amount for a full reversal; a smaller amount is a partial refund, and partial refunds accumulate until the transaction is fully reversed.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: txnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID (either leg of a transfer)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 25.00
+ *                 description: Amount to refund (defaults to the remaining refundable amount)
+ *               reason:
+ *                 type: string
+ *                 example: Customer requested refund
+ *     responses:
+ *       201:
+ *         description: Reversal posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         transferId:
+ *                           type: string
+ *                           example: trf-002
+ *                         refundAmount:
+ *                           type: number
+ *                           example: 25.00
+ *                         originalTransactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Transaction'
+ *                         reversalTransactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Refund amount is not positive or exceeds the refundable amount (INVALID_REFUND_AMOUNT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Transaction not found (TRANSACTION_NOT_FOUND), or one of its accounts no longer exists (ACCOUNT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Transaction already reversed (ALREADY_REVERSED), not in a reversible status, or belongs to a payment, bill payment, loan repayment or loan disbursement (NOT_REVERSIBLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: An account of the transaction is suspended or closed (ACCOUNT_SUSPENDED, ACCOUNT_CLOSED), or the credited account cannot cover the reversal (INSUFFICIENT_FUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:txnId/reverse', (req, res) => {
+  const { amount, reason } = req.body || {};
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_REFUND_AMOUNT',
+      message: 'Amount must be a number greater than 0',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = postReversal(req.params.txnId, { amount, reason });
+
+  if (result.error) {
+    return res.status(LEDGER_ERROR_STATUS[result.error.code] || 400).json({
+      status: 'error',
+      code: result.error.code,
+      message: result.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: result,
+    message: result.originalTransactions[0].status === 'reversed'
+      ? 'Transaction reversed'
+      : 'Partial refund posted',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/settlement/run:
+ *   post:
+ *     summary: Run the settlement engine
+ *     description: Clears every pending transaction whose settlement delay has elapsed as of the given time, or fails it (restoring balances) when its account is no longer active. Legs of a transfer settle together. Pass asOf to drive settlement deterministically.
+ *     tags: [Transactions]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Point in time to settle as of (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Settlement run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *                         cleared:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Transaction'
+ *                         failed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Invalid asOf date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/settlement/run', (req, res) => {
+  const { asOf } = req.body || {};
+
+  if (asOf !== undefined && isNaN(new Date(asOf).getTime())) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'asOf must be a valid ISO date',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const result = runSettlement(asOf ?? new Date());
+
+  res.json({
+    status: 'success',
+    data: result,
+    message: `Settled ${result.cleared.length} transaction(s), failed ${result.failed.length}`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/settlement/config:
+ *   get:
+ *     summary: Get settlement configuration
+ *     tags: [Transactions]
+ *     responses:
+ *       200:
+ *         description: Settlement delays per transaction category and scheduler interval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *   patch:
+ *     summary: Update settlement delays per transaction category
+ *     tags: [Transactions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delaysMs:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: integer
+ *                 example: { transfer: 0, payment: 120000 }
+ *     responses:
+ *       200:
+ *         description: Settlement configuration updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid delay values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/settlement/config', (req, res) => {
+  res.json({
+    status: 'success',
+    data: configureSettlement(),
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+router.patch('/settlement/config', (req, res) => {
+  const { delaysMs } = req.body || {};
+
+  const invalid = !delaysMs || typeof delaysMs !== 'object' ||
+    Object.values(delaysMs).some(delay => !Number.isFinite(delay) || delay < 0);
+  if (invalid) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'delaysMs must be an object of category to non-negative milliseconds',
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: configureSettlement({ delaysMs }),
+    message: 'Settlement configuration updated',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
 /**
  * @swagger
  * /transactions/{txnId}/check-cleared:
  *   get:
  *     summary: Checker endpoint - Verify if transaction has been cleared
- *     description: Returns true/false indicating if the transaction has been cleared. Used for workflow conditional logic.
+ *     description: Returns true/false indicating if the transaction has been cleared. Partially refunded transactions still count as cleared; fully reversed transactions return false with metadata.reversalStatus set so workflows can branch on it. Used for workflow conditional logic.
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -286,19 +677,30 @@ router.get('/:txnId/check-cleared', (req, res) => {
     });
   }
 
-  const isCleared = transaction.status === 'cleared';
-  
+  const isCleared = ['cleared', 'partially_reversed'].includes(transaction.status);
+  let reason = isCleared
+    ? 'Transaction has been cleared'
+    : `Transaction status is: ${transaction.status}`;
+  if (transaction.status === 'reversed') {
+    reason = 'Transaction has been reversed';
+  } else if (transaction.status === 'partially_reversed') {
+    reason = `Transaction has been cleared and partially refunded (${transaction.refundedAmount} of ${transaction.amount} ${transaction.currency})`;
+  }
+
   res.json({
     result: isCleared,
-    reason: isCleared 
-      ? 'Transaction has been cleared' 
-      : `Transaction status is: ${transaction.status}`,
+    reason,
     metadata: {
       transactionId: transaction.id,
       status: transaction.status,
       amount: transaction.amount,
       currency: transaction.currency,
-      processedAt: transaction.processedAt
+      processedAt: transaction.processedAt,
+      expectedSettlementAt: transaction.status === 'pending' ? getSettlementDueAt(transaction) : null,
+      failureReason: transaction.failureReason || null,
+      reversed: ['reversed', 'partially_reversed'].includes(transaction.status),
+      reversalStatus: ['reversed', 'partially_reversed'].includes(transaction.status) ? transaction.status : null,
+      refundedAmount: transaction.refundedAmount || 0
     },
     timestamp: new Date().toISOString(),
     requestId: req.requestId
@@ -0,0 +1,608 @@
+import express from 'express';
+import {
+  getTransferBatches,
+  getTransferBatchById
+} from '../data/mockData.js';
+import {
+  TRANSFER_BATCH_FORMATS,
+  parseTransferBatch,
+  validateTransferBatch,
+  createTransferBatch,
+  dispatchTransferBatch
+} from '../data/transferBatches.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { paginate } from '../data/pagination.js';
+import { applyFilters } from '../data/filters.js';
+
+const router = express.Router();
+
+// Sortable fields for GET /transactions/batches and how their values compare
+const TRANSFER_BATCH_SORT_FIELDS = {
+  createdAt: 'date',
+  completedAt: 'date',
+  status: 'string'
+};
+
+const BATCH_STATUSES = ['queued', 'processing', 'completed', 'completed_with_errors', 'failed'];
+
+// Query filters for GET /transactions/batches; dateFrom/dateTo filter createdAt
+const TRANSFER_BATCH_FILTERS = {
+  values: {
+    status: BATCH_STATUSES,
+    format: TRANSFER_BATCH_FORMATS
+  },
+  search: ['reference'],
+  dates: ['createdAt', 'completedAt']
+};
+
+// Query filters for GET /transactions/batches/{batchId}/rows
+const BATCH_ROW_FILTERS = {
+  values: {
+    status: ['pending', 'succeeded', 'failed'],
+    fromAccount: null,
+    toAccount: null
+  }
+};
+
+// Sortable fields for GET /transactions/batches/{batchId}/rows
+const BATCH_ROW_SORT_FIELDS = {
+  row: 'number',
+  amount: 'number',
+  processedAt: 'date'
+};
+
+// List items carry the batch's counts and totals but not its rows, which can
+// run to the batch size limit; they are paged from /rows instead
+const summarizeBatch = ({ rows, ...batch }) => batch;
+
+const BATCH_ERROR_STATUS = {
+  UNSUPPORTED_FORMAT: 400,
+  INVALID_FILE: 400,
+  EMPTY_FILE: 400,
+  TOO_MANY_ROWS: 400,
+  BATCH_VALIDATION_FAILED: 422
+};
+
+const CSV_TYPE = 'text/csv';
+const JSON_LINES_TYPES = ['application/x-ndjson', 'application/jsonl'];
+
+// Batch files can be uploaded raw (CSV or JSON lines body) or wrapped in a
+// JSON body with format and content
+const readUpload = express.text({ type: [CSV_TYPE, ...JSON_LINES_TYPES], limit: '5mb' });
+
+const uploadFromRequest = (req) => {
+  if (req.is(CSV_TYPE)) {
+    return { format: 'csv', content: req.body, reference: req.query.reference };
+  }
+  if (req.is(JSON_LINES_TYPES)) {
+    return { format: 'jsonl', content: req.body, reference: req.query.reference };
+  }
+  const { format, content, reference } = req.body || {};
+  return { format, content, reference };
+};
+
+const sendBatchError = (req, res, result) => res.status(BATCH_ERROR_STATUS[result.error.code] || 400).json({
+  status: 'error',
+  code: result.error.code,
+  message: result.error.message,
+  ...(result.validation ? { validation: result.validation } : {}),
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+const sendMissingContent = (req, res) => res.status(400).json({
+  status: 'error',
+  message: `Missing required fields: format, content. Alternatively upload the file with Content-Type ${CSV_TYPE} or ${JSON_LINES_TYPES[0]}`,
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+const sendNotFound = (req, res) => res.status(404).json({
+  status: 'error',
+  message: 'Transfer batch not found',
+  timestamp: new Date().toISOString(),
+  requestId: req.requestId
+});
+
+/**
+ * @swagger
+ * /transactions/batches:
+ *   post:
+ *     summary: Upload a bulk transfer batch
+ *     description: |
+ *       Accepts a batch of transfers as CSV (Content-Type text/csv, header row required) or JSON lines (Content-Type application/x-ndjson, one object per line), or as a JSON body with format and content. Each row has fromAccount, toAccount, amount, currency and an optional purpose.
+ *
+ *       Every row is validated before anything is posted: accounts exist and are active, currencies match, and the source account's remaining daily and monthly limits cover the batch. If any row fails, the whole batch is rejected with a per-row validation report and nothing is posted. Otherwise the batch is queued and executed in the background; poll GET /transactions/batches/{batchId} for progress.
+ *     tags: [Transfer Batches]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Client reference for the batch when uploading a raw file
+ *         example: PAYROLL-2024-01
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             fromAccount,toAccount,amount,currency,purpose
+ *             acc-001,acc-002,250.00,GHS,January salary
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"fromAccount":"acc-001","toAccount":"acc-002","amount":250.00,"currency":"GHS","purpose":"January salary"}
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, jsonl]
+ *                 example: csv
+ *               content:
+ *                 type: string
+ *                 description: The file contents
+ *                 example: "fromAccount,toAccount,amount,currency,purpose\nacc-001,acc-002,250.00,GHS,January salary"
+ *               reference:
+ *                 type: string
+ *                 example: PAYROLL-2024-01
+ *     responses:
+ *       202:
+ *         description: Batch validated and queued for execution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TransferBatch'
+ *       400:
+ *         description: Missing content, unsupported format, or a file that cannot be read (INVALID_FILE, EMPTY_FILE, TOO_MANY_ROWS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: One or more rows failed validation (BATCH_VALIDATION_FAILED); the validation field holds the per-row report. Also returned when an Idempotency-Key is reused with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *                 - type: object
+ *                   properties:
+ *                     validation:
+ *                       $ref: '#/components/schemas/TransferBatchValidation'
+ */
+router.post('/', readUpload, idempotent, (req, res) => {
+  const upload = uploadFromRequest(req);
+  if (!upload.format || !upload.content) {
+    return sendMissingContent(req, res);
+  }
+
+  const result = createTransferBatch(upload);
+  if (result.error) {
+    return sendBatchError(req, res, result);
+  }
+
+  dispatchTransferBatch(result.batch.id);
+
+  res.status(202).json({
+    status: 'success',
+    data: result.batch,
+    message: `Batch of ${result.batch.rowCount} transfer(s) accepted for processing`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/batches/validate:
+ *   post:
+ *     summary: Validate a bulk transfer batch without executing it
+ *     description: Runs the same per-row validation as POST /transactions/batches and returns the report. Nothing is queued or posted. Accepts the same upload formats.
+ *     tags: [Transfer Batches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, jsonl]
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Validation report (check data.valid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TransferBatchValidation'
+ *       400:
+ *         description: Missing content, unsupported format, or a file that cannot be read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/validate', readUpload, (req, res) => {
+  const upload = uploadFromRequest(req);
+  if (!upload.format || !upload.content) {
+    return sendMissingContent(req, res);
+  }
+
+  const parsed = parseTransferBatch(upload.format, upload.content);
+  if (parsed.error) {
+    return sendBatchError(req, res, parsed);
+  }
+
+  const report = validateTransferBatch(parsed.rows);
+  res.json({
+    status: 'success',
+    data: report,
+    message: report.valid
+      ? `All ${report.rowCount} row(s) are valid`
+      : `${report.invalidRows} of ${report.rowCount} row(s) failed validation`,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/batches:
+ *   get:
+ *     summary: List transfer batches
+ *     tags: [Transfer Batches]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by batch status; comma-separate several (queued, processing, completed, completed_with_errors, failed)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *         description: Filter by upload format; comma-separate several (csv, jsonl)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search; every word must appear in the batch reference (case-insensitive)
+ *       - in: query
+ *         name: createdAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after (ISO date or date-time)
+ *       - in: query
+ *         name: createdAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: completedAtFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Completed on or after (ISO date or date-time)
+ *       - in: query
+ *         name: completedAtTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Completed on or before (ISO date or date-time; a date alone includes the whole day)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtFrom
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Alias for createdAtTo
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, completedAt, status]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: List of transfer batches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       description: Batches without their rows; fetch those from /transactions/batches/{batchId}/rows
+ *                       items:
+ *                         $ref: '#/components/schemas/TransferBatch'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER, INVALID_DATE_RANGE) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', (req, res) => {
+  const filtered = applyFilters(getTransferBatches(), req.query, TRANSFER_BATCH_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: TRANSFER_BATCH_SORT_FIELDS, defaultSort: 'createdAt' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data.map(summarizeBatch),
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/batches/{batchId}:
+ *   get:
+ *     summary: Get transfer batch status
+ *     description: Returns the batch with its status, succeeded/failed/pending counts and the outcome of every row.
+ *     tags: [Transfer Batches]
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Transfer batch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TransferBatch'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:batchId', (req, res) => {
+  const batch = getTransferBatchById(req.params.batchId);
+
+  if (!batch) {
+    return sendNotFound(req, res);
+  }
+
+  res.json({
+    status: 'success',
+    data: batch,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/batches/{batchId}/rows:
+ *   get:
+ *     summary: Get the rows of a transfer batch
+ *     description: Row outcomes of a batch, e.g. ?status=failed to see which transfers need attention.
+ *     tags: [Transfer Batches]
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by row status; comma-separate several (pending, succeeded, failed)
+ *       - in: query
+ *         name: fromAccount
+ *         schema:
+ *           type: string
+ *         description: Filter by source account; comma-separate several
+ *       - in: query
+ *         name: toAccount
+ *         schema:
+ *           type: string
+ *         description: Filter by destination account; comma-separate several
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [row, amount, processedAt]
+ *           default: row
+ *         description: Field to sort by
+ *       - $ref: '#/components/parameters/SortOrder'
+ *     responses:
+ *       200:
+ *         description: Batch rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - $ref: '#/components/schemas/PageInfo'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TransferBatchRow'
+ *       400:
+ *         description: Invalid filter (INVALID_FILTER) or paging value (INVALID_LIMIT, INVALID_CURSOR, INVALID_SORT, INVALID_ORDER); param names the offending parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Batch not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:batchId/rows', (req, res) => {
+  const batch = getTransferBatchById(req.params.batchId);
+
+  if (!batch) {
+    return sendNotFound(req, res);
+  }
+
+  const filtered = applyFilters(batch.rows, req.query, BATCH_ROW_FILTERS);
+  const page = filtered.error
+    ? filtered
+    : paginate(filtered.items, req.query, { sortFields: BATCH_ROW_SORT_FIELDS, defaultSort: 'row', key: 'row' });
+  if (page.error) {
+    return res.status(400).json({
+      status: 'error',
+      code: page.error.code,
+      param: page.error.param,
+      message: page.error.message,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: page.data,
+    count: page.data.length,
+    totalCount: page.totalCount,
+    nextCursor: page.nextCursor,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * @swagger
+ * /transactions/batches/{batchId}/check-completed:
+ *   get:
+ *     summary: Checker endpoint - Verify if a transfer batch completed successfully
+ *     description: Returns true once every row of the batch has been posted. Returns false while the batch is still running, or when it finished with failed rows (see metadata.failedCount). Used for workflow conditional logic.
+ *     tags: [Transfer Batches]
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Checker response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckerResponse'
+ */
+router.get('/:batchId/check-completed', (req, res) => {
+  const batch = getTransferBatchById(req.params.batchId);
+
+  if (!batch) {
+    return res.json({
+      result: false,
+      reason: 'Transfer batch not found',
+      metadata: { batchId: req.params.batchId },
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    });
+  }
+
+  const isCompleted = batch.status === 'completed';
+  const reasons = {
+    queued: 'Batch is queued for processing',
+    processing: `Batch is processing: ${batch.rowCount - batch.pendingCount} of ${batch.rowCount} row(s) done`,
+    completed: `All ${batch.rowCount} transfer(s) posted`,
+    completed_with_errors: `Batch finished with ${batch.failedCount} failed row(s) out of ${batch.rowCount}`,
+    failed: `All ${batch.rowCount} transfer(s) failed`
+  };
+
+  res.json({
+    result: isCompleted,
+    reason: reasons[batch.status],
+    metadata: {
+      batchId: batch.id,
+      status: batch.status,
+      reference: batch.reference,
+      rowCount: batch.rowCount,
+      succeededCount: batch.succeededCount,
+      failedCount: batch.failedCount,
+      pendingCount: batch.pendingCount,
+      totals: batch.totals,
+      completedAt: batch.completedAt
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  });
+});
+
+export default router;
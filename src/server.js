@@ -2,6 +2,14 @@ import express from 'express';
 import cors from 'cors';
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './config/swagger.js';
+import settlementConfig from './config/settlement.js';
+import { runSettlement } from './data/settlement.js';
+import scheduledPaymentsConfig from './config/scheduledPayments.js';
+import { runScheduledPayments } from './data/scheduledPayments.js';
+import standingOrdersConfig from './config/standingOrders.js';
+import { runStandingOrders } from './data/standingOrders.js';
+import mobileMoneyConfig from './config/mobileMoney.js';
+import { runWalletDeliveries } from './data/mobileMoney.js';
 import accountsRoutes from './routes/accounts.js';
 import transactionsRoutes from './routes/transactions.js';
 import paymentsRoutes from './routes/payments.js';
@@ -9,6 +17,13 @@ import loansRoutes from './routes/loans.js';
 import airtimeRoutes from './routes/airtime.js';
 import kycRoutes from './routes/kyc.js';
 import limitsRoutes from './routes/limits.js';
+import beneficiariesRoutes from './routes/beneficiaries.js';
+import billsRoutes from './routes/bills.js';
+import standingOrdersRoutes from './routes/standingOrders.js';
+import transferBatchesRoutes from './routes/transferBatches.js';
+import iso20022Routes from './routes/iso20022.js';
+import lookupRoutes from './routes/lookup.js';
+import customersRoutes from './routes/customers.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,18 +79,26 @@ app.get('/health', (req, res) => {
 });
 
 app.use('/accounts', accountsRoutes);
+app.use('/transactions/batches', transferBatchesRoutes);
 app.use('/transactions', transactionsRoutes);
+app.use('/payments/iso20022', iso20022Routes);
 app.use('/payments', paymentsRoutes);
 app.use('/loans', loansRoutes);
 app.use('/airtime', airtimeRoutes);
 app.use('/kyc', kycRoutes);
 app.use('/limits', limitsRoutes);
+app.use('/beneficiaries', beneficiariesRoutes);
+app.use('/bills', billsRoutes);
+app.use('/standing-orders', standingOrdersRoutes);
+app.use('/lookup', lookupRoutes);
+app.use('/customers', customersRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(`[ERROR] ${req.requestId}:`, err);
   res.status(err.status || 500).json({
     status: 'error',
+    ...(err.code ? { code: err.code } : {}),
     message: err.message || 'Internal server error',
     timestamp: new Date().toISOString(),
     requestId: req.requestId
@@ -92,6 +115,47 @@ app.use((req, res) => {
   });
 });
 
+// Settlement scheduler
+if (settlementConfig.intervalMs > 0) {
+  setInterval(() => {
+    const { cleared, failed } = runSettlement();
+    if (cleared.length || failed.length) {
+      console.log(`[SETTLEMENT] cleared ${cleared.length}, failed ${failed.length}`);
+    }
+  }, settlementConfig.intervalMs);
+}
+
+// Scheduled payment executor
+if (scheduledPaymentsConfig.intervalMs > 0) {
+  setInterval(() => {
+    const { completed, failed } = runScheduledPayments();
+    if (completed.length || failed.length) {
+      console.log(`[SCHEDULER] executed ${completed.length} scheduled payment(s), failed ${failed.length}`);
+    }
+  }, scheduledPaymentsConfig.intervalMs);
+}
+
+// Standing order executor
+if (standingOrdersConfig.intervalMs > 0) {
+  setInterval(() => {
+    const { executions } = runStandingOrders();
+    if (executions.length) {
+      const succeeded = executions.filter(e => e.status === 'succeeded').length;
+      console.log(`[STANDING ORDERS] ran ${executions.length} occurrence(s), ${succeeded} succeeded`);
+    }
+  }, standingOrdersConfig.intervalMs);
+}
+
+// Mobile money delivery runner
+if (mobileMoneyConfig.intervalMs > 0) {
+  setInterval(() => {
+    const { delivered, failed } = runWalletDeliveries();
+    if (delivered.length || failed.length) {
+      console.log(`[MOBILE MONEY] delivered ${delivered.length}, failed ${failed.length}`);
+    }
+  }, mobileMoneyConfig.intervalMs);
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Fintech Agent API server running on http://localhost:${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
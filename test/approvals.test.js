@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPaymentApproval,
+  checkApprovalCurrency,
+  configureApprovals,
+  isApprovalRequired
+} from '../src/data/approvals.js';
+
+test('the approval check and the approval record agree at the threshold', () => {
+  configureApprovals({ accountThresholds: { 'acc-001': 1000 } });
+
+  [999.99, 1000, 1000.01].forEach(amount => {
+    const approval = buildPaymentApproval({ accountId: 'acc-001', amount, currency: 'GHS', initiatedBy: 'apr-001' });
+    assert.equal(approval.required, isApprovalRequired('acc-001', amount));
+  });
+  assert.equal(isApprovalRequired('acc-001', 1000), false);
+  assert.equal(isApprovalRequired('acc-001', 1000.01), true);
+
+  configureApprovals({ accountThresholds: { 'acc-001': null } });
+});
+
+test('payments outside the threshold currency are refused', () => {
+  assert.equal(checkApprovalCurrency('GHS'), null);
+  assert.equal(checkApprovalCurrency('USD').error.code, 'UNSUPPORTED_CURRENCY');
+});
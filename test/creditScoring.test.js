@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addAccount } from '../src/data/mockData.js';
+import { scoreCustomer } from '../src/data/creditScoring.js';
+
+const factor = (result, name) => result.creditScore.factors.find(entry => entry.factor === name);
+
+test('loan exposure only counts loans that stood at asOf', () => {
+  // loan-001 was applied for on 10 Jan, approved on 12 Jan and paid out on 13 Jan 2024
+  const beforeApplication = scoreCustomer('cust-001', { asOf: '2024-01-09T00:00:00Z' });
+  const afterApproval = scoreCustomer('cust-001', { asOf: '2024-01-12T15:00:00Z' });
+  const afterDisbursement = scoreCustomer('cust-001', { asOf: '2024-01-14T00:00:00Z' });
+
+  assert.equal(factor(beforeApplication, 'loanExposure').value, 0);
+  assert.equal(factor(afterApproval, 'loanExposure').value, 5000);
+  assert.equal(factor(afterDisbursement, 'loanExposure').value, 5000);
+});
+
+test('an account opened during the window only counts from its opening day', () => {
+  const asOf = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const before = factor(scoreCustomer('cust-001', { asOf }), 'balanceHistory').value;
+
+  addAccount({
+    customerId: 'cust-001',
+    type: 'savings',
+    currency: 'GHS',
+    balance: 9000,
+    initialBalance: 9000,
+    status: 'active',
+    accountNumber: '5550001111'
+  });
+  const after = factor(scoreCustomer('cust-001', { asOf }), 'balanceHistory').value;
+
+  // One day of 9000 spread over the 90-day window
+  assert.equal(after - before, 100);
+});
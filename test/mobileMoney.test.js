@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addPayment,
+  getAccountById,
+  getPaymentById,
+  getTransactionById,
+  processPayment
+} from '../src/data/mockData.js';
+import { runSettlement } from '../src/data/settlement.js';
+import { startWalletDelivery, completeWalletDelivery, runWalletDeliveries } from '../src/data/mobileMoney.js';
+
+// Wallets ending in 000 are unregistered, so delivery always fails
+const paymentToUnregisteredWallet = () => addPayment({
+  accountId: 'acc-001',
+  beneficiary: 'Unregistered wallet',
+  beneficiaryAccount: '+233241234000',
+  amount: 100,
+  currency: 'GHS',
+  method: 'mobile_money',
+  network: 'MTN'
+});
+
+test('failed delivery of a cleared payment refunds the payer', () => {
+  const balanceBefore = getAccountById('acc-001').balance;
+  const payment = paymentToUnregisteredWallet();
+
+  const { transaction } = processPayment(payment.id);
+  assert.equal(getAccountById('acc-001').balance, balanceBefore - 100);
+
+  // Clear the payment debit before the network answers
+  runSettlement(new Date(Date.now() + 24 * 60 * 60 * 1000));
+  assert.equal(getTransactionById(transaction.id).status, 'cleared');
+
+  startWalletDelivery(payment.id);
+  const returned = completeWalletDelivery(payment.id);
+
+  assert.equal(returned.status, 'returned');
+  assert.equal(returned.returnReason, 'WALLET_NOT_REGISTERED');
+  assert.equal(getTransactionById(transaction.id).status, 'reversed');
+  assert.equal(getAccountById('acc-001').balance, balanceBefore);
+});
+
+test('failed delivery of a pending payment undoes the debit', () => {
+  const balanceBefore = getAccountById('acc-001').balance;
+  const payment = paymentToUnregisteredWallet();
+
+  const { transaction } = processPayment(payment.id);
+  startWalletDelivery(payment.id);
+  const returned = completeWalletDelivery(payment.id);
+
+  assert.equal(returned.status, 'returned');
+  assert.equal(getTransactionById(transaction.id).status, 'failed');
+  assert.equal(getAccountById('acc-001').balance, balanceBefore);
+});
+
+test('deliveries complete once the network processing time has passed', () => {
+  const payment = addPayment({
+    accountId: 'acc-001',
+    beneficiary: 'Registered wallet',
+    beneficiaryAccount: '+233241234567',
+    amount: 30,
+    currency: 'GHS',
+    method: 'mobile_money',
+    network: 'MTN'
+  });
+  processPayment(payment.id);
+  const started = startWalletDelivery(payment.id);
+  const expectedAt = new Date(started.walletDelivery.expectedAt).getTime();
+
+  const early = runWalletDeliveries(new Date(expectedAt - 1));
+  assert.equal(early.delivered.some(delivered => delivered.id === payment.id), false);
+  assert.equal(getPaymentById(payment.id).walletDelivery.status, 'processing');
+
+  const due = runWalletDeliveries(new Date(expectedAt));
+  assert.equal(due.delivered.some(delivered => delivered.id === payment.id), true);
+  assert.equal(getPaymentById(payment.id).walletDelivery.status, 'delivered');
+  assert.equal(getPaymentById(payment.id).walletDelivery.deliveredAt, new Date(expectedAt).toISOString());
+});
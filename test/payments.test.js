@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addPayment, getAccountById, getTransactionById, processPayment } from '../src/data/mockData.js';
+
+test('a payment to an internal beneficiary credits their account', () => {
+  const payerBefore = getAccountById('acc-001').balance;
+  const payeeBefore = getAccountById('acc-002').balance;
+  // ben-001 is cust-001's saved beneficiary for acc-002
+  const payment = addPayment({
+    accountId: 'acc-001',
+    beneficiaryId: 'ben-001',
+    beneficiary: 'Ama Owusu',
+    beneficiaryAccount: '1234567891',
+    amount: 150,
+    currency: 'GHS',
+    method: 'bank_transfer'
+  });
+
+  const result = processPayment(payment.id);
+
+  assert.equal(result.payment.status, 'completed');
+  assert.equal(getAccountById('acc-001').balance, payerBefore - 150);
+  assert.equal(getAccountById('acc-002').balance, payeeBefore + 150);
+  const credit = getTransactionById(result.payment.creditTransactionId);
+  assert.equal(credit.accountId, 'acc-002');
+  assert.equal(credit.paymentId, payment.id);
+});
+
+test('a payment to an external payee only debits the payer', () => {
+  const payerBefore = getAccountById('acc-001').balance;
+  const payment = addPayment({
+    accountId: 'acc-001',
+    beneficiaryId: 'ben-002',
+    beneficiary: 'John Doe',
+    beneficiaryAccount: '9876543210',
+    amount: 40,
+    currency: 'GHS',
+    method: 'bank_transfer'
+  });
+
+  const result = processPayment(payment.id);
+
+  assert.equal(result.payment.status, 'completed');
+  assert.equal(result.payment.creditTransactionId, undefined);
+  assert.equal(getAccountById('acc-001').balance, payerBefore - 40);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addTransaction,
+  getAccountById,
+  getTransactionById,
+  postReversal,
+  postTransfer,
+  updateAccount
+} from '../src/data/mockData.js';
+import { runSettlement } from '../src/data/settlement.js';
+
+const clearedTransfer = (amount) => {
+  const transfer = postTransfer({ fromAccount: 'acc-001', toAccount: 'acc-002', amount, currency: 'GHS' });
+  runSettlement(new Date(Date.now() + 24 * 60 * 60 * 1000));
+  return transfer;
+};
+
+test('reversal is refused while an account of the transfer is suspended', () => {
+  const { debitTransaction } = clearedTransfer(15);
+  const payeeBefore = getAccountById('acc-002').balance;
+
+  updateAccount('acc-002', { status: 'suspended' });
+  const result = postReversal(debitTransaction.id);
+  updateAccount('acc-002', { status: 'active' });
+
+  assert.equal(result.error.code, 'ACCOUNT_SUSPENDED');
+  assert.equal(getTransactionById(debitTransaction.id).status, 'cleared');
+  assert.equal(getAccountById('acc-002').balance, payeeBefore);
+});
+
+test('reversal is refused when an account no longer exists', () => {
+  const orphan = addTransaction({
+    accountId: 'acc-missing',
+    type: 'credit',
+    amount: 10,
+    currency: 'GHS',
+    description: 'Credit to a removed account',
+    category: 'transfer',
+    status: 'cleared'
+  });
+
+  const result = postReversal(orphan.id);
+
+  assert.equal(result.error.code, 'ACCOUNT_NOT_FOUND');
+  assert.equal(getTransactionById(orphan.id).status, 'cleared');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getAccountById,
+  getTransactionById,
+  postReversal,
+  postTransfer,
+  updateAccount
+} from '../src/data/mockData.js';
+import { runSettlement } from '../src/data/settlement.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a reversal that fails at settlement can be retried', () => {
+  const payerBefore = getAccountById('acc-001').balance;
+  const payeeBefore = getAccountById('acc-002').balance;
+
+  const transfer = postTransfer({ fromAccount: 'acc-001', toAccount: 'acc-002', amount: 40, currency: 'GHS' });
+  const debitId = transfer.debitTransaction.id;
+  runSettlement(new Date(Date.now() + DAY_MS));
+
+  const reversal = postReversal(debitId);
+  assert.equal(getTransactionById(debitId).status, 'reversed');
+
+  // The payee account is suspended before the reversal settles
+  updateAccount('acc-002', { status: 'suspended' });
+  runSettlement(new Date(Date.now() + 2 * DAY_MS));
+  updateAccount('acc-002', { status: 'active' });
+
+  reversal.reversalTransactions.forEach(leg => {
+    assert.equal(getTransactionById(leg.id).status, 'failed');
+  });
+  const original = getTransactionById(debitId);
+  assert.equal(original.status, 'cleared');
+  assert.equal(original.refundedAmount, 0);
+  assert.deepEqual(original.reversalTransferIds, []);
+  assert.equal(getAccountById('acc-001').balance, payerBefore - 40);
+  assert.equal(getAccountById('acc-002').balance, payeeBefore + 40);
+
+  const retry = postReversal(debitId);
+  assert.equal(retry.error, undefined);
+  assert.equal(getTransactionById(debitId).status, 'reversed');
+  assert.equal(getAccountById('acc-001').balance, payerBefore);
+  assert.equal(getAccountById('acc-002').balance, payeeBefore);
+});